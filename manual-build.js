@@ -16,6 +16,7 @@ const dirs = [
   'build/background',
   'build/content', 
   'build/popup',
+  'build/results',
   'build/assets',
   'build/assets/icons',
   'build/vendor',
@@ -40,15 +41,28 @@ const filesToCopy = [
   { from: 'src/background/service-worker.js', to: 'build/background/service-worker.js' },
   { from: 'src/content/scraper.js', to: 'build/content/scraper.js' },
   { from: 'src/popup/popup.js', to: 'build/popup/popup.js' },
+  { from: 'src/results/results.js', to: 'build/results/results.js' },
+  { from: 'src/results/results-view.js', to: 'build/results/results-view.js' },
   
   // Other source files needed by the JS
   { from: 'src/background/api-client.js', to: 'build/background/api-client.js' },
   { from: 'src/background/auth-manager.js', to: 'build/background/auth-manager.js' },
   { from: 'src/background/job-manager.js', to: 'build/background/job-manager.js' },
+  { from: 'src/background/result-outbox.js', to: 'build/background/result-outbox.js' },
+  { from: 'src/background/job-watchdog.js', to: 'build/background/job-watchdog.js' },
+  { from: 'src/background/push-channel.js', to: 'build/background/push-channel.js' },
+  { from: 'src/background/poll-scheduler.js', to: 'build/background/poll-scheduler.js' },
+  { from: 'src/background/job-scheduler.js', to: 'build/background/job-scheduler.js' },
+  { from: 'src/background/selector-drift.js', to: 'build/background/selector-drift.js' },
   { from: 'src/background/constants.js', to: 'build/background/constants.js' },
   
   { from: 'src/content/anti-detection.js', to: 'build/content/anti-detection.js' },
   { from: 'src/content/dom-extractor.js', to: 'build/content/dom-extractor.js' },
+  { from: 'src/content/structured-data.js', to: 'build/content/structured-data.js' },
+  { from: 'src/content/field-coverage.js', to: 'build/content/field-coverage.js' },
+  { from: 'src/content/change-monitor.js', to: 'build/content/change-monitor.js' },
+  { from: 'src/content/listing-filter.js', to: 'build/content/listing-filter.js' },
+  { from: 'src/content/attribute-normalizer.js', to: 'build/content/attribute-normalizer.js' },
   { from: 'src/content/human-simulator.js', to: 'build/content/human-simulator.js' },
   { from: 'src/content/job-executor.js', to: 'build/content/job-executor.js' },
   { from: 'src/content/loader.js', to: 'build/content/loader.js' },
@@ -56,6 +70,12 @@ const filesToCopy = [
   { from: 'src/utils/config.js', to: 'build/utils/config.js' },
   { from: 'src/utils/crypto.js', to: 'build/utils/crypto.js' },
   { from: 'src/utils/logger.js', to: 'build/utils/logger.js' },
+  { from: 'src/utils/price.js', to: 'build/utils/price.js' },
+  { from: 'src/utils/date.js', to: 'build/utils/date.js' },
+  { from: 'src/utils/seen-listings.js', to: 'build/utils/seen-listings.js' },
+  { from: 'src/utils/result-history.js', to: 'build/utils/result-history.js' },
+  { from: 'src/utils/export.js', to: 'build/utils/export.js' },
+  { from: 'src/utils/xlsx.js', to: 'build/utils/xlsx.js' },
   { from: 'src/utils/storage.js', to: 'build/utils/storage.js' },
   { from: 'src/utils/validators.js', to: 'build/utils/validators.js' },
   
@@ -67,6 +87,10 @@ const filesToCopy = [
   // Popup files
   { from: 'src/popup/popup.html', to: 'build/popup/popup.html' },
   { from: 'src/popup/popup.css', to: 'build/popup/popup.css' },
+
+  // Results page files
+  { from: 'src/results/results.html', to: 'build/results/results.html' },
+  { from: 'src/results/results.css', to: 'build/results/results.css' },
   
   // Assets
   { from: 'assets/icons/logo.png', to: 'build/assets/icons/logo.png' }
@@ -37,7 +37,14 @@ let mockJobs = [
         minRooms: 2
       },
       maxItems: 10,
-      timeout: 30000
+      timeout: 300000, // watchdog budget (ms)
+      // Detail jobs the extension creates locally for new listings in the result
+      followUp: {
+        type: 'scrape_details',
+        batchSize: 5,
+        maxJobs: 2,
+        config: { requirePhone: false }
+      }
     },
     createdAt: new Date().toISOString(),
     expiresAt: new Date(Date.now() + 3600000).toISOString() // 1 hour from now
@@ -48,6 +55,57 @@ let mockJobs = [
 let jobResults = [];
 let devLogs = [];
 
+// Job leases: jobId -> { leaseId, expiresAt, progress }
+const LEASE_TTL_MS = 90000;
+const MAX_JOB_ATTEMPTS = 3;
+let leases = new Map();
+let jobAttempts = new Map();
+
+// Idempotency keys of accepted result submissions: key -> response
+let submittedResults = new Map();
+
+// Streamed result chunks of running jobs: jobId -> Map(sequence -> chunk)
+let resultChunks = new Map();
+
+// Server-side cancellations awaiting acknowledgement: jobId -> { reason, cancelledAt }
+let cancellations = new Map();
+
+// Push stream clients (server-sent events)
+const PUSH_PING_MS = 25000;
+let pushClients = new Set();
+
+const pushEvent = (event, data) => {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of pushClients) client.write(frame);
+  if (event !== 'ping' && pushClients.size > 0) {
+    console.log(`📡 Pushed ${event} to ${pushClients.size} client(s)`);
+  }
+};
+
+setInterval(() => pushEvent('ping', { timestamp: Date.now() }), PUSH_PING_MS);
+
+const isLeased = (jobId) => {
+  const lease = leases.get(jobId);
+  return !!lease && lease.expiresAt > Date.now();
+};
+
+const leaseResponse = (lease) => ({
+  leaseId: lease.leaseId,
+  leaseExpiresAt: new Date(lease.expiresAt).toISOString(),
+  leaseTtlMs: LEASE_TTL_MS
+});
+
+// Expire leases that stopped heartbeating so their jobs become available again
+setInterval(() => {
+  const now = Date.now();
+  for (const [jobId, lease] of leases) {
+    if (lease.expiresAt <= now) {
+      leases.delete(jobId);
+      console.log(`⌛ Lease expired for job ${jobId}; job is available again`);
+    }
+  }
+}, 5000);
+
 // Middleware to check API key
 const validateApiKey = (req, res, next) => {
   const apiKey = req.headers.authorization || req.headers['x-api-key'];
@@ -86,39 +144,218 @@ app.post('/v1/auth/validate', (req, res) => {
 app.get('/v1/jobs/pending', validateApiKey, (req, res) => {
   // Return available jobs
   const pendingJobs = mockJobs.filter(job => 
-    new Date(job.expiresAt) > new Date()
+    new Date(job.expiresAt) > new Date() && !isLeased(job.id)
   );
   
+  // Cancellation notices ride along with the poll until acknowledged
+  const notices = [...cancellations].map(([id, c]) => ({ id, status: 'cancelled', reason: c.reason }));
+
   console.log(`📋 Returning ${pendingJobs.length} pending jobs`);
   res.json({ 
-    jobs: pendingJobs,
+    jobs: [...pendingJobs, ...notices],
     count: pendingJobs.length,
+    // Seconds until the next poll is worth making; lets clients back off when idle
+    nextPollAfter: pendingJobs.length > 0 ? 0 : null,
     timestamp: new Date().toISOString()
   });
 });
 
+// Push stream: jobs and control messages as server-sent events
+app.get('/v1/jobs/stream', validateApiKey, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  pushClients.add(res);
+  console.log(`📡 Push client connected (${pushClients.size} total)`);
+
+  // Catch the client up on anything it missed while disconnected
+  const pendingJobs = mockJobs.filter(job => new Date(job.expiresAt) > new Date() && !isLeased(job.id));
+  res.write(`event: hello\ndata: ${JSON.stringify({ timestamp: Date.now() })}\n\n`);
+  if (pendingJobs.length > 0) {
+    res.write(`event: jobs\ndata: ${JSON.stringify({ jobs: pendingJobs })}\n\n`);
+  }
+
+  req.on('close', () => {
+    pushClients.delete(res);
+    console.log(`📡 Push client disconnected (${pushClients.size} total)`);
+  });
+});
+
+// Ask connected clients to poll immediately (for testing)
+app.post('/v1/push/poll', validateApiKey, (req, res) => {
+  pushEvent('poll', { timestamp: Date.now() });
+  res.json({ success: true, clients: pushClients.size });
+});
+
+// Claim a job lease
+app.post('/v1/jobs/claim', validateApiKey, (req, res) => {
+  const { jobId, token } = req.body || {};
+  const job = mockJobs.find(j => j.id === jobId);
+
+  if (!job || job.token !== token) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_EXPIRED' });
+  }
+  if (isLeased(jobId)) {
+    return res.status(409).json({ error: 'Job already claimed', code: 'LEASE_CONFLICT' });
+  }
+
+  const lease = {
+    leaseId: `lease_${jobId}_${Date.now()}`,
+    expiresAt: Date.now() + LEASE_TTL_MS,
+    progress: null
+  };
+  leases.set(jobId, lease);
+
+  console.log(`🔒 Job ${jobId} claimed (${lease.leaseId})`);
+  res.json({ success: true, ...leaseResponse(lease) });
+});
+
+// Renew a job lease
+app.post('/v1/jobs/heartbeat', validateApiKey, (req, res) => {
+  const { jobId, leaseId, progress } = req.body || {};
+  const lease = leases.get(jobId);
+
+  if (!lease || lease.leaseId !== leaseId || lease.expiresAt <= Date.now()) {
+    return res.status(410).json({ error: 'Lease expired or not held', code: 'LEASE_EXPIRED' });
+  }
+
+  lease.expiresAt = Date.now() + LEASE_TTL_MS;
+  lease.progress = progress || lease.progress;
+  console.log(`💓 Heartbeat for job ${jobId}`, progress ? `${progress.current}/${progress.total}` : '');
+  res.json({ success: true, ...leaseResponse(lease) });
+});
+
+// Release a job lease without a result
+app.post('/v1/jobs/release', validateApiKey, (req, res) => {
+  const { jobId, leaseId, reason } = req.body || {};
+  const lease = leases.get(jobId);
+
+  if (lease && lease.leaseId === leaseId) {
+    leases.delete(jobId);
+    console.log(`🔓 Job ${jobId} released (${reason || 'no reason'})`);
+  }
+  res.json({ success: true });
+});
+
+// Fail a leased job
+app.post('/v1/jobs/fail', validateApiKey, (req, res) => {
+  const { jobId, leaseId, error } = req.body || {};
+  const lease = leases.get(jobId);
+
+  if (lease && lease.leaseId === leaseId) {
+    leases.delete(jobId);
+  }
+
+  const attempts = (jobAttempts.get(jobId) || 0) + 1;
+  jobAttempts.set(jobId, attempts);
+  if (attempts >= MAX_JOB_ATTEMPTS) {
+    mockJobs = mockJobs.filter(job => job.id !== jobId);
+  }
+
+  console.log(`❌ Job ${jobId} failed (attempt ${attempts}/${MAX_JOB_ATTEMPTS}): ${error || 'unknown error'}`);
+  res.json({ success: true, attempts });
+});
+
+// Cancel a job (operator action)
+app.post('/v1/jobs/:jobId/cancel', validateApiKey, (req, res) => {
+  const { jobId } = req.params;
+  const reason = req.body?.reason || 'cancelled_by_operator';
+
+  cancellations.set(jobId, { reason, cancelledAt: new Date().toISOString() });
+  mockJobs = mockJobs.filter(job => job.id !== jobId);
+  leases.delete(jobId);
+
+  pushEvent('cancel', { jobId, reason });
+  console.log(`🛑 Job ${jobId} cancelled (${reason})`);
+  res.json({ success: true });
+});
+
+// List unacknowledged cancellations
+app.get('/v1/jobs/cancellations', validateApiKey, (req, res) => {
+  res.json({
+    cancellations: [...cancellations].map(([jobId, c]) => ({ jobId, ...c }))
+  });
+});
+
+// Acknowledge a cancellation
+app.post('/v1/jobs/cancellations/ack', validateApiKey, (req, res) => {
+  const { jobId, outcome } = req.body || {};
+  cancellations.delete(jobId);
+  console.log(`👍 Cancellation of ${jobId} acknowledged (${outcome || 'unknown'})`);
+  res.json({ success: true });
+});
+
 // Submit job results
+// Submit a chunk of items streamed while the job runs
+app.post('/v1/jobs/results/chunk', validateApiKey, (req, res) => {
+  const chunk = req.body;
+  const chunks = resultChunks.get(chunk.jobId) || new Map();
+  const duplicate = chunks.has(chunk.sequence);
+
+  chunks.set(chunk.sequence, chunk);
+  resultChunks.set(chunk.jobId, chunks);
+
+  const lease = leases.get(chunk.jobId);
+  if (lease) {
+    lease.expiresAt = Date.now() + LEASE_TTL_MS;
+  }
+
+  console.log(`📦 Chunk ${chunk.sequence} for job ${chunk.jobId}: ${chunk.data?.length || 0} item(s)${duplicate ? ' (duplicate)' : ''}`);
+  res.json({ success: true, sequence: chunk.sequence, duplicate });
+});
+
 app.post('/v1/jobs/results', validateApiKey, (req, res) => {
   const result = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || result.idempotencyKey;
+
+  if (idempotencyKey && submittedResults.has(idempotencyKey)) {
+    console.log(`🔁 Duplicate result submission for job ${result.jobId} (${idempotencyKey})`);
+    return res.json({ ...submittedResults.get(idempotencyKey), duplicate: true });
+  }
+
+  const lease = leases.get(result.jobId);
+
+  if (lease && result.leaseId && lease.leaseId !== result.leaseId) {
+    console.log(`⚠️  Result for job ${result.jobId} carries a stale lease (${result.leaseId})`);
+  }
+  leases.delete(result.jobId);
+
+  // A streamed job's final submission carries only the items after its chunks
+  const chunks = [...(resultChunks.get(result.jobId) || new Map()).values()]
+    .sort((a, b) => a.sequence - b.sequence);
+  resultChunks.delete(result.jobId);
+  if (result.chunks && chunks.length !== result.chunks) {
+    console.log(`⚠️  Job ${result.jobId} reports ${result.chunks} chunk(s) but ${chunks.length} arrived`);
+  }
+  const data = [...chunks.flatMap(chunk => chunk.data || []), ...(result.data || [])];
   
-  console.log(`✅ Received job result for job ${result.jobId}`);
-  console.log(`   Items extracted: ${result.data?.length || 0}`);
+  console.log(`✅ Received job result for job ${result.jobId}${result.parentJobId ? ` (follow-up of ${result.parentJobId})` : ''}`);
+  console.log(`   Items extracted: ${data.length}${chunks.length ? ` (${chunks.length} streamed chunk(s))` : ''}`);
   console.log(`   Status: ${result.status}`);
   
   // Store result
   jobResults.push({
     ...result,
+    data,
     receivedAt: new Date().toISOString()
   });
   
   // Remove completed job from queue
   mockJobs = mockJobs.filter(job => job.id !== result.jobId);
   
-  res.json({ 
+  const response = {
     success: true, 
     message: 'Result received successfully',
     resultId: `result_${Date.now()}`
-  });
+  };
+  if (idempotencyKey) {
+    submittedResults.set(idempotencyKey, response);
+  }
+  res.json(response);
 });
 
 // Get job results (for debugging)
@@ -167,6 +404,7 @@ app.post('/v1/jobs', validateApiKey, (req, res) => {
   };
   
   mockJobs.push(newJob);
+  pushEvent('jobs', { jobs: [newJob] });
   
   console.log(`➕ Added new job: ${newJob.id}`);
   res.json({ success: true, job: newJob });
@@ -176,6 +414,11 @@ app.post('/v1/jobs', validateApiKey, (req, res) => {
 app.post('/v1/reset', (req, res) => {
   mockJobs = [];
   jobResults = [];
+  leases = new Map();
+  jobAttempts = new Map();
+  submittedResults = new Map();
+  resultChunks = new Map();
+  cancellations = new Map();
   console.log('🔄 Reset all jobs and results');
   res.json({ success: true, message: 'All data reset' });
 });
@@ -187,6 +430,15 @@ app.listen(port, () => {
   console.log(`   GET  /v1/health              - Health check`);
   console.log(`   POST /v1/auth/validate       - Validate API key`);
   console.log(`   GET  /v1/jobs/pending        - Get pending jobs`);
+  console.log(`   GET  /v1/jobs/stream         - Push stream (server-sent events)`);
+  console.log(`   POST /v1/push/poll           - Ask push clients to poll now`);
+  console.log(`   POST /v1/jobs/claim          - Claim a job lease`);
+  console.log(`   POST /v1/jobs/heartbeat      - Renew a job lease`);
+  console.log(`   POST /v1/jobs/release        - Release a job lease`);
+  console.log(`   POST /v1/jobs/fail           - Fail a leased job`);
+  console.log(`   POST /v1/jobs/:id/cancel     - Cancel a job`);
+  console.log(`   GET  /v1/jobs/cancellations  - List pending cancellations`);
+  console.log(`   POST /v1/jobs/cancellations/ack - Acknowledge a cancellation`);
   console.log(`   POST /v1/jobs/results        - Submit job results`);
   console.log(`   GET  /v1/jobs/results        - View job results`);
   console.log(`   POST /v1/jobs                - Add new job`);
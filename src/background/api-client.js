@@ -110,10 +110,13 @@ export class ApiClient {
     let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
     let errorCode = ErrorCodes.UNKNOWN_ERROR;
 
+    let retryAfterMs = this.parseNextPollAfter(response.headers?.get?.('retry-after'));
+
     try {
       const errorData = await response.json();
       errorMessage = errorData.message || errorMessage;
       errorCode = errorData.code || errorCode;
+      retryAfterMs = this.parseNextPollAfter(errorData.nextPollAfter) ?? retryAfterMs;
     } catch {
       // Failed to parse error response, use default message
     }
@@ -142,6 +145,7 @@ export class ApiClient {
     const error = new Error(errorMessage);
     error.code = errorCode;
     error.status = response.status;
+    error.retryAfterMs = retryAfterMs;
     
     throw error;
   }
@@ -204,15 +208,24 @@ export class ApiClient {
    * Fetch pending jobs from server
    */
   async fetchPendingJobs() {
+    const { jobs } = await this.pollJobs();
+    return jobs;
+  }
+
+  /**
+   * Poll for jobs, also returning the server's nextPollAfter hint (ms or null)
+   */
+  async pollJobs() {
     try {
       const response = await this.makeRequest(API_ENDPOINTS.GET_JOBS);
+      const nextPollAfter = this.parseNextPollAfter(response?.nextPollAfter);
       
       if (response.jobs && Array.isArray(response.jobs)) {
         logger.info(`Fetched ${response.jobs.length} pending job(s)`);
-        return response.jobs;
+        return { jobs: response.jobs, nextPollAfter };
       }
       
-      return [];
+      return { jobs: [], nextPollAfter };
       
     } catch (error) {
       if (error.code === ErrorCodes.INVALID_API_KEY) {
@@ -226,14 +239,33 @@ export class ApiClient {
     }
   }
 
+  /**
+   * Convert a poll delay hint to milliseconds.
+   * Numbers are seconds (like Retry-After); strings may be seconds or an HTTP/ISO date.
+   */
+  parseNextPollAfter(value) {
+    if (value === null || typeof value === 'undefined' || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return seconds >= 0 ? seconds * 1000 : null;
+    }
+
+    const at = new Date(value).getTime();
+    if (isNaN(at)) return null;
+    return Math.max(0, at - Date.now());
+  }
+
   /**
    * Submit job results to server
+   * The idempotency key lets the server drop duplicate resubmissions
    */
-  async submitJobResult(result) {
+  async submitJobResult(result, { idempotencyKey = null } = {}) {
     try {
       const response = await this.makeRequest(API_ENDPOINTS.SUBMIT_RESULTS, {
         method: 'POST',
-        body: result
+        body: idempotencyKey ? { ...result, idempotencyKey } : result,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
       });
 
       logger.info(`Job result submitted successfully: ${result.jobId}`);
@@ -242,8 +274,185 @@ export class ApiClient {
     } catch (error) {
       logger.error(`Failed to submit job result for ${result.jobId}:`, error);
       
-      // Store failed result for retry (implement retry queue if needed)
-      // For now, we'll just log and throw
+      // Callers park failed results in the outbox for retry
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a chunk of items streamed while a job is still running
+   */
+  async submitResultChunk(chunk, { idempotencyKey = null } = {}) {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.SUBMIT_RESULT_CHUNK, {
+        method: 'POST',
+        body: idempotencyKey ? { ...chunk, idempotencyKey } : chunk,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      });
+
+      logger.debug(`Result chunk ${chunk.sequence} submitted for job ${chunk.jobId}`);
+      return response;
+
+    } catch (error) {
+      logger.warn(`Failed to submit result chunk ${chunk.sequence} for job ${chunk.jobId}:`,
+        error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a job so no other client executes it
+   */
+  async claimJob(job) {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.CLAIM_JOB, {
+        method: 'POST',
+        body: { jobId: job.id, token: job.token }
+      });
+
+      logger.info(`Lease acquired for job ${job.id}`);
+      return response;
+
+    } catch (error) {
+      logger.warn(`Failed to claim job ${job.id}:`, error.message);
+      throw this.leaseError(error);
+    }
+  }
+
+  /**
+   * Renew the lease on a running job
+   */
+  async renewLease(jobId, leaseId, progress = null) {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.JOB_HEARTBEAT, {
+        method: 'POST',
+        body: { jobId, leaseId, progress }
+      });
+
+      logger.debug(`Lease renewed for job ${jobId}`);
+      return response;
+
+    } catch (error) {
+      logger.warn(`Failed to renew lease for job ${jobId}:`, error.message);
+      throw this.leaseError(error);
+    }
+  }
+
+  /**
+   * On the lease endpoints 409 means another client holds the lease and 410 that it
+   * expired; other endpoints keep the code the server sent
+   */
+  leaseError(error) {
+    if (error.status === 409) error.code = ErrorCodes.LEASE_CONFLICT;
+    if (error.status === 410) error.code = ErrorCodes.LEASE_EXPIRED;
+    return error;
+  }
+
+  /**
+   * Release a claimed job back to the server without a result
+   */
+  async releaseJob(jobId, leaseId, reason) {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.RELEASE_JOB, {
+        method: 'POST',
+        body: { jobId, leaseId, reason }
+      });
+
+      logger.info(`Lease released for job ${jobId}`, { reason });
+      return response;
+
+    } catch (error) {
+      logger.warn(`Failed to release job ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a claimed job as failed on the server
+   */
+  async failJob(jobId, leaseId, errorMessage) {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.FAIL_JOB, {
+        method: 'POST',
+        body: { jobId, leaseId, error: errorMessage }
+      });
+
+      logger.info(`Job ${jobId} reported as failed`);
+      return response;
+
+    } catch (error) {
+      logger.warn(`Failed to report failure for job ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the server-sent events stream used for push job delivery
+   * Returns the streaming Response; the caller reads it and aborts via signal
+   */
+  async openJobStream(signal) {
+    const apiKey = await secureStorage.getApiKey();
+    if (!apiKey) {
+      throw new Error(ErrorCodes.INVALID_API_KEY);
+    }
+
+    const url = `${this.baseUrl}${API_ENDPOINTS.JOB_STREAM}`;
+    const authHeaders = await generateAuthHeaders(apiKey, 'GET', url, null);
+    logger.logApiRequest('GET', url);
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { ...authHeaders, Accept: 'text/event-stream' },
+      cache: 'no-store',
+      signal
+    });
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response);
+    }
+    if (!response.body) {
+      throw new Error('Streaming responses are not supported');
+    }
+
+    return response;
+  }
+
+  /**
+   * Fetch jobs the server has cancelled or revoked
+   * Returns [{ jobId, reason }]
+   */
+  async fetchCancellations() {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.GET_CANCELLATIONS);
+      const list = Array.isArray(response?.cancellations) ? response.cancellations : [];
+
+      return list
+        .map(entry => typeof entry === 'string' ?
+          { jobId: entry, reason: null } :
+          { jobId: entry?.jobId || entry?.id, reason: entry?.reason || null })
+        .filter(entry => typeof entry.jobId === 'string');
+
+    } catch (error) {
+      logger.warn('Failed to fetch job cancellations:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge that a cancellation was applied locally
+   */
+  async acknowledgeCancellation(jobId, outcome) {
+    try {
+      const response = await this.makeRequest(API_ENDPOINTS.ACK_CANCELLATION, {
+        method: 'POST',
+        body: { jobId, outcome, timestamp: Date.now() }
+      });
+
+      logger.debug(`Cancellation acknowledged for job ${jobId}`, { outcome });
+      return response;
+
+    } catch (error) {
+      logger.warn(`Failed to acknowledge cancellation for job ${jobId}:`, error.message);
       throw error;
     }
   }
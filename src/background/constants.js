@@ -25,7 +25,7 @@ export const POLLING_CONFIG = {
   INTERVAL_MIN: 30000,        // 30 seconds minimum
   INTERVAL_MAX: 300000,       // 5 minutes maximum
   BACKOFF_MULTIPLIER: 1.5,
-  ERROR_COOLDOWN: 60000,      // 1 minute cooldown after errors
+  // Error cooldown: CONFIG.POLLING_ERROR_COOLDOWN (shared/types.js)
   HEALTH_CHECK_INTERVAL: 300000 // 5 minutes
 };
 
@@ -47,7 +47,7 @@ export const SECURITY_CONFIG = {
 export const JOB_CONFIG = {
   MAX_CONCURRENT_JOBS: 1,
   MAX_QUEUE_SIZE: 10,
-  MAX_EXECUTION_TIME: 10 * 60 * 1000, // 10 minutes
+  // Execution time limit: CONFIG.MAX_EXECUTION_TIME (shared/types.js)
   MAX_ITEMS_PER_JOB: 1000,
   
   // Job priorities
@@ -133,8 +133,8 @@ export const STORAGE_CONFIG = {
   
   LIMITS: {
     MAX_STORAGE_SIZE: 5 * 1024 * 1024, // 5MB
-    MAX_HISTORY_ENTRIES: 100,
-    MAX_FAILED_RESULTS: 20
+    MAX_HISTORY_ENTRIES: 100
+    // Failed result limit: CONFIG.MAX_FAILED_RESULTS (shared/types.js)
   }
 };
 
@@ -9,12 +9,20 @@ import { validateJob, validateJobResult } from '../utils/validators.js';
 import { MessageTypes, JobStatus, CONFIG, ErrorCodes } from '../shared/types.js';
 
 export class JobManager {
-  constructor(apiClient) {
+  constructor(apiClient, resultOutbox = null, jobWatchdog = null, selectorDrift = null) {
     this.apiClient = apiClient;
+    this.resultOutbox = resultOutbox;
+    this.jobWatchdog = jobWatchdog;
+    this.selectorDrift = selectorDrift;
     this.currentJob = null;
     this.jobQueue = [];
     this.executionHistory = [];
     this.maxHistorySize = 100;
+    this.currentLease = null;
+    this.leaseAlarm = 'sentio_lease_heartbeat';
+    this.cancelledJobIds = new Set();
+    // Serializes streamed chunks so sequence numbers stay in order
+    this.streamQueue = Promise.resolve();
   }
 
   /**
@@ -70,23 +78,22 @@ export class JobManager {
    */
   async fetchPendingJobs() {
     try {
-      const jobs = await this.apiClient.fetchPendingJobs();
-      
-      // Validate each job
-      const validJobs = jobs.filter(job => {
-        const validation = validateJob(job);
-        if (!validation.isValid) {
-          logger.warn(`Invalid job ${job.id}:`, validation.errors);
-          return false;
-        }
-        return true;
-      });
+      const fetched = await this.apiClient.fetchPendingJobs();
+      return await this.acceptIncomingJobs(fetched);
 
-      if (validJobs.length !== jobs.length) {
-        logger.warn(`Filtered out ${jobs.length - validJobs.length} invalid jobs`);
-      }
+    } catch (error) {
+      logger.error('Failed to fetch pending jobs:', error);
+      throw error;
+    }
+  }
 
-      return validJobs;
+  /**
+   * Poll for jobs, keeping the server's nextPollAfter hint for the poll scheduler
+   */
+  async pollJobs() {
+    try {
+      const { jobs, nextPollAfter } = await this.apiClient.pollJobs();
+      return { jobs: await this.acceptIncomingJobs(jobs), nextPollAfter };
 
     } catch (error) {
       logger.error('Failed to fetch pending jobs:', error);
@@ -94,6 +101,135 @@ export class JobManager {
     }
   }
 
+  /**
+   * Apply cancellation notices and validate jobs received by poll or push
+   */
+  async acceptIncomingJobs(fetched) {
+    // The server also lists jobs it cancelled or revoked
+    const cancellations = fetched
+      .filter(job => this.isCancelledEntry(job))
+      .map(job => ({ jobId: job.id, reason: job.reason || job.status }));
+    if (cancellations.length > 0) {
+      await this.applyCancellations(cancellations);
+    }
+    const jobs = fetched.filter(job => !this.isCancelledEntry(job));
+    
+    // Validate each job
+    const validJobs = jobs.filter(job => {
+      const validation = validateJob(job);
+      if (!validation.isValid) {
+        logger.warn(`Invalid job ${job.id}:`, validation.errors);
+        return false;
+      }
+      return true;
+    });
+
+    if (validJobs.length !== jobs.length) {
+      logger.warn(`Filtered out ${jobs.length - validJobs.length} invalid jobs`);
+    }
+
+    return validJobs;
+  }
+
+  /**
+   * Whether a polled job entry is a cancellation notice rather than work
+   */
+  isCancelledEntry(job) {
+    return job?.status === JobStatus.CANCELLED || job?.status === 'revoked' || job?.revoked === true;
+  }
+
+  /**
+   * Ask the server for cancellations (used while executing, when polling is paused)
+   */
+  async checkCancellations() {
+    try {
+      const cancellations = await this.apiClient.fetchCancellations();
+      if (cancellations.length === 0) {
+        return { stoppedCurrent: false, applied: 0 };
+      }
+      return await this.applyCancellations(cancellations);
+
+    } catch (error) {
+      logger.debug('Cancellation check failed:', error?.message || error);
+      return { stoppedCurrent: false, applied: 0 };
+    }
+  }
+
+  /**
+   * Stop or drop jobs cancelled by the server and acknowledge each one
+   */
+  async applyCancellations(cancellations) {
+    let stoppedCurrent = false;
+
+    if (this.jobQueue.length === 0) {
+      this.jobQueue = await secureStorage.getJobQueue();
+    }
+
+    for (const { jobId, reason } of cancellations) {
+      let outcome = 'not_found';
+
+      if (this.currentJob?.id === jobId) {
+        await this.stopCancelledJob(reason);
+        outcome = 'stopped';
+        stoppedCurrent = true;
+      } else if (this.jobQueue.some(job => job.id === jobId)) {
+        await this.removeJobFromQueue(jobId);
+        outcome = 'dropped';
+      }
+
+      // Follow-up jobs die with their parent
+      if (this.currentJob?.parentJobId === jobId) {
+        await this.stopCancelledJob(reason);
+        stoppedCurrent = true;
+      }
+      for (const child of this.jobQueue.filter(job => job.parentJobId === jobId)) {
+        await this.removeJobFromQueue(child.id);
+      }
+
+      // A checkpoint would otherwise resume the job on the next page load
+      await this.clearCheckpoints(jobId);
+
+      if (outcome !== 'not_found') {
+        this.cancelledJobIds.add(jobId);
+      }
+      logger.logJobEvent(jobId, 'cancelled by server', { reason, outcome });
+
+      try {
+        await this.apiClient.acknowledgeCancellation(jobId, outcome);
+      } catch (_) {
+        // The server re-sends unacknowledged cancellations; applying them again is harmless
+      }
+    }
+
+    return { stoppedCurrent, applied: cancellations.length };
+  }
+
+  /**
+   * Stop the running job after a server cancellation
+   */
+  async stopCancelledJob(reason) {
+    const job = this.currentJob;
+    const lease = this.currentLease?.jobId === job.id ? this.currentLease : null;
+
+    if (lease?.tabId) {
+      await this.cancelInTab(lease.tabId, { jobId: job.id, reason: 'server_cancelled' });
+    } else {
+      await this.cancelInAllTabs({ jobId: job.id, reason: 'server_cancelled' });
+    }
+
+    // The server already closed the job; no release call needed
+    await this.clearLease();
+    await this.jobWatchdog?.disarm(job.id);
+    await this.takeResultStream(job.id);
+
+    job.status = JobStatus.CANCELLED;
+    job.endTime = Date.now();
+    job.error = reason || 'Cancelled by server';
+    this.addToHistory(job);
+    this.currentJob = null;
+    await this.removeJobFromQueue(job.id);
+  }
+
   /**
    * Queue jobs for execution
    */
@@ -238,6 +374,14 @@ export class JobManager {
 
       // Mark job as current
       this.currentJob = job;
+
+      // Claim a lease first so another browser polling the same queue cannot run it
+      const lease = await this.claimLease(job, tabId);
+      if (!lease) {
+        this.currentJob = null;
+        return false;
+      }
+
       job.status = JobStatus.RUNNING;
       job.startTime = Date.now();
 
@@ -247,10 +391,13 @@ export class JobManager {
       const delivered = await this.sendExecuteMessage(tabId, job);
       if (delivered) {
         logger.logJobEvent(job.id, 'execution start message delivered');
+        await this.startLeaseHeartbeat();
+        await this.jobWatchdog?.arm(job);
         return true;
       } else {
         // Could not deliver after retries: mark back to PENDING to allow re-attempts
         logger.warn(`Execution message not delivered after retries; returning job to queue ${job.id}`);
+        await this.releaseLease('delivery_failed');
         job.status = JobStatus.PENDING;
         this.currentJob = null;
         await this.updateJobQueue();
@@ -286,8 +433,25 @@ export class JobManager {
         return;
       }
 
-      // Submit result to API
-      await this.submitJobResult(result);
+      // Flag fields that came back emptier than in earlier runs (result.metadata.selectorDrift)
+      await this.selectorDrift?.check(job, result);
+
+      // Submit result to API (the server closes the lease on receipt)
+      const lease = this.currentLease?.jobId === jobId ? this.currentLease : null;
+      this.addJobReferences(result, job, lease);
+
+      // Items streamed with JOB_PROGRESS were sent as chunks; the result carries the rest
+      const stream = await this.takeResultStream(jobId);
+      const { submission, full: fullResult } = this.applyResultStream(result, stream);
+      try {
+        await this.submitJobResult(submission);
+      } catch (error) {
+        // The result is parked in the outbox; the job itself finished
+        logger.warn(`Result for ${jobId} queued for resubmission: ${error.message}`);
+        job.pendingSubmission = true;
+      }
+      await this.clearLease();
+      await this.jobWatchdog?.disarm(jobId);
 
       // Mark job as completed
       job.status = JobStatus.COMPLETED;
@@ -305,9 +469,14 @@ export class JobManager {
 
       logger.logJobEvent(jobId, 'completed successfully', {
         itemsExtracted: result.metadata.itemsExtracted,
+        chunks: stream?.sequence || 0,
         executionTime: job.executionTime
       });
 
+      await this.recordChainedListings(job, fullResult);
+      const followUps = await this.spawnFollowUpJobs(job, fullResult);
+      return { followUps: followUps.length, result: fullResult };
+
     } catch (error) {
       logger.error(`Failed to handle job completion for ${jobId}:`, error);
       
@@ -317,6 +486,203 @@ export class JobManager {
     }
   }
 
+  /**
+   * Attach the lease and the parent/schedule IDs a submission is matched by
+   */
+  addJobReferences(payload, job, lease = null) {
+    if (lease?.leaseId) {
+      payload.leaseId = lease.leaseId;
+    }
+    if (job?.parentJobId) {
+      payload.parentJobId = job.parentJobId;
+    }
+    if (job?.scheduleId) {
+      payload.scheduleId = job.scheduleId;
+    }
+    return payload;
+  }
+
+  /**
+   * Forward items sent with JOB_PROGRESS to the API as the job's next result chunk.
+   * `offset` is the index of the first item within the job's full result; items already
+   * streamed are skipped, so a resent progress event is harmless.
+   * Returns how many items have been streamed for the job (the content script resumes there).
+   */
+  async streamResultItems(jobId, items, offset = 0) {
+    const run = this.streamQueue.then(() => this.submitResultChunk(jobId, items, offset));
+    this.streamQueue = run.catch(() => null);
+    return run;
+  }
+
+  /**
+   * Record and submit one chunk; failed chunks wait in the outbox
+   */
+  async submitResultChunk(jobId, items, offset) {
+    const job = this.currentJob?.id === jobId ? this.currentJob : null;
+    if (!job) return null;
+
+    const saved = await secureStorage.getResultStream();
+    const stream = saved?.jobId === jobId ? saved : { jobId, sequence: 0, items: [] };
+    const count = stream.items.length;
+    // An earlier event was lost; the content script resends from `count`
+    if (offset > count) return count;
+
+    const fresh = items.slice(count - offset);
+    if (fresh.length === 0) return count;
+
+    stream.sequence += 1;
+    stream.items.push(...fresh);
+    await secureStorage.setResultStream(stream);
+
+    const lease = this.currentLease?.jobId === jobId ? this.currentLease : null;
+    const chunk = this.addJobReferences({
+      jobId,
+      token: job.token,
+      sequence: stream.sequence,
+      offset: count,
+      data: this.pruneResultForSubmission({ data: fresh }).data,
+      timestamp: new Date().toISOString()
+    }, job, lease);
+    // Deterministic, so a chunk resent from the outbox is recognized by the server
+    const idempotencyKey = `${jobId}:chunk:${stream.sequence}`;
+
+    try {
+      await this.apiClient.submitResultChunk(chunk, { idempotencyKey });
+    } catch (error) {
+      await this.resultOutbox?.enqueue(chunk, idempotencyKey, error.message, 'chunk');
+    }
+    return stream.items.length;
+  }
+
+  /**
+   * Streamed items for a job, clearing the stream once the job is finalized
+   */
+  async takeResultStream(jobId) {
+    await this.streamQueue;
+    const stream = await secureStorage.getResultStream();
+    if (!stream) return null;
+
+    await secureStorage.clearResultStream();
+    return stream.jobId === jobId && stream.sequence > 0 ? stream : null;
+  }
+
+  /**
+   * Split a finished job's result into its final submission (the items not streamed yet
+   * plus the chunk count) and the full result kept locally.
+   * `result.data` starts at item `metadata.streamedItems` of the job's output.
+   */
+  applyResultStream(result, stream) {
+    if (!stream) return { submission: result, full: result };
+
+    const offset = result.metadata?.streamedItems || 0;
+    const tail = result.data.slice(Math.max(0, stream.items.length - offset));
+    const data = [...stream.items, ...tail];
+    const metadata = { ...result.metadata, itemsExtracted: data.length };
+    return {
+      submission: {
+        ...result,
+        data: tail,
+        chunks: stream.sequence,
+        streamedItems: stream.items.length,
+        metadata
+      },
+      full: { ...result, data, metadata }
+    };
+  }
+
+  /**
+   * Queue the follow-up jobs declared in job.config.followUp for a completed job's items.
+   * Children run like server jobs but are created locally and carry the parent's ID.
+   * With onlyUnseen, listings of finished children and of children still queued are
+   * skipped; a child's listings count as chained once it completes (a failed child's
+   * listings are chained again by the next parent run).
+   */
+  async spawnFollowUpJobs(parent, result) {
+    const followUp = parent.config?.followUp;
+    if (!followUp || result.status !== JobStatus.COMPLETED) return [];
+
+    try {
+      const batchSize = Math.max(1, followUp.batchSize || CONFIG.FOLLOW_UP_BATCH_SIZE);
+      const maxJobs = followUp.maxJobs || CONFIG.FOLLOW_UP_MAX_JOBS;
+      const onlyUnseen = followUp.onlyUnseen !== false;
+      const chained = onlyUnseen ? await secureStorage.getChainedListings() : [];
+      const pending = onlyUnseen ? this.jobQueue.flatMap(job => job.chainKeys || []) : [];
+      const seen = new Set([...chained, ...pending]);
+
+      // One target per listing, skipping those an earlier run already chained
+      const targets = [];
+      for (const item of Array.isArray(result.data) ? result.data : []) {
+        if (!item?.url) continue;
+        const key = item.id || item.url;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        targets.push({ key, url: item.url });
+      }
+
+      const now = Date.now();
+      const children = [];
+      for (let i = 0; i < targets.length && children.length < maxJobs; i += batchSize) {
+        const batch = targets.slice(i, i + batchSize);
+        const childConfig = followUp.config || {};
+        children.push({
+          // The time tells runs of the same parent apart; queueJobs drops known IDs
+          id: `${parent.id}-${now}-f${children.length + 1}`,
+          token: parent.token,
+          type: followUp.type || 'scrape_details',
+          parentJobId: parent.id,
+          status: JobStatus.PENDING,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + CONFIG.FOLLOW_UP_TTL).toISOString(),
+          ...(onlyUnseen ? { chainKeys: batch.map(target => target.key) } : {}),
+          config: {
+            ...childConfig,
+            url: childConfig.url || parent.config.url,
+            urls: batch.map(target => target.url),
+            maxItems: batch.length,
+            priority: childConfig.priority ?? parent.config.priority ?? 0
+          }
+        });
+      }
+
+      const valid = children.filter(child => {
+        const validation = validateJob(child);
+        if (!validation.isValid) {
+          logger.warn(`Invalid follow-up job ${child.id}:`, validation.errors);
+        }
+        return validation.isValid;
+      });
+      if (valid.length === 0) return [];
+
+      await this.queueJobs(valid);
+
+      logger.logJobEvent(parent.id, 'follow-up jobs queued', {
+        jobs: valid.length,
+        listings: valid.reduce((sum, child) => sum + child.config.urls.length, 0)
+      });
+      return valid;
+
+    } catch (error) {
+      logger.error(`Failed to create follow-up jobs for ${parent.id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Remember the listings of a completed follow-up job, so later parent runs skip them
+   */
+  async recordChainedListings(job, result) {
+    if (!job.chainKeys?.length || result.status !== JobStatus.COMPLETED) return;
+
+    try {
+      const chained = await secureStorage.getChainedListings();
+      const known = new Set(chained);
+      const keys = [...chained, ...job.chainKeys.filter(key => !known.has(key))];
+      await secureStorage.setChainedListings(keys.slice(-CONFIG.MAX_CHAINED_LISTINGS));
+    } catch (error) {
+      logger.error(`Failed to record chained listings of ${job.id}:`, error);
+    }
+  }
+
   /**
    * Handle job failure
    */
@@ -341,6 +707,11 @@ export class JobManager {
 
       logger.logJobEvent(job.id, 'failed', { error: errorMessage });
 
+      // Fail the lease so the server can reschedule the job
+      await this.failLease(job.id, errorMessage);
+      await this.jobWatchdog?.disarm(job.id);
+      await this.takeResultStream(job.id);
+
       // Report failure to API (optional)
       try {
         await this.apiClient.reportMetrics({
@@ -358,26 +729,420 @@ export class JobManager {
     }
   }
 
+  /**
+   * Whether a job was created by this extension rather than handed out by the server
+   */
+  isLocalJob(job) {
+    return !!(job?.parentJobId || job?.scheduleId);
+  }
+
+  /**
+   * Claim a lease for a job before handing it to a tab
+   */
+  async claimLease(job, tabId) {
+    try {
+      // Follow-up and scheduled jobs only exist locally; there is nothing to claim on the server
+      const local = this.isLocalJob(job);
+      const response = local ? null : await this.apiClient.claimJob(job);
+      const now = Date.now();
+      const lease = {
+        jobId: job.id,
+        leaseId: response?.leaseId || null,
+        local,
+        tabId,
+        claimedAt: now,
+        renewedAt: now,
+        expiresAt: this.parseLeaseExpiry(response, now),
+        lastProgressAt: now,
+        progress: null
+      };
+
+      this.currentLease = lease;
+      await secureStorage.setJobLease(lease);
+      return lease;
+
+    } catch (error) {
+      if (error.code === ErrorCodes.LEASE_CONFLICT) {
+        // Another client owns this job; drop our copy
+        logger.logJobEvent(job.id, 'already claimed by another client; removing from queue');
+        await this.removeJobFromQueue(job.id);
+      } else if (error.code === ErrorCodes.LEASE_EXPIRED || error.status === 404) {
+        // The job is gone on the server (expired or purged); claiming again cannot succeed
+        logger.logJobEvent(job.id, 'no longer available on the server; removing from queue');
+        await this.removeJobFromQueue(job.id);
+      } else {
+        logger.warn(`Could not claim job ${job.id}; will retry later:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Compute absolute lease expiry from a claim/heartbeat response
+   */
+  parseLeaseExpiry(response, now = Date.now()) {
+    if (response?.leaseExpiresAt) {
+      const at = new Date(response.leaseExpiresAt).getTime();
+      if (!isNaN(at)) return at;
+    }
+    return now + (response?.leaseTtlMs || CONFIG.LEASE_TTL);
+  }
+
+  /**
+   * Arm the heartbeat alarm that keeps the current lease alive
+   */
+  async startLeaseHeartbeat() {
+    try {
+      await chrome.alarms.clear(this.leaseAlarm);
+      chrome.alarms.create(this.leaseAlarm, {
+        delayInMinutes: CONFIG.LEASE_HEARTBEAT_INTERVAL / 60000,
+        periodInMinutes: CONFIG.LEASE_HEARTBEAT_INTERVAL / 60000
+      });
+    } catch (error) {
+      logger.error('Failed to start lease heartbeat:', error);
+    }
+  }
+
+  /**
+   * Stop the heartbeat alarm
+   */
+  async stopLeaseHeartbeat() {
+    try {
+      await chrome.alarms.clear(this.leaseAlarm);
+    } catch (error) {
+      logger.error('Failed to stop lease heartbeat:', error);
+    }
+  }
+
+  /**
+   * Restore lease and current job after a service worker restart
+   */
+  async restoreLease() {
+    try {
+      const lease = await secureStorage.getJobLease();
+      if (!lease) return;
+
+      if (this.jobQueue.length === 0) {
+        this.jobQueue = await secureStorage.getJobQueue();
+      }
+
+      const job = this.jobQueue.find(j => j.id === lease.jobId && j.status === JobStatus.RUNNING);
+      this.currentLease = lease;
+      if (!job) {
+        logger.warn(`Stale lease found for job ${lease.jobId}; releasing`);
+        await this.releaseLease('job_not_found');
+        return;
+      }
+
+      this.currentJob = job;
+      await this.startLeaseHeartbeat();
+      logger.logJobEvent(job.id, 'lease restored after restart', { tabId: lease.tabId });
+
+    } catch (error) {
+      logger.error('Failed to restore job lease:', error);
+    }
+  }
+
+  /**
+   * Renew the current lease. Called by the heartbeat alarm and on JOB_PROGRESS.
+   */
+  async renewLease(progress = null) {
+    const lease = this.currentLease;
+    if (!lease) {
+      await this.stopLeaseHeartbeat();
+      return false;
+    }
+
+    const now = Date.now();
+    if (progress) {
+      lease.progress = progress;
+      lease.lastProgressAt = now;
+    }
+
+    // A tab that stopped reporting progress has crashed, closed or hung
+    if (now - lease.lastProgressAt > CONFIG.LEASE_PROGRESS_TIMEOUT) {
+      logger.warn(`No progress for job ${lease.jobId} in ${CONFIG.LEASE_PROGRESS_TIMEOUT}ms; failing job`);
+      await this.cancelInTab(lease.tabId);
+      if (this.currentJob?.id === lease.jobId) {
+        await this.handleJobFailure(this.currentJob, 'No progress reported by content script');
+      } else {
+        await this.failLease(lease.jobId, 'No progress reported by content script');
+      }
+      return false;
+    }
+
+    // Progress events arrive often; only hit the API when a renewal is due
+    if (lease.local || (progress && now - lease.renewedAt < CONFIG.LEASE_HEARTBEAT_INTERVAL / 2)) {
+      await secureStorage.setJobLease(lease);
+      return true;
+    }
+
+    try {
+      const response = await this.apiClient.renewLease(lease.jobId, lease.leaseId, lease.progress);
+      lease.renewedAt = now;
+      lease.expiresAt = this.parseLeaseExpiry(response, now);
+      await secureStorage.setJobLease(lease);
+      return true;
+
+    } catch (error) {
+      if (error.code === ErrorCodes.LEASE_EXPIRED || error.code === ErrorCodes.LEASE_CONFLICT) {
+        logger.warn(`Lease lost for job ${lease.jobId}; cancelling local execution`);
+        await this.abandonLeasedJob(lease);
+        return false;
+      }
+
+      // Transient failure; the next heartbeat retries before the lease runs out
+      logger.warn(`Lease renewal failed for job ${lease.jobId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Stop executing a job whose lease the server took back
+   */
+  async abandonLeasedJob(lease) {
+    await this.cancelInTab(lease.tabId);
+
+    if (this.currentJob?.id === lease.jobId) {
+      const job = this.currentJob;
+      job.status = JobStatus.CANCELLED;
+      job.endTime = Date.now();
+      job.error = 'Lease lost';
+      this.addToHistory(job);
+      this.currentJob = null;
+    }
+
+    await this.removeJobFromQueue(lease.jobId);
+    await this.clearLease();
+    await this.jobWatchdog?.disarm(lease.jobId);
+  }
+
+  /**
+   * Release the current job back to the server and return it to our queue
+   */
+  async releaseCurrentJob(reason) {
+    const job = this.currentJob;
+    await this.releaseLease(reason);
+    await this.jobWatchdog?.disarm();
+
+    if (job) {
+      job.status = JobStatus.PENDING;
+      this.currentJob = null;
+      await this.updateJobQueue();
+    }
+  }
+
+  /**
+   * Release the current lease without a result
+   */
+  async releaseLease(reason) {
+    const lease = this.currentLease;
+    if (!lease) return;
+
+    try {
+      if (!lease.local) {
+        await this.apiClient.releaseJob(lease.jobId, lease.leaseId, reason);
+      }
+    } catch (_) {
+      // Server will reclaim it when the lease expires
+    }
+    await this.clearLease();
+  }
+
+  /**
+   * Report failure for the lease held on a job
+   */
+  async failLease(jobId, errorMessage) {
+    const lease = this.currentLease;
+    if (!lease || lease.jobId !== jobId) return;
+
+    try {
+      if (!lease.local) {
+        await this.apiClient.failJob(lease.jobId, lease.leaseId, errorMessage);
+      }
+    } catch (_) {
+      // Server will reclaim it when the lease expires
+    }
+    await this.clearLease();
+  }
+
+  /**
+   * Forget the current lease and stop heartbeats
+   */
+  async clearLease() {
+    this.currentLease = null;
+    await this.stopLeaseHeartbeat();
+    await secureStorage.clearJobLease();
+  }
+
+  /**
+   * Handle a job that ran past its watchdog deadline.
+   * Stops the tab, submits whatever was collected with a TIMEOUT status and frees the queue.
+   */
+  async handleJobTimeout(jobId, timeoutMs) {
+    if (this.jobQueue.length === 0) {
+      this.jobQueue = await secureStorage.getJobQueue();
+    }
+    const job = this.currentJob?.id === jobId ?
+      this.currentJob :
+      this.jobQueue.find(j => j.id === jobId) || null;
+    const lease = this.currentLease?.jobId === jobId ? this.currentLease : null;
+
+    logger.logJobEvent(jobId, 'execution timed out', { timeoutMs });
+
+    // Read the checkpoint before cancelling; the content script drops it on cancel
+    const partial = await this.collectPartialResults(jobId);
+    if (lease?.tabId) {
+      await this.cancelInTab(lease.tabId, { jobId, reason: 'timeout' });
+    } else {
+      await this.cancelInAllTabs({ jobId, reason: 'timeout' });
+    }
+    if (partial) {
+      await this.clearCheckpoints(jobId);
+    }
+
+    const now = Date.now();
+    const data = partial?.data || [];
+    const result = {
+      jobId,
+      token: job?.token || partial?.token || '',
+      status: JobStatus.TIMEOUT,
+      data,
+      metadata: {
+        itemsExtracted: data.length,
+        executionTime: job?.startTime ? now - job.startTime : timeoutMs,
+        errors: [`Execution exceeded ${timeoutMs}ms`],
+        userAgent: navigator.userAgent,
+        timestamp: new Date(now).toISOString(),
+        url: partial?.url || job?.config?.url || '',
+        partial: true
+      }
+    };
+    this.addJobReferences(result, job, lease);
+
+    // Checkpointed items were streamed in order; only the tail still needs submitting
+    const stream = await this.takeResultStream(jobId);
+    const { submission, full } = this.applyResultStream(result, stream);
+    try {
+      await this.submitJobResult(submission);
+    } catch (error) {
+      // Parked in the outbox by submitJobResult
+    }
+    await this.clearLease();
+    await this.jobWatchdog?.disarm(jobId);
+
+    if (job) {
+      job.status = JobStatus.TIMEOUT;
+      job.endTime = now;
+      job.executionTime = result.metadata.executionTime;
+      job.error = 'Execution timed out';
+      this.addToHistory(job);
+    }
+    await this.removeJobFromQueue(jobId);
+    if (this.currentJob?.id === jobId) {
+      this.currentJob = null;
+    }
+
+    return full;
+  }
+
+  /**
+   * Read what the content script has checkpointed for a job
+   */
+  async collectPartialResults(jobId) {
+    const progress = await secureStorage.getDetailProgress();
+    if (progress?.jobId === jobId) {
+      return {
+        token: progress.token,
+        url: progress.listingUrl,
+        data: Array.isArray(progress.results) ? progress.results : []
+      };
+    }
+
+    const listing = await secureStorage.getListingProgress();
+    if (listing?.jobId === jobId) {
+      return {
+        token: listing.job?.token,
+        url: listing.pageUrl || listing.previousUrl,
+        data: Array.isArray(listing.items) ? listing.items : []
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop the content script checkpoints belonging to a job
+   */
+  async clearCheckpoints(jobId) {
+    const progress = await secureStorage.getDetailProgress();
+    if (progress?.jobId === jobId) {
+      await secureStorage.clearDetailProgress();
+    }
+    const listing = await secureStorage.getListingProgress();
+    if (listing?.jobId === jobId) {
+      await secureStorage.clearListingProgress();
+    }
+  }
+
+  /**
+   * Send a cancel to every Sahibinden tab (used when the executing tab is unknown)
+   */
+  async cancelInAllTabs(payload = {}) {
+    try {
+      const tabs = await chrome.tabs.query({ url: ['https://www.sahibinden.com/*', 'https://sahibinden.com/*'] });
+      for (const tab of tabs) {
+        await this.cancelInTab(tab.id, payload);
+      }
+    } catch (error) {
+      logger.debug('Failed to broadcast cancel:', error?.message || error);
+    }
+  }
+
+  /**
+   * Ask the content script in a tab to stop its job
+   */
+  async cancelInTab(tabId, payload = {}) {
+    if (!tabId) return;
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: MessageTypes.CANCEL_JOB, payload });
+    } catch (error) {
+      logger.debug(`Cancel message not delivered to tab ${tabId}:`, error?.message || error);
+    }
+  }
+
   /**
    * Submit job result to API
    */
   async submitJobResult(result) {
+    const pruned = this.pruneResultForSubmission(result);
+    const idempotencyKey = result.idempotencyKey || this.createIdempotencyKey(result);
+
     try {
-      const pruned = this.pruneResultForSubmission(result);
-      const response = await this.apiClient.submitJobResult(pruned);
+      const response = await this.apiClient.submitJobResult(pruned, { idempotencyKey });
       logger.info(`Job result submitted successfully: ${result.jobId}`);
       return response;
 
     } catch (error) {
       logger.error(`Failed to submit job result for ${result.jobId}:`, error);
       
-      // Store for retry if needed
-      await this.storeFailedResult(result, error.message);
+      // Store for retry
+      await this.storeFailedResult(pruned, idempotencyKey, error.message);
       
       throw error;
     }
   }
 
+  /**
+   * Create the idempotency key sent with a result submission and its retries
+   */
+  createIdempotencyKey(result) {
+    const random = typeof crypto !== 'undefined' && crypto.randomUUID ?
+      crypto.randomUUID() :
+      `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    return `${result.jobId}:${random}`;
+  }
+
   /**
    * Keep only required fields to reduce payload size
    */
@@ -389,11 +1154,21 @@ export class JobManager {
         from: item?.from || '',
         address: item?.address || item?.location || '',
         title: item?.title || '',
-        price: item?.price ?? '',
+        // Price objects are flattened; older items may still carry a bare number
+        price: (typeof item?.price === 'object' ? item.price?.amount : item?.price) ?? '',
+        currency: item?.price?.currency || '',
         date: item?.date || '',
         url: item?.url || ''
       });
-      const data = Array.isArray(result.data) ? result.data.map(keepItem) : [];
+      // monitor_changes records carry their change events and the page's listings
+      const keepRecord = item => (Array.isArray(item?.changes) ? {
+        url: item.url || '',
+        timestamp: item.timestamp,
+        changes: item.changes,
+        listings: (item.data?.listings || []).map(keepItem),
+        removed: !!item.data?.removed
+      } : keepItem(item));
+      const data = Array.isArray(result.data) ? result.data.map(keepRecord) : [];
       return { ...result, data };
     } catch {
       return result;
@@ -496,13 +1271,12 @@ export class JobManager {
   /**
    * Store failed result for retry
    */
-  async storeFailedResult(result, error) {
-    // Implementation could store in IndexedDB or similar
-    // For now, just log
-    logger.warn('Failed result stored for potential retry:', {
-      jobId: result.jobId,
-      error
-    });
+  async storeFailedResult(result, idempotencyKey, error) {
+    if (!this.resultOutbox) {
+      logger.warn('No result outbox configured; failed result dropped:', { jobId: result.jobId, error });
+      return;
+    }
+    await this.resultOutbox.enqueue(result, idempotencyKey, error);
   }
 
   /**
@@ -527,6 +1301,8 @@ export class JobManager {
    */
   async clearAllJobs() {
     try {
+      await this.releaseLease('cleared');
+      await this.jobWatchdog?.disarm();
       this.jobQueue = [];
       this.currentJob = null;
       this.executionHistory = [];
@@ -0,0 +1,353 @@
+/**
+ * Recurring local job schedules
+ * Each schedule repeats a job definition on an interval or a cron-like expression,
+ * skips its quiet hours, and is queued through JobManager.queueJobs when due.
+ * Schedules live in storage; a single alarm is kept on the earliest next run.
+ */
+import { logger } from '../utils/logger.js';
+import { secureStorage } from '../utils/storage.js';
+import { validateJob } from '../utils/validators.js';
+import { CONFIG, JobStatus } from '../shared/types.js';
+
+const MINUTE = 60000;
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 }
+];
+
+/**
+ * Parse a five-field cron expression (*, lists, ranges and steps) into allowed value sets
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+  }
+
+  const fields = parts.map((part, index) => {
+    const { min, max } = CRON_FIELDS[index];
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const match = item.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+      if (!match) throw new Error(`Invalid cron field "${part}"`);
+
+      const start = match[1] === '*' ? min : Number(match[1]);
+      let end = start;
+      if (match[1] === '*') {
+        end = max;
+      } else if (match[2]) {
+        end = Number(match[2]);
+      } else if (match[3]) {
+        end = max;
+      }
+      const step = match[3] ? Number(match[3]) : 1;
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`Cron field "${part}" is out of range`);
+      }
+      for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return { values, any: part === '*' };
+  });
+
+  // Sunday may be written as 0 or 7
+  if (fields[4].values.has(7)) fields[4].values.add(0);
+  return fields;
+}
+
+/**
+ * Next time strictly after `from` that matches a parsed cron expression (local time)
+ */
+export function nextCronTime(fields, from) {
+  const [minutes, hours, days, months, weekdays] = fields;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Standard cron: when both day fields are restricted, either may match
+  const dayMatches = d => {
+    const dom = days.values.has(d.getDate());
+    const dow = weekdays.values.has(d.getDay());
+    if (days.any) return dow;
+    if (weekdays.any) return dom;
+    return dom || dow;
+  };
+
+  const limit = from + 366 * 24 * 60 * MINUTE;
+  while (date.getTime() <= limit) {
+    if (!months.values.has(date.getMonth() + 1) || !dayMatches(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!hours.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!minutes.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function parseClock(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Move a run that falls inside the quiet window to the end of that window.
+ * Windows may wrap midnight (e.g. 23:00 → 07:00).
+ */
+export function applyQuietHours(time, quietHours) {
+  const start = parseClock(quietHours?.start);
+  const end = parseClock(quietHours?.end);
+  if (start === null || end === null || start === end) return time;
+
+  const date = new Date(time);
+  const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+  const wraps = start > end;
+  const quiet = wraps ?
+    minuteOfDay >= start || minuteOfDay < end :
+    minuteOfDay >= start && minuteOfDay < end;
+  if (!quiet) return time;
+
+  const resume = new Date(time);
+  resume.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (wraps && minuteOfDay >= start) {
+    resume.setDate(resume.getDate() + 1);
+  }
+  return resume.getTime();
+}
+
+export class JobScheduler {
+  constructor(jobManager, options = {}) {
+    this.jobManager = jobManager;
+    this.alarm = 'sentio_scheduler';
+    this.getBlockedUntil = options.getBlockedUntil || (() => 0);
+    this.schedules = [];
+  }
+
+  /**
+   * Load schedules and re-arm the alarm (alarms are cleared on suspend)
+   */
+  async restore() {
+    this.schedules = await secureStorage.getSchedules();
+    await this.arm();
+    return this.schedules;
+  }
+
+  /**
+   * Compute the next run after `from`, honoring the minimum interval and quiet hours
+   */
+  nextRunAt(schedule, from = Date.now()) {
+    let next;
+    if (schedule.cron) {
+      next = nextCronTime(parseCron(schedule.cron), from);
+      if (next === null) return null;
+      // Cron expressions like "* * * * *" would otherwise run more often than the minimum
+      next = Math.max(next, from + CONFIG.SCHEDULE_MIN_INTERVAL);
+    } else {
+      const everyMs = Math.max(schedule.everyMinutes * MINUTE, CONFIG.SCHEDULE_MIN_INTERVAL);
+      next = from + everyMs;
+    }
+    return applyQuietHours(next, schedule.quietHours);
+  }
+
+  /**
+   * Schedules for display
+   */
+  async list() {
+    this.schedules = await secureStorage.getSchedules();
+    return this.schedules;
+  }
+
+  /**
+   * Create or update a schedule for a job definition
+   */
+  async save(input) {
+    const schedules = await secureStorage.getSchedules();
+    const existing = input.id ? schedules.find(item => item.id === input.id) : null;
+    if (!existing && schedules.length >= CONFIG.MAX_SCHEDULES) {
+      throw new Error(`At most ${CONFIG.MAX_SCHEDULES} schedules are allowed`);
+    }
+
+    const schedule = {
+      ...existing,
+      id: existing?.id || `s${Date.now().toString(36)}`,
+      name: input.name || existing?.name || input.job?.type || 'Scheduled job',
+      job: input.job || existing?.job,
+      cron: input.cron ? String(input.cron).trim() : null,
+      everyMinutes: input.cron ? null : Number(input.everyMinutes),
+      quietHours: input.quietHours?.start && input.quietHours?.end ? input.quietHours : null,
+      paused: existing?.paused || false,
+      createdAt: existing?.createdAt || new Date().toISOString()
+    };
+
+    this.validate(schedule);
+    schedule.nextRunAt = this.nextRunAt(schedule);
+    if (!schedule.nextRunAt) {
+      throw new Error('Schedule never runs within a year');
+    }
+
+    const next = existing ?
+      schedules.map(item => (item.id === schedule.id ? schedule : item)) :
+      [...schedules, schedule];
+    await this.persist(next);
+    const nextRun = new Date(schedule.nextRunAt).toISOString();
+    logger.info(`Schedule ${schedule.id} saved; next run ${nextRun}`);
+    return schedule;
+  }
+
+  /**
+   * Throw when a schedule cannot produce runnable jobs
+   */
+  validate(schedule) {
+    if (schedule.cron) {
+      parseCron(schedule.cron);
+    } else if (!Number.isFinite(schedule.everyMinutes) || schedule.everyMinutes <= 0) {
+      throw new Error('Schedule needs a cron expression or a positive interval');
+    }
+
+    const probe = this.buildJob(schedule, Date.now());
+    const validation = validateJob(probe);
+    if (!validation.isValid) {
+      throw new Error(`Invalid scheduled job: ${validation.errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Pause or resume a schedule; resuming starts counting from now
+   */
+  async setPaused(id, paused) {
+    const schedules = await secureStorage.getSchedules();
+    const schedule = schedules.find(item => item.id === id);
+    if (!schedule) return null;
+
+    schedule.paused = !!paused;
+    if (!schedule.paused) {
+      schedule.nextRunAt = this.nextRunAt(schedule);
+    }
+    await this.persist(schedules);
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule; runs it already queued are left alone
+   */
+  async remove(id) {
+    const schedules = await secureStorage.getSchedules();
+    const next = schedules.filter(item => item.id !== id);
+    if (next.length === schedules.length) return false;
+    await this.persist(next);
+    return true;
+  }
+
+  /**
+   * Alarm fired: queue every due schedule. Returns the number of jobs queued.
+   */
+  async runDue(now = Date.now()) {
+    const schedules = await secureStorage.getSchedules();
+    const blockedUntil = this.getBlockedUntil() || 0;
+    const jobs = [];
+
+    for (const schedule of schedules) {
+      if (schedule.paused || !schedule.nextRunAt || schedule.nextRunAt > now) continue;
+
+      // Respect the rate-limit backoff: run once it has ended
+      if (blockedUntil > now) {
+        schedule.nextRunAt = applyQuietHours(blockedUntil, schedule.quietHours);
+        logger.info(`Schedule ${schedule.id} deferred until backoff ends`);
+        continue;
+      }
+
+      // Don't pile up runs while the previous one is still waiting or running
+      if (schedule.lastJobId && await this.isOutstanding(schedule.lastJobId)) {
+        logger.info(`Schedule ${schedule.id} skipped; ${schedule.lastJobId} has not finished`);
+      } else {
+        const job = this.buildJob(schedule, now);
+        jobs.push(job);
+        schedule.lastJobId = job.id;
+        schedule.lastRunAt = now;
+      }
+      schedule.nextRunAt = this.nextRunAt(schedule, now);
+    }
+
+    if (jobs.length > 0) {
+      await this.jobManager.queueJobs(jobs);
+      for (const job of jobs) {
+        logger.logJobEvent(job.id, 'queued by schedule', { scheduleId: job.scheduleId });
+      }
+    }
+    await this.persist(schedules);
+    return jobs.length;
+  }
+
+  /**
+   * Whether a scheduled run is still queued or executing. After a service worker restart
+   * the queue and the running job's lease may only be in storage yet.
+   */
+  async isOutstanding(jobId) {
+    if (this.jobManager.currentJob?.id === jobId) return true;
+
+    const { jobQueue } = this.jobManager;
+    const queue = jobQueue.length > 0 ? jobQueue : await secureStorage.getJobQueue();
+    if (queue.some(job => job.id === jobId)) return true;
+    return (await secureStorage.getJobLease())?.jobId === jobId;
+  }
+
+  /**
+   * Materialize one run of a schedule as a local job
+   */
+  buildJob(schedule, now) {
+    const definition = schedule.job || {};
+    return {
+      id: `${schedule.id}-${now.toString(36)}`,
+      token: definition.token,
+      type: definition.type,
+      scheduleId: schedule.id,
+      status: JobStatus.PENDING,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CONFIG.SCHEDULE_JOB_TTL).toISOString(),
+      config: { ...definition.config }
+    };
+  }
+
+  /**
+   * Save schedules and point the alarm at the earliest active run
+   */
+  async persist(schedules) {
+    this.schedules = schedules;
+    await secureStorage.setSchedules(schedules);
+    await this.arm();
+  }
+
+  /**
+   * (Re)create the alarm for the earliest next run of an active schedule
+   */
+  async arm() {
+    const times = this.schedules
+      .filter(schedule => !schedule.paused && schedule.nextRunAt)
+      .map(schedule => schedule.nextRunAt);
+
+    try {
+      await chrome.alarms.clear(this.alarm);
+      if (times.length === 0) return;
+      // Overdue runs (e.g. the browser was closed) fire right away
+      chrome.alarms.create(this.alarm, { when: Math.max(Math.min(...times), Date.now() + 1000) });
+    } catch (error) {
+      logger.error('Failed to schedule job scheduler alarm:', error);
+    }
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Execution watchdog for the running job
+ * Tracks the job deadline in storage and on an alarm so it survives worker restarts
+ */
+import { logger } from '../utils/logger.js';
+import { secureStorage } from '../utils/storage.js';
+import { CONFIG } from '../shared/types.js';
+
+export class JobWatchdog {
+  constructor() {
+    this.alarm = 'sentio_job_watchdog';
+  }
+
+  /**
+   * Time budget for a job: job.config.timeout, capped at MAX_EXECUTION_TIME
+   */
+  getTimeout(job) {
+    const timeout = job?.config?.timeout;
+    if (typeof timeout === 'number' && timeout > 0) {
+      return Math.min(timeout, CONFIG.MAX_EXECUTION_TIME);
+    }
+    return CONFIG.MAX_EXECUTION_TIME;
+  }
+
+  /**
+   * Start the clock for a job that was handed to a tab
+   */
+  async arm(job) {
+    try {
+      const startedAt = job.startTime || Date.now();
+      const timeoutMs = this.getTimeout(job);
+      const deadline = {
+        jobId: job.id,
+        startedAt,
+        timeoutMs,
+        expiresAt: startedAt + timeoutMs
+      };
+
+      await secureStorage.setJobDeadline(deadline);
+      await this.schedule(deadline);
+      logger.logJobEvent(job.id, 'watchdog armed', { timeoutMs });
+      return deadline;
+
+    } catch (error) {
+      logger.error(`Failed to arm watchdog for job ${job?.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop watching a job. With a jobId, only that job's deadline is cleared.
+   */
+  async disarm(jobId = null) {
+    try {
+      const deadline = await secureStorage.getJobDeadline();
+      if (jobId && deadline && deadline.jobId !== jobId) return;
+
+      await chrome.alarms.clear(this.alarm);
+      await secureStorage.clearJobDeadline();
+
+    } catch (error) {
+      logger.error('Failed to disarm watchdog:', error);
+    }
+  }
+
+  /**
+   * Re-arm the alarm after a restart (onSuspend clears all alarms)
+   */
+  async restore() {
+    const deadline = await secureStorage.getJobDeadline();
+    if (deadline) {
+      await this.schedule(deadline);
+    }
+    return deadline;
+  }
+
+  /**
+   * Return the stored deadline if it has passed, otherwise re-arm and return null
+   */
+  async check() {
+    const deadline = await secureStorage.getJobDeadline();
+    if (!deadline) return null;
+
+    if (Date.now() < deadline.expiresAt) {
+      // Alarm fired early (Chrome rounds short delays); wait for the real deadline
+      await this.schedule(deadline);
+      return null;
+    }
+    return deadline;
+  }
+
+  /**
+   * Point the alarm at a deadline
+   */
+  async schedule(deadline) {
+    await chrome.alarms.clear(this.alarm);
+    chrome.alarms.create(this.alarm, { when: Math.max(deadline.expiresAt, Date.now() + 1000) });
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Adaptive polling schedule
+ * Grows the interval after empty or failed polls, snaps back when jobs arrive,
+ * honors the server's nextPollAfter hint, and keeps the interval in storage
+ * so the alarm is re-armed with it after the worker restarts.
+ */
+import { logger } from '../utils/logger.js';
+import { secureStorage } from '../utils/storage.js';
+import { CONFIG } from '../shared/types.js';
+
+export const PollOutcome = {
+  JOBS: 'jobs',
+  EMPTY: 'empty',
+  ERROR: 'error'
+};
+
+export class PollScheduler {
+  constructor(alarmName) {
+    this.alarm = alarmName;
+    this.intervalMs = CONFIG.POLLING_INTERVAL_MIN;
+    this.floorMs = CONFIG.POLLING_INTERVAL_MIN;
+    this.nextPollAt = null;
+    this.active = false;
+  }
+
+  /**
+   * Load the persisted interval
+   */
+  async restore() {
+    const saved = await secureStorage.getPollSchedule();
+    if (saved?.intervalMs) {
+      this.intervalMs = Math.max(saved.intervalMs, this.floorMs);
+      this.nextPollAt = saved.nextPollAt || null;
+    }
+    return saved;
+  }
+
+  /**
+   * Compute the next interval for a poll outcome.
+   * A server hint wins over the backoff but never goes below the floor.
+   */
+  nextInterval(outcome, hintMs = null) {
+    if (typeof hintMs === 'number' && hintMs >= 0) {
+      return Math.max(hintMs, this.floorMs);
+    }
+
+    const grown = Math.min(
+      Math.round(this.intervalMs * CONFIG.POLLING_BACKOFF_MULTIPLIER),
+      CONFIG.POLLING_INTERVAL_MAX
+    );
+
+    switch (outcome) {
+      case PollOutcome.JOBS:
+        return this.floorMs;
+      case PollOutcome.ERROR:
+        return Math.max(grown, CONFIG.POLLING_ERROR_COOLDOWN, this.floorMs);
+      case PollOutcome.EMPTY:
+      default:
+        return Math.max(grown, this.floorMs);
+    }
+  }
+
+  /**
+   * Adjust the schedule after a poll
+   */
+  async record(outcome, hintMs = null) {
+    const intervalMs = this.nextInterval(outcome, hintMs);
+    if (intervalMs !== this.intervalMs) {
+      const source = hintMs !== null ? ', server hint' : '';
+      logger.debug(`Poll interval ${this.intervalMs}ms → ${intervalMs}ms (${outcome}${source})`);
+    }
+    await this.schedule(intervalMs, Date.now() + intervalMs);
+  }
+
+  /**
+   * Raise or lower the minimum interval (relaxed while push delivery is up).
+   * Lowering it resets the interval to the new floor, so polling picks up at once.
+   */
+  async setFloor(floorMs) {
+    const lowered = floorMs < this.floorMs;
+    this.floorMs = floorMs;
+    const intervalMs = lowered ?
+      floorMs :
+      Math.max(floorMs, Math.min(this.intervalMs, CONFIG.POLLING_INTERVAL_MAX));
+    await this.schedule(intervalMs, Date.now() + intervalMs);
+  }
+
+  /**
+   * Arm the alarm with the current interval, keeping a persisted next poll time if still ahead
+   */
+  async arm() {
+    this.active = true;
+    const now = Date.now();
+    const pending = this.nextPollAt && this.nextPollAt > now;
+    const nextPollAt = pending ? this.nextPollAt : now + this.intervalMs;
+    await this.schedule(this.intervalMs, nextPollAt);
+  }
+
+  /**
+   * Clear the alarm; the interval stays persisted for the next arm()
+   */
+  async stop() {
+    this.active = false;
+    try {
+      await chrome.alarms.clear(this.alarm);
+    } catch (error) {
+      logger.error('Failed to clear polling alarm:', error);
+    }
+  }
+
+  /**
+   * Persist the schedule and (re)create the alarm while polling is active
+   */
+  async schedule(intervalMs, nextPollAt) {
+    this.intervalMs = intervalMs;
+    this.nextPollAt = nextPollAt;
+
+    try {
+      await secureStorage.setPollSchedule({ intervalMs, nextPollAt, updatedAt: Date.now() });
+      if (!this.active) return;
+
+      await chrome.alarms.clear(this.alarm);
+      // Periodic, so polling continues even if a handler throws before re-arming
+      chrome.alarms.create(this.alarm, {
+        when: nextPollAt,
+        periodInMinutes: intervalMs / 60000
+      });
+    } catch (error) {
+      logger.error('Failed to schedule polling alarm:', error);
+    }
+  }
+}
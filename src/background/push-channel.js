@@ -0,0 +1,215 @@
+/**
+ * Push channel for job delivery over server-sent events
+ * Reads the stream with fetch (EventSource is not available in service workers)
+ * and reconnects on an alarm with backoff; polling covers the gaps.
+ */
+import { logger } from '../utils/logger.js';
+import { CONFIG } from '../shared/types.js';
+
+/**
+ * Incremental text/event-stream parser. Calls onEvent({ event, data, id }) per message.
+ */
+export function createSseParser(onEvent) {
+  let buffer = '';
+  let event = '';
+  let data = [];
+  let id = null;
+
+  const dispatch = () => {
+    if (data.length > 0) {
+      onEvent({ event: event || 'message', data: data.join('\n'), id });
+    }
+    event = '';
+    data = [];
+  };
+
+  return {
+    feed(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line === '') {
+          dispatch();
+          continue;
+        }
+        // Comment lines double as keepalives
+        if (line.startsWith(':')) continue;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+        else if (field === 'id') id = value;
+      }
+    }
+  };
+}
+
+export class PushChannel {
+  constructor(apiClient, { onMessage = null, onStateChange = null } = {}) {
+    this.apiClient = apiClient;
+    this.onMessage = onMessage;
+    this.onStateChange = onStateChange;
+    this.reconnectAlarm = 'sentio_push_reconnect';
+    this.controller = null;
+    this.connected = false;
+    this.enabled = false;
+    this.unsupported = false;
+    this.failures = 0;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Open the stream if it is not already open
+   */
+  async connect() {
+    if (!CONFIG.PUSH_ENABLED || this.unsupported) return false;
+
+    this.enabled = true;
+    if (this.controller) return this.connected;
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      const response = await this.apiClient.openJobStream(controller.signal);
+      if (this.controller !== controller) {
+        // Disconnected while the request was in flight
+        controller.abort();
+        return false;
+      }
+
+      this.failures = 0;
+      await chrome.alarms.clear(this.reconnectAlarm);
+      this.setConnected(true);
+      logger.info('Push channel connected');
+
+      this.readStream(response.body, controller);
+      return true;
+
+    } catch (error) {
+      if (this.controller === controller) {
+        this.controller = null;
+        await this.handleDrop(error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Close the stream and stop reconnecting
+   */
+  async disconnect() {
+    this.enabled = false;
+    const controller = this.controller;
+    this.controller = null;
+    clearTimeout(this.idleTimer);
+
+    try { controller?.abort(); } catch (_) {}
+    try { await chrome.alarms.clear(this.reconnectAlarm); } catch (_) {}
+    this.setConnected(false);
+  }
+
+  /**
+   * Read events until the stream ends, errors or goes idle
+   */
+  async readStream(body, controller) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSseParser(message => this.dispatch(message));
+    let failure = null;
+
+    this.resetIdleTimer(controller);
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        this.resetIdleTimer(controller);
+        parser.feed(decoder.decode(value, { stream: true }));
+      }
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearTimeout(this.idleTimer);
+    }
+
+    // disconnect() clears the controller first; anything else is an unexpected drop
+    if (this.controller === controller) {
+      this.controller = null;
+      this.setConnected(false);
+      await this.handleDrop(failure || new Error('Stream closed by server'));
+    }
+  }
+
+  /**
+   * Abort a stream that stopped sending data (server pings keep it fresh)
+   */
+  resetIdleTimer(controller) {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      logger.warn('Push channel idle; reconnecting');
+      controller.abort();
+    }, CONFIG.PUSH_IDLE_TIMEOUT);
+  }
+
+  /**
+   * Hand a parsed event to the service worker
+   */
+  dispatch(message) {
+    // Any extension API call resets the service worker idle timer
+    try { chrome.runtime.getPlatformInfo?.(() => {}); } catch (_) {}
+
+    let data = null;
+    try {
+      data = message.data ? JSON.parse(message.data) : null;
+    } catch (_) {
+      logger.debug(`Ignoring non-JSON push event: ${message.event}`);
+      return;
+    }
+
+    try {
+      const handled = this.onMessage?.(message.event, data);
+      handled?.catch?.(error => logger.error(`Push event ${message.event} failed:`, error));
+    } catch (error) {
+      logger.error(`Push event ${message.event} failed:`, error);
+    }
+  }
+
+  /**
+   * Schedule a reconnect with backoff; polling takes over meanwhile
+   */
+  async handleDrop(error) {
+    if (!this.enabled) return;
+
+    // Servers without a push endpoint: stay on polling
+    if ([404, 405, 501].includes(error?.status)) {
+      this.unsupported = true;
+      logger.info('Push endpoint not available; using polling only');
+      return;
+    }
+
+    this.failures++;
+    const delay = Math.min(
+      CONFIG.PUSH_RECONNECT_BASE * Math.pow(2, this.failures - 1),
+      CONFIG.PUSH_RECONNECT_MAX
+    );
+    logger.warn(`Push channel down (${error?.message || error}); retrying in ${delay}ms`);
+
+    try {
+      chrome.alarms.create(this.reconnectAlarm, { when: Date.now() + delay });
+    } catch (alarmError) {
+      logger.error('Failed to schedule push reconnect:', alarmError);
+    }
+  }
+
+  setConnected(connected) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    try { this.onStateChange?.(connected); } catch (_) {}
+  }
+}
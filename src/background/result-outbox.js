@@ -0,0 +1,189 @@
+/**
+ * Durable outbox for job results that could not be submitted
+ * Persists failed submissions and retries them on an alarm with backoff
+ */
+import { logger } from '../utils/logger.js';
+import { secureStorage } from '../utils/storage.js';
+import { CONFIG } from '../shared/types.js';
+
+export class ResultOutbox {
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+    this.retryAlarm = 'sentio_outbox_retry';
+    this.isFlushing = false;
+  }
+
+  /**
+   * Park a result (or a streamed result chunk) that failed to submit
+   */
+  async enqueue(result, idempotencyKey, errorMessage, kind = 'result') {
+    try {
+      const items = await secureStorage.getResultOutbox();
+      const now = Date.now();
+
+      // Same submission failing again: keep the original entry
+      if (items.some(item => item.idempotencyKey === idempotencyKey)) {
+        return;
+      }
+
+      items.push({
+        idempotencyKey,
+        jobId: result.jobId,
+        kind,
+        result,
+        attempts: 0,
+        lastError: errorMessage || null,
+        createdAt: now,
+        lastAttemptAt: now,
+        nextAttemptAt: now + CONFIG.OUTBOX_RETRY_BASE,
+        exhausted: false
+      });
+
+      // Enforce the cap by dropping the oldest entries
+      while (items.length > CONFIG.MAX_FAILED_RESULTS) {
+        const dropped = items.shift();
+        logger.warn(`Result outbox full; dropping oldest result for job ${dropped.jobId}`);
+      }
+
+      await secureStorage.setResultOutbox(items);
+      await this.scheduleNext(items);
+
+      logger.info(`Result for job ${result.jobId} queued for resubmission`, {
+        outboxSize: items.length
+      });
+
+    } catch (error) {
+      logger.error('Failed to store result in outbox:', error);
+    }
+  }
+
+  /**
+   * Retry submissions. Only due items are sent unless force is set.
+   */
+  async flush(force = false) {
+    if (this.isFlushing) {
+      return { submitted: 0, remaining: (await secureStorage.getResultOutbox()).length };
+    }
+
+    this.isFlushing = true;
+    let submitted = 0;
+
+    try {
+      const items = await secureStorage.getResultOutbox();
+      const now = Date.now();
+      // Outcome of each attempted item by idempotency key: null once submitted
+      const outcomes = new Map();
+
+      for (const item of items) {
+        const due = force || (!item.exhausted && item.nextAttemptAt <= now);
+        if (!due) continue;
+
+        try {
+          const submit = item.kind === 'chunk' ?
+            this.apiClient.submitResultChunk.bind(this.apiClient) :
+            this.apiClient.submitJobResult.bind(this.apiClient);
+          await submit(item.result, { idempotencyKey: item.idempotencyKey });
+          submitted++;
+          outcomes.set(item.idempotencyKey, null);
+          logger.logJobEvent(item.jobId, 'queued result resubmitted', { attempts: item.attempts + 1 });
+        } catch (error) {
+          outcomes.set(item.idempotencyKey, this.markFailedAttempt(item, error, now));
+        }
+      }
+
+      // Apply the outcomes to the outbox as it is now: entries enqueued during the flush
+      // are kept, entries dropped meanwhile (cap, discard) stay dropped
+      const latest = await secureStorage.getResultOutbox();
+      const remaining = latest
+        .map(item => (outcomes.has(item.idempotencyKey) ? outcomes.get(item.idempotencyKey) : item))
+        .filter(Boolean);
+
+      await secureStorage.setResultOutbox(remaining);
+      await this.scheduleNext(remaining);
+
+      return { submitted, remaining: remaining.length };
+
+    } catch (error) {
+      logger.error('Result outbox flush failed:', error);
+      return { submitted, remaining: null };
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Record a failed retry and compute the next attempt time
+   */
+  markFailedAttempt(item, error, now = Date.now()) {
+    const attempts = item.attempts + 1;
+    const delay = Math.min(
+      CONFIG.OUTBOX_RETRY_BASE * Math.pow(2, attempts - 1),
+      CONFIG.OUTBOX_RETRY_MAX
+    );
+    const exhausted = attempts >= CONFIG.OUTBOX_MAX_ATTEMPTS;
+
+    if (exhausted) {
+      logger.warn(`Giving up automatic retries for job ${item.jobId} after ${attempts} attempts`);
+    }
+
+    return {
+      ...item,
+      attempts,
+      lastError: error?.message || String(error),
+      lastAttemptAt: now,
+      nextAttemptAt: now + delay,
+      exhausted
+    };
+  }
+
+  /**
+   * Arm the retry alarm for the earliest due item
+   */
+  async scheduleNext(items = null) {
+    try {
+      const list = items || await secureStorage.getResultOutbox();
+      const pending = list.filter(item => !item.exhausted);
+
+      await chrome.alarms.clear(this.retryAlarm);
+      if (pending.length === 0) return;
+
+      const next = Math.min(...pending.map(item => item.nextAttemptAt));
+      chrome.alarms.create(this.retryAlarm, { when: Math.max(next, Date.now() + 1000) });
+
+    } catch (error) {
+      logger.error('Failed to schedule outbox retry:', error);
+    }
+  }
+
+  /**
+   * Drop all queued results
+   */
+  async discard() {
+    try {
+      const items = await secureStorage.getResultOutbox();
+      await secureStorage.clearResultOutbox();
+      await chrome.alarms.clear(this.retryAlarm);
+      logger.warn(`Discarded ${items.length} queued result(s)`);
+      return items.length;
+    } catch (error) {
+      logger.error('Failed to discard outbox:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Summarize outbox contents for the popup
+   */
+  async getStatus() {
+    const items = await secureStorage.getResultOutbox();
+    const pending = items.filter(item => !item.exhausted);
+
+    return {
+      size: items.length,
+      exhausted: items.length - pending.length,
+      items: items.reduce((sum, item) => sum + (item.result?.data?.length || 0), 0),
+      nextAttemptAt: pending.length ? Math.min(...pending.map(item => item.nextAttemptAt)) : null,
+      lastError: items.length ? items[items.length - 1].lastError : null
+    };
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Selector drift detection
+ * Compares the field fill rates a job reports in result.metadata.coverage with a moving
+ * baseline per job type, so a renamed class is flagged on the first run it breaks.
+ */
+import { logger } from '../utils/logger.js';
+import { secureStorage } from '../utils/storage.js';
+import { CONFIG } from '../shared/types.js';
+
+const percent = rate => `${Math.round(rate * 100)}%`;
+
+/**
+ * One-line summary of drift warnings: "detail title 0% (was 97%), ..."
+ */
+export function describeDrift(warnings) {
+  return warnings
+    .map(w => `${w.scope} ${w.field} ${percent(w.fillRate)} (was ${percent(w.baseline)})`)
+    .join(', ');
+}
+
+export class SelectorDrift {
+  /**
+   * Check a finished job's coverage against earlier runs of its type and learn from it.
+   * Warnings are attached as result.metadata.selectorDrift and returned.
+   */
+  async check(job, result) {
+    const coverage = result?.metadata?.coverage;
+    if (!coverage || typeof coverage !== 'object') return [];
+
+    try {
+      const state = await secureStorage.getFieldCoverage();
+      const baselines = state.baselines || {};
+      const baseline = baselines[job.type] || {};
+      const warnings = [];
+
+      for (const [scope, report] of Object.entries(coverage)) {
+        // Too few items say little about a selector
+        if (!report?.fields || report.items < CONFIG.DRIFT_MIN_ITEMS) continue;
+        const known = baseline[scope] || {};
+
+        for (const [path, field] of Object.entries(report.fields)) {
+          const previous = known[path];
+          if (previous && previous.fillRate - field.fillRate >= CONFIG.DRIFT_FILL_DROP) {
+            warnings.push({
+              scope,
+              field: path,
+              fillRate: field.fillRate,
+              baseline: previous.fillRate,
+              selector: field.selector,
+              baselineSelector: previous.selector
+            });
+          }
+          // A lasting change becomes the new normal after a few runs
+          known[path] = this.learn(previous, field);
+        }
+        baseline[scope] = known;
+      }
+
+      baselines[job.type] = baseline;
+      result.metadata.selectorDrift = warnings;
+      await secureStorage.setFieldCoverage({
+        baselines,
+        lastDrift: warnings.length > 0 ? {
+          jobId: job.id,
+          jobType: job.type,
+          checkedAt: Date.now(),
+          summary: describeDrift(warnings),
+          warnings
+        } : null
+      });
+
+      if (warnings.length > 0) {
+        logger.warn(`Possible selector drift in ${job.id}: ${describeDrift(warnings)}`);
+      }
+      return warnings;
+    } catch (error) {
+      logger.warn('Selector drift check failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fold one run into a field's baseline (exponential moving average)
+   */
+  learn(previous, field) {
+    if (!previous) {
+      return { fillRate: field.fillRate, selector: field.selector, runs: 1 };
+    }
+
+    const weight = CONFIG.DRIFT_BASELINE_WEIGHT;
+    const fillRate = previous.fillRate * (1 - weight) + field.fillRate * weight;
+    return {
+      fillRate: Math.round(fillRate * 1000) / 1000,
+      selector: field.selector || previous.selector,
+      runs: previous.runs + 1
+    };
+  }
+
+  /**
+   * Most recent drift warnings, or null when the last checked run looked normal
+   */
+  async getLastDrift() {
+    const state = await secureStorage.getFieldCoverage();
+    return state.lastDrift || null;
+  }
+}
@@ -4,22 +4,43 @@
  */
 import { logger } from '../utils/logger.js';
 import { secureStorage } from '../utils/storage.js';
+import { ResultHistory } from '../utils/result-history.js';
 import { ApiClient } from './api-client.js';
 import { JobManager } from './job-manager.js';
 import { AuthManager } from './auth-manager.js';
+import { ResultOutbox } from './result-outbox.js';
+import { JobWatchdog } from './job-watchdog.js';
+import { PushChannel } from './push-channel.js';
+import { PollScheduler, PollOutcome } from './poll-scheduler.js';
+import { JobScheduler } from './job-scheduler.js';
+import { SelectorDrift, describeDrift } from './selector-drift.js';
 import { MessageTypes, ExtensionState, CONFIG } from '../shared/types.js';
 import { config } from '../utils/config.js';
 
 class ServiceWorker {
   constructor() {
     this.apiClient = new ApiClient();
-    this.jobManager = new JobManager(this.apiClient);
+    this.resultOutbox = new ResultOutbox(this.apiClient);
+    this.resultHistory = new ResultHistory();
+    this.jobWatchdog = new JobWatchdog();
+    this.selectorDrift = new SelectorDrift();
+    this.jobManager = new JobManager(
+      this.apiClient, this.resultOutbox, this.jobWatchdog, this.selectorDrift
+    );
     this.authManager = new AuthManager(this.apiClient);
+    this.pushChannel = new PushChannel(this.apiClient, {
+      onMessage: this.handlePushMessage.bind(this),
+      onStateChange: this.handlePushStateChange.bind(this)
+    });
     this.currentState = ExtensionState.UNAUTHORIZED;
     this.pollingAlarm = 'sentio_polling';
+    this.pollScheduler = new PollScheduler(this.pollingAlarm);
     this.healthCheckAlarm = 'sentio_health_check';
     this.submittedResults = new Set();
     this.blockedUntil = 0;
+    this.jobScheduler = new JobScheduler(this.jobManager, {
+      getBlockedUntil: () => this.blockedUntil
+    });
     this.initialize();
   }
 
@@ -36,6 +57,14 @@ class ServiceWorker {
       // Restore previous state
       await this.restoreState();
       try { this.blockedUntil = await secureStorage.getBlockedUntil(); } catch (_) {}
+      await this.jobManager.restoreLease();
+      await this.jobWatchdog.restore();
+      await this.pollScheduler.restore();
+      await this.jobScheduler.restore();
+      await this.resultOutbox.scheduleNext();
+      try { await this.resultHistory.importLegacy(); } catch (e) {
+        logger.warn('Failed to move the last job result into the history:', e?.message || e);
+      }
 
       // Seed development API key for easier testing
       try {
@@ -171,7 +200,11 @@ class ServiceWorker {
         
         case MessageTypes.GET_LAST_RESULT:
           try {
-            const last = await secureStorage.getLastResult();
+            // The most recent result, or the one of payload.jobId
+            const jobId = message.payload?.jobId;
+            const last = jobId ?
+              await this.resultHistory.get(jobId) :
+              await this.resultHistory.latest();
             sendResponse({ success: true, result: last });
           } catch (e) {
             sendResponse({ success: false, error: e?.message || 'Failed to get last result' });
@@ -185,6 +218,10 @@ class ServiceWorker {
             await secureStorage.clearLastResult();
             await secureStorage.clearJobQueue();
             try { await new Promise((r)=> chrome.storage.local.remove([CONFIG.STORAGE_KEYS.DETAIL_PROGRESS], ()=> r())); } catch(_){}
+            await secureStorage.clearListingProgress();
+            await secureStorage.clearResultStream();
+            await this.jobManager.releaseLease('reset');
+            await this.jobWatchdog.disarm();
             this.jobManager.currentJob = null;
             this.jobManager.jobQueue = [];
             await this.setState(ExtensionState.IDLE);
@@ -195,6 +232,60 @@ class ServiceWorker {
           }
           break;
 
+        case MessageTypes.GET_RESULT_HISTORY: {
+          const jobs = await this.resultHistory.list({ limit: message.payload?.limit });
+          sendResponse({ success: true, jobs, retention: await this.resultHistory.retention() });
+          break; }
+
+        case MessageTypes.SET_RESULT_RETENTION: {
+          const applied = await this.resultHistory.setRetention(message.payload || {});
+          sendResponse({ success: true, ...applied });
+          break; }
+
+        case MessageTypes.RESET_SEEN_LISTINGS: {
+          const forgotten = Object.keys(await secureStorage.getSeenListings()).length;
+          await secureStorage.clearSeenListings();
+          sendResponse({ success: true, forgotten });
+          break; }
+
+        case MessageTypes.GET_OUTBOX_STATUS:
+          sendResponse({ success: true, outbox: await this.resultOutbox.getStatus() });
+          break;
+
+        case MessageTypes.RETRY_OUTBOX: {
+          const flushed = await this.resultOutbox.flush(true);
+          sendResponse({ success: true, ...flushed });
+          break; }
+
+        case MessageTypes.DISCARD_OUTBOX: {
+          const discarded = await this.resultOutbox.discard();
+          sendResponse({ success: true, discarded });
+          break; }
+
+        case MessageTypes.GET_SCHEDULES:
+          sendResponse({ success: true, schedules: await this.jobScheduler.list() });
+          break;
+
+        case MessageTypes.SAVE_SCHEDULE:
+          try {
+            const schedule = await this.saveSchedule(message.payload || {});
+            sendResponse({ success: true, schedule });
+          } catch (e) {
+            sendResponse({ success: false, error: e?.message || 'Failed to save schedule' });
+          }
+          break;
+
+        case MessageTypes.PAUSE_SCHEDULE: {
+          const { id, paused } = message.payload || {};
+          const schedule = await this.jobScheduler.setPaused(id, paused);
+          sendResponse({ success: !!schedule, schedule });
+          break; }
+
+        case MessageTypes.DELETE_SCHEDULE: {
+          const deleted = await this.jobScheduler.remove(message.payload?.id);
+          sendResponse({ success: deleted });
+          break; }
+
         case MessageTypes.GET_DEBUG_STATE:
           try {
             const blockedUntil = this.blockedUntil;
@@ -202,7 +293,8 @@ class ServiceWorker {
             const lastPoll = await secureStorage.getLastPoll();
             const queue = await this.jobManager.getPendingJobs();
             const currentJob = this.jobManager.currentJob || null;
-            sendResponse({ success: true, state: this.currentState, blockedUntil, hasApiKey, lastPoll, queueSize: queue.length, currentJob });
+            const pushConnected = this.pushChannel.connected;
+            sendResponse({ success: true, state: this.currentState, blockedUntil, hasApiKey, lastPoll, queueSize: queue.length, currentJob, pushConnected, pollIntervalMs: this.pollScheduler.intervalMs });
           } catch (e) {
             sendResponse({ success: false, error: e?.message || 'Failed to get debug state' });
           }
@@ -246,6 +338,11 @@ class ServiceWorker {
           sendResponse({ success: true });
           break;
           
+        case MessageTypes.JOB_PROGRESS: {
+          const streamed = await this.handleJobProgress(message.payload);
+          sendResponse({ success: true, streamed });
+          break; }
+          
         case MessageTypes.JOB_COMPLETED:
           await this.handleJobCompleted(message.payload);
           sendResponse({ success: true });
@@ -287,6 +384,28 @@ class ServiceWorker {
           await this.performHealthCheck();
           break;
           
+        case this.jobManager.leaseAlarm:
+          // Check first: a cancelled job's heartbeat would fail with LEASE_EXPIRED
+          await this.checkCancellations();
+          await this.jobManager.renewLease();
+          break;
+          
+        case this.resultOutbox.retryAlarm:
+          await this.resultOutbox.flush();
+          break;
+          
+        case this.jobWatchdog.alarm:
+          await this.handleJobTimeout();
+          break;
+
+        case this.jobScheduler.alarm:
+          await this.runScheduledJobs();
+          break;
+          
+        case this.pushChannel.reconnectAlarm:
+          await this.pushChannel.connect();
+          break;
+          
         default:
           logger.warn('Unknown alarm:', alarm.name);
       }
@@ -411,14 +530,8 @@ class ServiceWorker {
    */
   async startPolling() {
     try {
-      // Clear any existing alarms
-      await chrome.alarms.clear(this.pollingAlarm);
-      
-      // Create new polling alarm
-      chrome.alarms.create(this.pollingAlarm, {
-        delayInMinutes: CONFIG.POLLING_INTERVAL_MIN / 60000,
-        periodInMinutes: CONFIG.POLLING_INTERVAL_MIN / 60000
-      });
+      // Polling alarm at the current adaptive interval
+      await this.pollScheduler.arm();
       
       // Start health check alarm
       chrome.alarms.create(this.healthCheckAlarm, {
@@ -430,6 +543,9 @@ class ServiceWorker {
     } catch (error) {
       logger.error('Failed to start polling:', error);
     }
+
+    // Open the push channel alongside; not awaited since the stream stays open
+    this.pushChannel.connect();
   }
 
   /**
@@ -437,7 +553,8 @@ class ServiceWorker {
    */
   async stopPolling() {
     try {
-      await chrome.alarms.clear(this.pollingAlarm);
+      await this.pushChannel.disconnect();
+      await this.pollScheduler.stop();
       await chrome.alarms.clear(this.healthCheckAlarm);
       logger.info('Polling stopped');
     } catch (error) {
@@ -463,7 +580,7 @@ class ServiceWorker {
         await this.setState(ExtensionState.POLLING);
       }
       
-      const jobs = await this.jobManager.fetchPendingJobs();
+      const { jobs, nextPollAfter } = await this.jobManager.pollJobs();
       
       if (jobs && jobs.length > 0) {
         logger.info(`Found ${jobs.length} pending job(s)`);
@@ -473,6 +590,7 @@ class ServiceWorker {
       
       await this.setState(ExtensionState.IDLE);
       await secureStorage.setLastPoll(Date.now());
+      await this.pollScheduler.record(jobs.length > 0 ? PollOutcome.JOBS : PollOutcome.EMPTY, nextPollAfter);
       
     } catch (error) {
       logger.error('Polling failed:', error);
@@ -483,12 +601,64 @@ class ServiceWorker {
       } else {
         await this.setState(ExtensionState.IDLE);
       }
-      
-      // Implement exponential backoff for failed polls
-      setTimeout(() => {
-        // Backoff sonra tekrar IDLE'a döneriz, popup'ta hata paneli tetiklemeyiz
-        this.setState(ExtensionState.IDLE);
-      }, CONFIG.POLLING_INTERVAL_MIN * 2);
+
+      // Back off on the alarm; Retry-After / nextPollAfter from the error wins when present
+      await this.pollScheduler.record(PollOutcome.ERROR, error.retryAfterMs ?? null);
+    }
+  }
+
+  /**
+   * Push channel up: keep a slow poll as a safety net. Down: back to regular polling.
+   */
+  async handlePushStateChange(connected) {
+    // disconnect() from stopPolling also lands here; polling is meant to stay off then
+    if (!this.pushChannel.enabled || this.isBlocked()) return;
+
+    try {
+      await this.pollScheduler.setFloor(connected ? CONFIG.POLLING_INTERVAL_MAX : CONFIG.POLLING_INTERVAL_MIN);
+      logger.info(connected ? 'Push channel active; polling relaxed' : 'Push channel down; falling back to polling');
+    } catch (error) {
+      logger.error('Failed to adjust polling for push state:', error);
+    }
+  }
+
+  /**
+   * Handle jobs and control messages delivered over the push channel
+   */
+  async handlePushMessage(event, data) {
+    switch (event) {
+      case 'jobs': {
+        const incoming = Array.isArray(data?.jobs) ? data.jobs : [];
+        const jobs = await this.jobManager.acceptIncomingJobs(incoming);
+        if (jobs.length > 0) {
+          logger.info(`Received ${jobs.length} job(s) via push`);
+          await this.jobManager.queueJobs(jobs);
+          if (!this.isBlocked()) {
+            await this.jobManager.tryExecuteNextJob();
+          }
+        }
+        break; }
+
+      case 'cancel': {
+        const list = Array.isArray(data?.cancellations) ? data.cancellations : [data];
+        const cancellations = list
+          .filter(entry => typeof entry?.jobId === 'string')
+          .map(entry => ({ jobId: entry.jobId, reason: entry.reason || null }));
+        if (cancellations.length > 0) {
+          await this.afterCancellations(await this.jobManager.applyCancellations(cancellations));
+        }
+        break; }
+
+      case 'poll':
+        await this.pollForJobs(true);
+        break;
+
+      case 'hello':
+      case 'ping':
+        break;
+
+      default:
+        logger.debug('Unknown push event:', event);
     }
   }
 
@@ -524,37 +694,78 @@ class ServiceWorker {
     logger.logJobEvent(payload.jobId, 'started', payload);
   }
 
+  /**
+   * Progress from the content script: stream new items and keep the lease alive.
+   * Returns how many items have been streamed for the job so far.
+   */
+  async handleJobProgress(payload) {
+    let streamed = null;
+    if (Array.isArray(payload?.items) && payload.items.length > 0) {
+      const { jobId, items, offset = 0 } = payload;
+      streamed = await this.jobManager.streamResultItems(jobId, items, offset);
+    }
+
+    const lease = this.jobManager.currentLease;
+    if (!lease || lease.jobId !== payload?.jobId) return streamed;
+    await this.jobManager.renewLease({
+      current: payload.current ?? 0,
+      total: payload.total ?? 0,
+      url: payload.url || null,
+      timestamp: payload.timestamp || Date.now()
+    });
+    return streamed;
+  }
+
   async handleJobCompleted(payload) {
     // Deduplicate multiple completes for same job
     if (this.submittedResults.has(payload.jobId)) {
       logger.debug(`Duplicate job_completed ignored for ${payload.jobId}`);
       return;
     }
+    if (this.jobManager.cancelledJobIds.has(payload.jobId)) {
+      logger.debug(`job_completed for cancelled job ${payload.jobId} ignored`);
+      return;
+    }
 
     await this.setState(ExtensionState.IDLE);
-    logger.logJobEvent(payload.jobId, 'completed', payload);
-    try { await secureStorage.setLastResult(payload); } catch (e) {
-      logger.warn('Failed to cache last job result for export:', e?.message || e);
-    }
+    logger.logJobEvent(payload.jobId, 'completed', payload.metadata);
 
+    // The payload is a summary; the full result adds the items streamed during the run
+    let followUps = 0;
+    let result = payload;
     try {
-      await this.jobManager.handleJobCompletion(payload.jobId, payload);
+      const outcome = await this.jobManager.handleJobCompletion(payload.jobId, payload);
+      followUps = outcome?.followUps || 0;
+      result = outcome?.result || payload;
       this.submittedResults.add(payload.jobId);
     } catch (e) {
       logger.warn('Result submission encountered an issue:', e?.message || e);
     }
+    await this.recordResult(result);
 
     // Browser notification
     try {
       const items = payload?.metadata?.itemsExtracted ?? (payload?.data?.length || 0);
+      const queued = (await secureStorage.getResultOutbox())
+        .some(item => item.jobId === payload?.jobId);
+      const drift = result?.metadata?.selectorDrift || [];
       chrome.notifications?.create?.(undefined, {
         type: 'basic',
         iconUrl: 'assets/icons/logo.png',
-        title: 'Scrape Completed',
-        message: `${items} item(s) extracted and submitted`,
-        priority: 0
+        title: drift.length > 0 ? 'Scrape Completed — check selectors' : 'Scrape Completed',
+        message: (queued ?
+          `${items} item(s) extracted; upload queued for retry` :
+          `${items} item(s) extracted and submitted`) +
+          (followUps > 0 ? `; ${followUps} follow-up job(s) queued` : '') +
+          (drift.length > 0 ? `. Fields emptier than usual: ${describeDrift(drift)}` : ''),
+        priority: drift.length > 0 ? 1 : 0
       });
     } catch (_) {}
+
+    // Follow-up jobs exist only locally, so no poll will announce them
+    if (followUps > 0 && !this.isBlocked()) {
+      await this.jobManager.tryExecuteNextJob();
+    }
   }
 
   async handleJobFailed(payload) {
@@ -568,6 +779,94 @@ class ServiceWorker {
     } catch (_) {}
   }
 
+  /**
+   * Apply server cancellations for the running job (polling is paused while executing)
+   */
+  async checkCancellations() {
+    if (!this.jobManager.currentJob) return;
+
+    await this.afterCancellations(await this.jobManager.checkCancellations());
+  }
+
+  /**
+   * Go idle and pick up the next job once the running one was cancelled
+   */
+  async afterCancellations({ stoppedCurrent }) {
+    if (!stoppedCurrent) return;
+
+    await this.setState(ExtensionState.IDLE);
+    if (!this.isBlocked()) {
+      await this.jobManager.tryExecuteNextJob();
+    }
+  }
+
+  /**
+   * Keep a finished job's result in the result history (exports read from it)
+   */
+  async recordResult(result) {
+    const job = this.jobManager.executionHistory.find(entry => entry.id === result?.jobId);
+    try {
+      await this.resultHistory.add(result, job);
+    } catch (e) {
+      logger.warn('Failed to store job result in history:', e?.message || e);
+    }
+  }
+
+  /**
+   * Save a schedule; without an explicit job it repeats the most recent job
+   */
+  async saveSchedule(payload) {
+    const source = payload.job || this.jobManager.currentJob || this.jobManager.executionHistory[0];
+    if (!source) {
+      throw new Error('No recent job to schedule');
+    }
+
+    const { type, token, config: jobConfig } = source;
+    return await this.jobScheduler.save({ ...payload, job: { type, token, config: jobConfig } });
+  }
+
+  /**
+   * Scheduler alarm: queue due runs and start one if nothing is executing
+   */
+  async runScheduledJobs() {
+    const queued = await this.jobScheduler.runDue();
+
+    // Scheduled jobs exist only locally, so no poll will announce them
+    if (queued > 0 && !this.isBlocked() && this.currentState !== ExtensionState.EXECUTING) {
+      await this.jobManager.tryExecuteNextJob();
+    }
+  }
+
+  /**
+   * Watchdog fired: stop the job that overran its deadline and move on
+   */
+  async handleJobTimeout() {
+    const deadline = await this.jobWatchdog.check();
+    if (!deadline) return;
+
+    logger.warn(`Job ${deadline.jobId} exceeded its ${deadline.timeoutMs}ms budget; stopping it`);
+    const result = await this.jobManager.handleJobTimeout(deadline.jobId, deadline.timeoutMs);
+
+    // A late JOB_COMPLETED from the cancelled tab must not be submitted again
+    this.submittedResults.add(deadline.jobId);
+    await this.recordResult(result);
+    await this.setState(ExtensionState.IDLE);
+
+    try {
+      chrome.notifications?.create?.(undefined, {
+        type: 'basic',
+        iconUrl: 'assets/icons/logo.png',
+        title: 'Scrape Timed Out',
+        message: `Stopped after ${Math.round(deadline.timeoutMs / 1000)}s; ${result.data.length} partial item(s) submitted`,
+        priority: 0
+      });
+    } catch (_) {}
+
+    if (!this.isBlocked()) {
+      await this.jobManager.tryExecuteNextJob();
+    }
+  }
+
   async handleHealthResponse(payload, tabId) {
     logger.debug(`Health response from tab ${tabId}:`, payload);
   }
@@ -594,12 +893,17 @@ class ServiceWorker {
     const hasApiKey = await secureStorage.hasApiKey();
     const lastPoll = await secureStorage.getLastPoll();
     const jobQueue = await secureStorage.getJobQueue();
+    const outbox = await secureStorage.getResultOutbox();
     
     return {
       state: this.currentState,
       hasApiKey,
       lastPoll,
       queuedJobs: jobQueue.length,
+      outboxSize: outbox.length,
+      selectorDrift: await this.selectorDrift.getLastDrift(),
+      pushConnected: this.pushChannel.connected,
+      pollIntervalMs: this.pollScheduler.intervalMs,
       isPolling: this.currentState === ExtensionState.POLLING,
       isExecuting: this.currentState === ExtensionState.EXECUTING
     };
@@ -680,6 +984,8 @@ class ServiceWorker {
     this.blockedUntil = Date.now() + minutes * 60000;
     await secureStorage.setBlockedUntil(this.blockedUntil);
     await this.stopPolling();
+    // Hand the job back so another client can finish it during our backoff
+    try { await this.jobManager.releaseCurrentJob('blocked'); } catch (_) {}
     await this.setState(ExtensionState.IDLE);
     logger.warn(`Backoff engaged for ${minutes} minutes`);
   }
@@ -0,0 +1,234 @@
+/**
+ * Attribute normalization for Sentio Chrome Extension
+ * Maps the Turkish label/value rows of sahibinden's `.classifiedInfoList` to stable
+ * English keys with typed values. Each entry keeps the original label and text:
+ *   "Oda Sayısı: 3+1" → rooms: { value: { rooms: 3, salons: 1 }, raw: '3+1', label: 'Oda Sayısı' }
+ */
+import { parseTurkishDate } from '../utils/date.js';
+
+const FLOORS = {
+  'bodrum kat': { level: -1, kind: 'basement' },
+  'bodrum ve zemin': { level: -1, kind: 'basement' },
+  'kot 1': { level: -1, kind: 'semi_basement' },
+  'kot 2': { level: -2, kind: 'semi_basement' },
+  'kot 3': { level: -3, kind: 'semi_basement' },
+  'kot 4': { level: -4, kind: 'semi_basement' },
+  'zemin kat': { level: 0, kind: 'ground' },
+  'bahce kati': { level: 0, kind: 'garden' },
+  'giris kati': { level: 0, kind: 'entrance' },
+  'yuksek giris': { level: 0, kind: 'raised_entrance' },
+  'mustakil': { level: null, kind: 'detached' },
+  'villa tipi': { level: null, kind: 'villa' },
+  'cati kati': { level: null, kind: 'roof' }
+};
+
+const HEATING = {
+  'yok': 'none',
+  'soba': 'stove',
+  'dogalgaz sobasi': 'gas_stove',
+  'kat kaloriferi': 'floor_boiler',
+  'merkezi': 'central',
+  'merkezi (pay olcer)': 'central_metered',
+  'kombi (dogalgaz)': 'combi_gas',
+  'kombi (elektrik)': 'combi_electric',
+  'yerden isitma': 'underfloor',
+  'klima': 'air_conditioning',
+  'fancoil unitesi': 'fan_coil',
+  'gunes enerjisi': 'solar',
+  'elektrikli radyator': 'electric_radiator',
+  'jeotermal': 'geothermal',
+  'somine': 'fireplace',
+  'vrv': 'vrv',
+  'isi pompasi': 'heat_pump'
+};
+
+const PARKING = {
+  'yok': 'none',
+  'acik otopark': 'open',
+  'kapali otopark': 'closed',
+  'acik & kapali otopark': 'open_and_closed'
+};
+
+const OCCUPANCY = {
+  'bos': 'vacant',
+  'kiracili': 'tenant',
+  'mulk sahibi': 'owner'
+};
+
+const SELLER_TYPES = {
+  'sahibinden': 'owner',
+  'emlak ofisinden': 'agency',
+  'insaat firmasindan': 'developer',
+  'bankadan': 'bank'
+};
+
+const KITCHENS = {
+  'acik': 'open',
+  'kapali': 'closed',
+  'acik (amerikan)': 'open',
+  'kapali (ayri)': 'closed'
+};
+
+/**
+ * Known labels (folded, see foldText) → English key and value type
+ */
+export const ATTRIBUTE_LABELS = {
+  'ilan no': { key: 'listingId', type: 'text' },
+  'ilan tarihi': { key: 'listedAt', type: 'date' },
+  'emlak tipi': { key: 'propertyType', type: 'text' },
+  'm2 (brut)': { key: 'grossArea', type: 'number' },
+  'm2 (net)': { key: 'netArea', type: 'number' },
+  'm2': { key: 'area', type: 'number' },
+  'm2 fiyati': { key: 'pricePerSquareMetre', type: 'number' },
+  'acik alan m2': { key: 'openArea', type: 'number' },
+  'oda sayisi': { key: 'rooms', type: 'rooms' },
+  'bina yasi': { key: 'buildingAge', type: 'range' },
+  'bulundugu kat': { key: 'floor', type: 'floor' },
+  'kat sayisi': { key: 'floorCount', type: 'integer' },
+  'isitma': { key: 'heating', type: 'enum', values: HEATING },
+  'banyo sayisi': { key: 'bathrooms', type: 'integer' },
+  'mutfak': { key: 'kitchen', type: 'enum', values: KITCHENS },
+  'balkon': { key: 'balcony', type: 'boolean' },
+  'asansor': { key: 'elevator', type: 'boolean' },
+  'otopark': { key: 'parking', type: 'enum', values: PARKING },
+  'esyali': { key: 'furnished', type: 'boolean' },
+  'kullanim durumu': { key: 'occupancy', type: 'enum', values: OCCUPANCY },
+  'site icerisinde': { key: 'inComplex', type: 'boolean' },
+  'site adi': { key: 'complexName', type: 'text' },
+  'aidat (tl)': { key: 'monthlyFee', type: 'number' },
+  'depozito (tl)': { key: 'deposit', type: 'number' },
+  'krediye uygun': { key: 'mortgageEligible', type: 'boolean' },
+  'tapu durumu': { key: 'titleDeed', type: 'text' },
+  'kimden': { key: 'sellerType', type: 'enum', values: SELLER_TYPES },
+  'takas': { key: 'swap', type: 'boolean' },
+  'cephe': { key: 'facing', type: 'text' },
+  'imar durumu': { key: 'zoning', type: 'text' },
+  'ada no': { key: 'block', type: 'text' },
+  'parsel no': { key: 'parcel', type: 'text' },
+  'pafta no': { key: 'sheet', type: 'text' },
+  'kaks (emsal)': { key: 'floorAreaRatio', type: 'number' },
+  'gabari': { key: 'heightLimit', type: 'text' }
+};
+
+/**
+ * Lowercase (Turkish rules), drop diacritics and collapse whitespace: "Bina Yaşı:" → "bina yasi"
+ */
+export function foldText(text) {
+  return String(text || '')
+    .toLocaleLowerCase('tr-TR')
+    .replace(/²/g, '2')
+    .replace(/ç/g, 'c').replace(/ğ/g, 'g').replace(/ı/g, 'i')
+    .replace(/ö/g, 'o').replace(/ş/g, 's').replace(/ü/g, 'u')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*:\s*$/, '')
+    .trim();
+}
+
+/**
+ * Turkish-formatted number ("1.250", "4,5", "125 m²") or null
+ */
+function parseNumber(text) {
+  const match = String(text).match(/-?\d[\d.]*(?:,\d+)?/);
+  if (!match) return null;
+  const normalized = match[0].replace(/\.(?=\d{3}(?:\D|$))/g, '').replace(',', '.');
+  const value = Number(normalized);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * "3+1" → { rooms: 3, salons: 1 }; "Stüdyo (1+0)" and "10 Üzeri" are understood too
+ */
+function parseRooms(text) {
+  const folded = foldText(text);
+  const match = folded.match(/(\d+(?:[.,]\d+)?)\s*\+\s*(\d+)/);
+  if (match) {
+    return { rooms: parseNumber(match[1]), salons: Number(match[2]) };
+  }
+  if (folded.startsWith('studyo')) return { rooms: 1, salons: 0 };
+
+  const rooms = parseNumber(folded);
+  if (rooms === null) return null;
+  // "10 Üzeri" gives a lower bound only
+  return { rooms, salons: /uzeri/.test(folded) ? null : 0 };
+}
+
+/**
+ * "0" → { min: 0, max: 0 }, "16-20 arası" → { min: 16, max: 20 },
+ * "31 ve üzeri" → { min: 31, max: null }
+ */
+function parseRange(text) {
+  const folded = foldText(text);
+  const numbers = (folded.match(/\d+/g) || []).map(Number);
+  if (numbers.length === 0) return null;
+  if (/uzeri/.test(folded)) return { min: numbers[0], max: null };
+  return { min: numbers[0], max: numbers[1] ?? numbers[0] };
+}
+
+/**
+ * Floor as a level (0 = ground, negative = below) and a kind
+ */
+function parseFloor(text) {
+  const folded = foldText(text);
+  if (FLOORS[folded]) return { ...FLOORS[folded] };
+
+  const level = parseNumber(folded);
+  if (level === null) return null;
+  return { level, kind: 'regular' };
+}
+
+/**
+ * "Evet"/"Var" → true, "Hayır"/"Yok" → false, anything else ("Bilinmiyor") → null
+ */
+function parseBoolean(text) {
+  const folded = foldText(text);
+  if (folded === 'evet' || folded === 'var') return true;
+  if (folded === 'hayir' || folded === 'yok') return false;
+  return null;
+}
+
+/**
+ * Typed value for one raw cell
+ */
+function parseValue(raw, spec) {
+  switch (spec.type) {
+    case 'number':
+      return parseNumber(raw);
+    case 'integer': {
+      // "Yok" bathrooms means none
+      if (foldText(raw) === 'yok') return 0;
+      const value = parseNumber(raw);
+      return value === null ? null : Math.trunc(value);
+    }
+    case 'rooms':
+      return parseRooms(raw);
+    case 'range':
+      return parseRange(raw);
+    case 'floor':
+      return parseFloor(raw);
+    case 'boolean':
+      return parseBoolean(raw);
+    case 'enum':
+      return spec.values[foldText(raw)] ?? null;
+    case 'date':
+      return parseTurkishDate(raw)?.date ?? null;
+    default:
+      return String(raw).trim();
+  }
+}
+
+/**
+ * Normalize a label → text map (DOMExtractor.extractTableData) into typed attributes.
+ * Unknown labels are left out; the raw table stays available as `details`.
+ */
+export function normalizeAttributes(details) {
+  const attributes = {};
+
+  for (const [label, raw] of Object.entries(details || {})) {
+    const spec = ATTRIBUTE_LABELS[foldText(label)];
+    if (!spec || typeof raw !== 'string') continue;
+
+    attributes[spec.key] = { value: parseValue(raw, spec), raw, label };
+  }
+
+  return attributes;
+}
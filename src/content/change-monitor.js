@@ -0,0 +1,170 @@
+/**
+ * Change monitoring for Sentio Chrome Extension
+ * Keeps a snapshot of each monitored page's listings (keyed by listing ID) in local
+ * storage and turns the differences between two runs into typed change events.
+ */
+import { logger } from '../utils/logger.js';
+import { secureStorage } from '../utils/storage.js';
+import { CONFIG } from '../shared/types.js';
+import { listingKey } from '../utils/seen-listings.js';
+
+export const ChangeTypes = {
+  PRICE_CHANGED: 'price_changed',
+  DESCRIPTION_EDITED: 'description_edited',
+  IMAGES_CHANGED: 'images_changed',
+  SELLER_CHANGED: 'seller_changed',
+  LISTING_REMOVED: 'listing_removed',
+  LISTING_ADDED: 'listing_added'
+};
+
+/**
+ * The compared fields of an extracted item. Fields the page did not show are null
+ * and never reported as changed (listing cards carry no description or seller).
+ */
+export function takeSnapshot(item) {
+  const price = item?.price && typeof item.price === 'object' ?
+    { amount: item.price.amount ?? null, currency: item.price.currency || null } :
+    { amount: typeof item?.price === 'number' ? item.price : null, currency: null };
+  const seller = item?.contact?.name || item?.from ?
+    { name: item.contact?.name || null, from: item.from || null } :
+    null;
+
+  return {
+    id: listingKey(item),
+    url: item?.url || null,
+    title: item?.title || null,
+    price: price.amount === null ? null : price,
+    description: item?.description || null,
+    images: Array.isArray(item?.images) ? [...new Set(item.images.filter(Boolean))] : null,
+    seller
+  };
+}
+
+const sameSeller = (a, b) => a.name === b.name && a.from === b.from;
+
+// Event about a whole listing (added, removed)
+const listingEvent = (type, id, snapshot) => ({
+  type,
+  listingId: id,
+  url: snapshot.url,
+  title: snapshot.title
+});
+
+/**
+ * Change events between two snapshots of one listing
+ */
+export function diffSnapshots(before, after) {
+  const changes = [];
+  const base = {
+    listingId: after.id,
+    url: after.url || before.url,
+    title: after.title || before.title
+  };
+
+  if (before.price && after.price && before.price.amount !== after.price.amount) {
+    const comparable = before.price.currency === after.price.currency;
+    const delta = comparable ? after.price.amount - before.price.amount : null;
+    changes.push({
+      ...base,
+      type: ChangeTypes.PRICE_CHANGED,
+      before: before.price.amount,
+      after: after.price.amount,
+      currency: after.price.currency,
+      delta,
+      deltaPercent: comparable && before.price.amount ?
+        Math.round((delta / before.price.amount) * 1000) / 10 :
+        null
+    });
+  }
+
+  if (before.description && after.description && before.description !== after.description) {
+    changes.push({
+      ...base,
+      type: ChangeTypes.DESCRIPTION_EDITED,
+      before: before.description,
+      after: after.description
+    });
+  }
+
+  if (before.images && after.images) {
+    const added = after.images.filter(url => !before.images.includes(url));
+    const removed = before.images.filter(url => !after.images.includes(url));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ ...base, type: ChangeTypes.IMAGES_CHANGED, added, removed });
+    }
+  }
+
+  if (before.seller && after.seller && !sameSeller(before.seller, after.seller)) {
+    changes.push({
+      ...base,
+      type: ChangeTypes.SELLER_CHANGED,
+      before: before.seller,
+      after: after.seller
+    });
+  }
+
+  return changes;
+}
+
+export class ChangeMonitor {
+  /**
+   * Compare a page state (JobExecutor.extractCurrentState) with the previous snapshot of
+   * the same URL, store the new snapshot and return the change events.
+   * The first run of a URL only records its baseline.
+   *
+   * @param {Object} state - { url, listings: [items], removed: bool, complete: bool }
+   *   removed: a detail page saying the listing is gone
+   *   complete: the listings are everything the page lists (absent IDs count as removed)
+   */
+  async compare(state, now = Date.now()) {
+    const snapshots = await secureStorage.getMonitorSnapshots();
+    const previous = snapshots[state.url]?.listings || null;
+    const current = {};
+    const changes = [];
+
+    for (const item of state.listings || []) {
+      const snapshot = takeSnapshot(item);
+      if (snapshot.id) current[snapshot.id] = snapshot;
+    }
+
+    if (previous) {
+      for (const [id, snapshot] of Object.entries(current)) {
+        if (previous[id]) {
+          changes.push(...diffSnapshots(previous[id], snapshot));
+        } else if (state.complete) {
+          changes.push(listingEvent(ChangeTypes.LISTING_ADDED, id, snapshot));
+        }
+      }
+
+      for (const [id, snapshot] of Object.entries(previous)) {
+        const gone = state.removed || (state.complete && !current[id]);
+        if (current[id] || !gone || snapshot.removed) continue;
+        changes.push(listingEvent(ChangeTypes.LISTING_REMOVED, id, snapshot));
+      }
+    }
+
+    // A removed listing keeps its last snapshot (reported once) so a relisting is compared to it
+    const listings = state.removed ?
+      Object.fromEntries(Object.entries(previous || {})
+        .map(([id, snapshot]) => [id, { ...snapshot, removed: true }])) :
+      { ...(state.complete ? {} : previous), ...current };
+    snapshots[state.url] = { updatedAt: now, listings };
+    await secureStorage.setMonitorSnapshots(this.prune(snapshots));
+
+    logger.debug(`Change monitor: ${changes.length} change(s) on ${state.url}`);
+    return changes.map(change => ({ ...change, detectedAt: new Date(now).toISOString() }));
+  }
+
+  /**
+   * Keep the most recently monitored URLs within CONFIG.MONITOR_MAX_URLS
+   */
+  prune(snapshots) {
+    const urls = Object.keys(snapshots);
+    if (urls.length <= CONFIG.MONITOR_MAX_URLS) return snapshots;
+
+    const kept = urls
+      .sort((a, b) => snapshots[b].updatedAt - snapshots[a].updatedAt)
+      .slice(0, CONFIG.MONITOR_MAX_URLS);
+    return Object.fromEntries(kept.map(url => [url, snapshots[url]]));
+  }
+}
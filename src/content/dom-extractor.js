@@ -3,6 +3,9 @@
  * Handles robust data extraction from web pages
  */
 import { logger } from '../utils/logger.js';
+import { extractStructuredData, getStructuredValue } from './structured-data.js';
+import { parsePrice } from '../utils/price.js';
+import { parseTurkishDate } from '../utils/date.js';
 
 export class DOMExtractor {
   constructor() {
@@ -13,6 +16,8 @@ export class DOMExtractor {
     };
     this.cache = new Map();
     this.cacheTimeout = 5000; // 5 seconds
+    // Alternative of each selector chain that last yielded a value (field coverage)
+    this.matches = new Map();
   }
 
   /**
@@ -34,7 +39,8 @@ export class DOMExtractor {
 
       // Clean and normalize text
       text = this.cleanText(text);
-      
+      if (!text) this.noteMatch(selector, null);
+
       this.extractionStats.successful++;
       return text;
 
@@ -56,6 +62,7 @@ export class DOMExtractor {
       }
 
       const value = element.getAttribute(attribute);
+      if (!value) this.noteMatch(selector, null);
       this.extractionStats.successful++;
       return value;
 
@@ -114,13 +121,13 @@ export class DOMExtractor {
     try {
       const data = {};
       
-      // Try different table structures
-      const rows = tableElement.querySelectorAll('tr, .row, .list-item');
+      // Try different table structures (sahibinden's .classifiedInfoList: <li><strong/><span/></li>)
+      const rows = tableElement.querySelectorAll('tr, .row, .list-item, li');
       
       for (const row of rows) {
         // Try key-value pair extraction
-        const keyElement = row.querySelector('.label, .key, td:first-child, .property-name');
-        const valueElement = row.querySelector('.value, .data, td:last-child, .property-value');
+        const keyElement = row.querySelector('.label, .key, td:first-child, .property-name, strong');
+        const valueElement = row.querySelector('.value, .data, td:last-child, .property-value, strong + span');
         
         if (keyElement && valueElement) {
           const key = this.cleanText(keyElement.textContent);
@@ -206,6 +213,156 @@ export class DOMExtractor {
     }
   }
 
+  /**
+   * Apply a field recipe to a container, writing each value at its output path.
+   * Field: { path, source, selectors | selector, attribute, all, transforms, default, required }.
+   * Returns the paths of required fields that came out empty.
+   */
+  extractRecipe(container, fields, target = {}) {
+    const missing = [];
+
+    for (const field of Array.isArray(fields) ? fields : []) {
+      if (!field?.path) continue;
+
+      let value = this.extractRecipeField(container, field);
+      if (this.isEmptyValue(value) && 'default' in field) {
+        value = field.default;
+      }
+
+      if (this.isEmptyValue(value)) {
+        if (field.required) missing.push(field.path);
+        continue;
+      }
+      this.setPath(target, field.path, value);
+    }
+
+    return missing;
+  }
+
+  /**
+   * Extract one recipe field: structured-data sources are tried first (e.g. "ld.offers.price"),
+   * then the selector chain; the first that yields a value wins
+   */
+  extractRecipeField(container, field) {
+    const chain = field.selectors || (field.selector ? [field.selector] : []);
+    const transforms = [].concat(field.transforms ?? field.transform ?? []);
+
+    for (const path of [].concat(field.source ?? [])) {
+      const raw = getStructuredValue(this.getStructuredData(container), path);
+      const values = (field.all ? [].concat(raw ?? []) : [raw])
+        // Transforms work on text; untransformed values keep their JSON type
+        .map(value => (transforms.length > 0 && typeof value !== 'object' ? String(value) : value))
+        .map(value => this.applyTransforms(value, transforms))
+        .filter(value => !this.isEmptyValue(value));
+
+      if (values.length > 0) {
+        this.extractionStats.successful++;
+        this.matches.set(`recipe:${field.path}`, `source:${path}`);
+        return field.all ? values : values[0];
+      }
+    }
+
+    for (const selector of Array.isArray(chain) ? chain : [chain]) {
+      try {
+        const elements = field.all ?
+          this.findAllElements(container, selector) :
+          [this.findElement(container, selector)].filter(Boolean);
+
+        const values = elements
+          .map(element => this.readElement(element, field.attribute))
+          .map(value => this.applyTransforms(value, transforms))
+          .filter(value => !this.isEmptyValue(value));
+
+        if (values.length > 0) {
+          this.extractionStats.successful++;
+          this.matches.set(`recipe:${field.path}`, this.matchedSelector(selector));
+          return field.all ? values : values[0];
+        }
+      } catch (error) {
+        logger.debug(`Recipe field "${field.path}" failed on "${selector}":`, error.message);
+      }
+    }
+
+    this.extractionStats.failed++;
+    return null;
+  }
+
+  /**
+   * Structured data (JSON-LD, meta, microdata) of a container; the document's is cached briefly
+   */
+  getStructuredData(container = document) {
+    if (container !== document) {
+      return extractStructuredData(container);
+    }
+
+    const cached = this.cache.get('structuredData');
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout && cached.url === location.href) {
+      this.extractionStats.cached++;
+      return cached.data;
+    }
+
+    const data = extractStructuredData(document);
+    this.cache.set('structuredData', { data, url: location.href, timestamp: Date.now() });
+    return data;
+  }
+
+  /**
+   * Read an element's text (default) or one of its attributes
+   */
+  readElement(element, attribute = null) {
+    if (!attribute || attribute === 'text') {
+      return this.cleanText(element.textContent || element.innerText);
+    }
+    const value = element.getAttribute(attribute);
+    return typeof value === 'string' ? value.trim() : null;
+  }
+
+  /**
+   * Run a value through a transform chain; a step yielding nothing ends the chain
+   */
+  applyTransforms(value, transforms) {
+    let result = value;
+    for (const transform of transforms) {
+      if (this.isEmptyValue(result)) break;
+      result = this.transformValue(result, transform);
+    }
+    return result;
+  }
+
+  /**
+   * Treat null, empty strings and empty arrays as "no value"
+   */
+  isEmptyValue(value) {
+    return value === null || typeof value === 'undefined' || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Read a value at a dotted path, or null
+   */
+  getPath(target, path) {
+    let node = target;
+    for (const key of path.split('.')) {
+      if (node === null || typeof node !== 'object') return null;
+      node = node[key];
+    }
+    return node ?? null;
+  }
+
+  /**
+   * Set a value at a dotted path (e.g. "contact.phone"), creating objects on the way
+   */
+  setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+    return target;
+  }
+
   /**
    * Find element with fallback selectors
    */
@@ -217,6 +374,7 @@ export class DOMExtractor {
       try {
         const element = containerElement.querySelector(selector);
         if (element) {
+          this.noteMatch(selectors, element);
           return element;
         }
       } catch (error) {
@@ -225,6 +383,7 @@ export class DOMExtractor {
       }
     }
 
+    this.noteMatch(selectors, null);
     return null;
   }
 
@@ -239,6 +398,7 @@ export class DOMExtractor {
       try {
         const elements = containerElement.querySelectorAll(selector);
         if (elements.length > 0) {
+          this.noteMatch(selectors, elements[0]);
           return Array.from(elements);
         }
       } catch (error) {
@@ -247,9 +407,68 @@ export class DOMExtractor {
       }
     }
 
+    this.noteMatch(selectors, null);
     return [];
   }
 
+  /**
+   * Remember which alternative of a selector chain ("a, b" or [a, b]) found an element.
+   * A null element forgets the chain: it yielded nothing usable.
+   */
+  noteMatch(selectors, element) {
+    const key = [].concat(selectors).join(' || ');
+    if (!element) {
+      this.matches.delete(key);
+      return;
+    }
+
+    const alternatives = [].concat(selectors).flatMap(selector => this.splitSelectorList(selector));
+    const matched = alternatives.find(selector => {
+      try {
+        return element.matches(selector);
+      } catch (_) {
+        return false;
+      }
+    });
+    this.matches.set(key, matched || key);
+  }
+
+  /**
+   * Alternative of a selector chain that last yielded a value, or null
+   */
+  matchedSelector(selectors) {
+    return this.matches.get([].concat(selectors).join(' || ')) || null;
+  }
+
+  /**
+   * Split a selector list into its top-level alternatives ("a, b:not(.c, .d)" → 2 parts)
+   */
+  splitSelectorList(selector) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    for (const char of String(selector)) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
   /**
    * Clean and normalize extracted text
    */
@@ -267,11 +486,18 @@ export class DOMExtractor {
   }
 
   /**
-   * Transform extracted value based on type
+   * Transform extracted value based on type.
+   * Parameterized transforms are objects: { type: 'regex', pattern, group },
+   * { type: 'replace', pattern, with }, { type: 'split', separator, index },
+   * { type: 'map', values }.
    */
   transformValue(value, transformType) {
     if (!value) return value;
 
+    if (transformType && typeof transformType === 'object') {
+      return this.applyParameterizedTransform(value, transformType);
+    }
+
     switch (transformType) {
       case 'number':
         return this.extractNumber(value);
@@ -296,12 +522,55 @@ export class DOMExtractor {
         
       case 'uppercase':
         return value.toUpperCase();
+
+      case 'trim':
+        return String(value).trim();
+
+      case 'digits':
+        return String(value).replace(/\D/g, '') || null;
+
+      case 'integer': {
+        const digits = String(value).replace(/\D/g, '');
+        return digits ? Number(digits) : null;
+      }
+
+      case 'boolean':
+        return !/^(0|false|no|hayır|yok)$/i.test(String(value).trim());
         
       default:
         return value;
     }
   }
 
+  /**
+   * Transforms that take parameters
+   */
+  applyParameterizedTransform(value, transform) {
+    const text = String(value);
+
+    switch (transform.type) {
+      case 'regex': {
+        const match = text.match(new RegExp(transform.pattern, transform.flags || ''));
+        if (!match) return null;
+        return match[transform.group ?? (match.length > 1 ? 1 : 0)] ?? null;
+      }
+
+      case 'replace':
+        return text.replace(new RegExp(transform.pattern, transform.flags ?? 'g'), transform.with ?? '');
+
+      case 'split': {
+        const parts = text.split(transform.separator ?? ',').map(part => part.trim()).filter(Boolean);
+        return typeof transform.index === 'number' ? parts.at(transform.index) ?? null : parts;
+      }
+
+      case 'map':
+        return transform.values?.[text] ?? transform.values?.[text.toLowerCase()] ?? value;
+
+      default:
+        return this.transformValue(value, transform.type);
+    }
+  }
+
   /**
    * Extract number from text
    */
@@ -316,33 +585,17 @@ export class DOMExtractor {
   }
 
   /**
-   * Extract price from text
+   * Extract the price amount from text (Turkish separators, "Milyon" etc.)
    */
   extractPrice(text) {
-    // Remove currency symbols and normalize
-    const cleaned = text.replace(/[^\d,.]/g, '');
-    return this.extractNumber(cleaned);
+    return parsePrice(text)?.amount ?? null;
   }
 
   /**
-   * Extract date from text
+   * Extract a date as "YYYY-MM-DD" ("12 Ocak 2024", "12.01.2024", "Bugün"; see utils/date.js)
    */
   extractDate(text) {
-    // Simple date extraction - can be enhanced
-    const datePatterns = [
-      /(\d{1,2})\.(\d{1,2})\.(\d{4})/,  // DD.MM.YYYY
-      /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // DD/MM/YYYY
-      /(\d{4})-(\d{1,2})-(\d{1,2})/     // YYYY-MM-DD
-    ];
-
-    for (const pattern of datePatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        return match[0]; // Return matched date string
-      }
-    }
-
-    return null;
+    return parseTurkishDate(text)?.date ?? null;
   }
 
   /**
@@ -0,0 +1,77 @@
+/**
+ * Field coverage for Sentio Chrome Extension
+ * Counts, per scope (listing cards, detail pages), how often each field was filled and
+ * which alternative of its selector chain matched. A renamed class shows up here as a
+ * falling fill rate or a shift to a later fallback long before anyone reads the CSV.
+ */
+
+/**
+ * Whether an extracted value counts as filled
+ */
+function isFilled(value) {
+  if (value === null || typeof value === 'undefined') return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+export class FieldCoverage {
+  /**
+   * @param {Object} state - counts saved with toJSON() (checkpoints survive page loads)
+   */
+  constructor(state = null) {
+    this.scopes = state?.scopes ? JSON.parse(JSON.stringify(state.scopes)) : {};
+  }
+
+  /**
+   * Record one extracted item. entries: { path: { value, selector } }, where selector is the
+   * chain alternative (or another source such as "source:ld.offers.price") the value came from.
+   */
+  record(scope, entries) {
+    const counts = this.scopes[scope] || (this.scopes[scope] = { items: 0, fields: {} });
+    counts.items++;
+
+    for (const [path, { value, selector }] of Object.entries(entries)) {
+      const field = counts.fields[path] || (counts.fields[path] = { filled: 0, matches: {} });
+      if (!isFilled(value)) continue;
+
+      field.filled++;
+      const source = selector || 'fallback';
+      field.matches[source] = (field.matches[source] || 0) + 1;
+    }
+  }
+
+  /**
+   * Serializable counts for checkpoints
+   */
+  toJSON() {
+    return { scopes: this.scopes };
+  }
+
+  /**
+   * Coverage report for result.metadata:
+   * { listing: { items, fields: { title: { filled, fillRate, selector, matches } } }, detail: ... }
+   * `selector` is the alternative that filled the field most often.
+   */
+  report() {
+    const report = {};
+
+    for (const [scope, { items, fields }] of Object.entries(this.scopes)) {
+      if (items === 0) continue;
+      report[scope] = { items, fields: {} };
+
+      for (const [path, { filled, matches }] of Object.entries(fields)) {
+        const ranked = Object.entries(matches).sort((a, b) => b[1] - a[1]);
+        report[scope].fields[path] = {
+          filled,
+          fillRate: Math.round((filled / items) * 1000) / 1000,
+          selector: ranked[0]?.[0] || null,
+          matches
+        };
+      }
+    }
+
+    return report;
+  }
+}
@@ -4,8 +4,17 @@
  */
 import { logger } from '../utils/logger.js';
 import { DOMExtractor } from './dom-extractor.js';
+import { getStructuredValue } from './structured-data.js';
+import { FieldCoverage } from './field-coverage.js';
+import { FilterStats, compileFilters, evaluateFilters } from './listing-filter.js';
+import { normalizeAttributes } from './attribute-normalizer.js';
 import { HumanSimulator } from './human-simulator.js';
 import { validateJob } from '../utils/validators.js';
+import { secureStorage } from '../utils/storage.js';
+import { parsePrice } from '../utils/price.js';
+import { parseTurkishDate } from '../utils/date.js';
+import { ChangeMonitor } from './change-monitor.js';
+import { SeenListings, incrementalOptions, listingKey } from '../utils/seen-listings.js';
 
 export class JobExecutor {
   constructor() {
@@ -14,12 +23,23 @@ export class JobExecutor {
     this.isCancelled = false;
     this.errors = [];
     this.currentStep = null;
+    // Called with the items collected so far after each listing page
+    this.onProgress = null;
+    // Per-field fill rates and matched selectors of the running job
+    this.coverage = new FieldCoverage();
+    // Per-URL listing snapshots compared by monitor_changes jobs
+    this.changeMonitor = new ChangeMonitor();
+    // Incremental run stats ({ skipped, streak, caughtUp }), null when the mode is off
+    this.incremental = null;
+    // Items checked against job.config.filters and why they were excluded
+    this.filterStats = new FilterStats();
   }
 
   /**
-   * Execute a job and return extracted data
+   * Execute a job and return extracted data.
+   * A listing checkpoint for the same job continues pagination where it stopped.
    */
-  async execute(job) {
+  async execute(job, checkpoint = null) {
     try {
       // Reset state
       this.reset();
@@ -41,7 +61,7 @@ export class JobExecutor {
           if (job.config?.followDetails) {
             return await this.scrapeDetailsFromListing(job);
           }
-          return await this.scrapeListings(job);
+          return await this.scrapeListings(job, checkpoint);
           
         case 'scrape_details':
           // If direct URLs are not provided, derive from a listing page URL
@@ -65,20 +85,41 @@ export class JobExecutor {
   }
 
   /**
-   * Scrape property listings from search results
+   * Scrape property listings from search results.
+   * In incremental mode (config.incremental) listings earlier runs collected are left out
+   * and pagination stops at a run of them.
    */
-  async scrapeListings(job) {
+  async scrapeListings(job, checkpoint = null) {
     const config = job.config;
-    const results = [];
-    let currentPage = 1;
     const maxPages = config.maxPages || 10;
     const maxItems = config.maxItems || 100;
+    const resuming = checkpoint?.jobId === job.id;
+    const results = resuming ? [...(checkpoint.items || [])] : [];
+    const seenIds = new Set(resuming ? checkpoint.seenIds || [] : []);
+    let currentPage = resuming ? checkpoint.page : 1;
+    if (resuming) {
+      this.restoreCoverage(checkpoint.coverage);
+      this.restoreFilterStats(checkpoint.filterStats);
+    }
+
+    const incremental = incrementalOptions(config);
+    const known = incremental ? await SeenListings.load() : null;
+    this.incremental = incremental ? {
+      skipped: resuming ? checkpoint.incremental?.skipped || 0 : 0,
+      streak: resuming ? checkpoint.incremental?.streak || 0 : 0,
+      caughtUp: false
+    } : null;
 
     try {
       this.currentStep = 'scraping_listings';
 
-      // Navigate to search results if not already there
-      if (config.searchUrl && !window.location.href.includes(config.searchUrl)) {
+      if (resuming) {
+        logger.logJobEvent(job.id, 'resuming listings', { page: currentPage, items: results.length });
+        if (!(await this.returnToCheckpointPage(checkpoint, config))) {
+          currentPage = maxPages + 1; // Pagination had already ended
+        }
+      } else if (config.searchUrl && !window.location.href.includes(config.searchUrl)) {
+        // Navigate to search results if not already there
         await this.navigateToUrl(config.searchUrl);
       }
 
@@ -97,14 +138,65 @@ export class JobExecutor {
           break;
         }
 
-        results.push(...pageResults);
-        logger.debug(`Extracted ${pageResults.length} items from page ${currentPage}`);
+        // Skip items already collected (re-scraped page after a resume, shifting results)
+        let fresh = pageResults.filter(item => {
+          const key = item.id || item.url;
+          if (!key) return true;
+          if (seenIds.has(key)) return false;
+          seenIds.add(key);
+          return true;
+        });
+        if (known) {
+          const scan = known.scan(fresh, {
+            streak: this.incremental.streak,
+            stopAfter: incremental.stopAfterSeen
+          });
+          fresh = scan.fresh;
+          this.incremental.skipped += scan.skipped;
+          this.incremental.streak = scan.streak;
+          this.incremental.caughtUp = scan.stop;
+        }
+
+        // Cards failing job.config.filters are left out (and never revisited incrementally)
+        const excluded = fresh.filter(item => !this.passesFilters(item, config.filters, 'listing'));
+        if (excluded.length > 0) {
+          fresh = fresh.filter(item => !excluded.includes(item));
+          if (known) await SeenListings.remember(excluded.map(listingKey));
+        }
+        results.push(...fresh);
+        logger.debug(`Extracted ${fresh.length} new items from page ${currentPage}`);
+        if (fresh.length > 0) {
+          await this.onProgress?.(job, results.slice(0, maxItems));
+        }
+
+        if (this.incremental?.caughtUp) {
+          logger.info('Reached previously seen listings, stopping pagination');
+          break;
+        }
 
         // Check if we have enough results
         if (results.length >= maxItems) {
           logger.info(`Reached maximum items limit (${maxItems})`);
           break;
         }
+        if (currentPage >= maxPages) {
+          logger.info(`Reached maximum pages limit (${maxPages})`);
+          break;
+        }
+
+        // Checkpoint before paging: the click may unload this content script
+        const pageUrl = this.getNextPageUrl();
+        const previousUrl = window.location.href;
+        await this.saveListingCheckpoint(job, {
+          page: currentPage + 1,
+          pageUrl,
+          previousUrl,
+          items: results,
+          seenIds: [...seenIds],
+          coverage: this.coverage.toJSON(),
+          filterStats: this.filterStats.toJSON(),
+          incremental: this.incremental
+        });
 
         // Navigate to next page if available
         const hasNextPage = await this.goToNextPage(currentPage);
@@ -113,15 +205,23 @@ export class JobExecutor {
           break;
         }
 
+        // A link click replaces the document; don't re-scrape the old one while it unloads
+        if (pageUrl) {
+          await this.waitForUrlChange(previousUrl);
+        }
+
         currentPage++;
       }
 
       // Trim results to max items
       const finalResults = results.slice(0, maxItems);
+      if (known) await SeenListings.remember(finalResults.map(listingKey));
       
       logger.logJobEvent(job.id, `scraped ${finalResults.length} listings`, {
-        pages: currentPage - 1,
-        items: finalResults.length
+        pages: Math.min(currentPage, maxPages),
+        items: finalResults.length,
+        resumed: resuming,
+        skippedSeen: this.incremental?.skipped || 0
       });
 
       return finalResults;
@@ -132,6 +232,41 @@ export class JobExecutor {
     }
   }
 
+  /**
+   * Persist listing pagination state so a reload can continue the job
+   */
+  async saveListingCheckpoint(job, state) {
+    await secureStorage.setListingProgress({
+      jobId: job.id,
+      job,
+      ...state,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Get back onto the page a checkpoint points at. Returns false when there is no next page.
+   */
+  async returnToCheckpointPage(checkpoint, config) {
+    const here = window.location.href;
+    const listingSelector = config.selectors?.listingContainer || '.searchResultsItem';
+
+    // Reloaded on the page that was already scraped: the next-page click never landed
+    if (here === checkpoint.previousUrl) {
+      if (checkpoint.pageUrl) {
+        await this.navigateToUrl(checkpoint.pageUrl);
+        return true;
+      }
+      return await this.goToNextPage(checkpoint.page - 1);
+    }
+
+    // Somewhere unexpected (e.g. a detail page opened by the user): steer back
+    if (checkpoint.pageUrl && here !== checkpoint.pageUrl && !document.querySelector(listingSelector)) {
+      await this.navigateToUrl(checkpoint.pageUrl);
+    }
+    return true;
+  }
+
   /**
    * Scrape detailed information from individual property pages
    */
@@ -262,8 +397,9 @@ export class JobExecutor {
     logger.debug(`Collected ${urls.length} detail link(s) from listing page`);
 
     // Pagination: fetch more links if needed
+    const maxPages = config.maxPages || 10;
     let currentPage = 1;
-    while (urls.length < maxItems) {
+    while (urls.length < maxItems && currentPage < maxPages) {
       if (await this.isGloballyBlocked()) break;
       const hasNext = await this.goToNextPage(currentPage);
       if (!hasNext) break;
@@ -426,26 +562,24 @@ export class JobExecutor {
   }
 
   /**
-   * Monitor for changes on specific pages
+   * Monitor a listing or detail page for changes since its previous run.
+   * Snapshots are kept per URL (see change-monitor.js); the first run records a baseline.
    */
   async monitorChanges(job) {
     const config = job.config;
-    
+
     try {
       this.currentStep = 'monitoring_changes';
 
-      // This is a simplified implementation
-      // In a real scenario, this would compare with previous snapshots
-      
       const currentData = await this.extractCurrentState(config);
-      
-      // For now, just return current state
-      // In production, this would compare with stored previous state
+      const changes = await this.changeMonitor.compare(currentData);
+      logger.logJobEvent(job.id, `detected ${changes.length} change(s)`, { url: currentData.url });
+
       return [{
-        url: window.location.href,
+        url: currentData.url,
         timestamp: new Date().toISOString(),
         data: currentData,
-        changes: [] // Would contain actual changes
+        changes
       }];
 
     } catch (error) {
@@ -461,6 +595,7 @@ export class JobExecutor {
     try {
       const listings = [];
       const selectors = config.selectors || {};
+      const recipe = config.recipe?.listing || null;
       
       // Default selectors for Sahibinden listings
       const listingSelector = selectors.listing || '.searchResultsItem';
@@ -470,7 +605,7 @@ export class JobExecutor {
         if (this.isCancelled) break;
 
         try {
-          const listingData = await this.extractListingData(element, selectors);
+          const listingData = await this.extractListingData(element, selectors, recipe);
           if (listingData) {
             listings.push(listingData);
           }
@@ -489,28 +624,44 @@ export class JobExecutor {
   }
 
   /**
-   * Extract data from a single listing element
+   * Extract data from a single listing element.
+   * Recipe fields (job.config.recipe.listing) are applied on top of the built-in ones.
    */
-  async extractListingData(element, selectors) {
+  async extractListingData(element, selectors, recipe = null) {
     try {
       const data = {};
+      const chains = {
+        id: selectors.id || '[data-id]',
+        title: selectors.title || '.searchResultsTaglineText a',
+        price: selectors.price || '.searchResultsPriceValue',
+        location: selectors.location || '.searchResultsLocationValue',
+        date: selectors.date || '.searchResultsDateValue',
+        url: selectors.link || '.searchResultsTaglineText a',
+        image: selectors.image || '.searchResultsLargeThumbnail img'
+      };
+      this.domExtractor.matches.clear();
 
       // Extract basic fields
-      data.id = this.domExtractor.extractText(element, selectors.id || '[data-id]', 'data-id');
-      data.title = this.domExtractor.extractText(element, selectors.title || '.searchResultsTaglineText a');
-      data.price = this.domExtractor.extractText(element, selectors.price || '.searchResultsPriceValue');
-      data.location = this.domExtractor.extractText(element, selectors.location || '.searchResultsLocationValue');
-      data.date = this.domExtractor.extractText(element, selectors.date || '.searchResultsDateValue');
-      data.url = this.domExtractor.extractAttribute(element, selectors.link || '.searchResultsTaglineText a', 'href');
+      data.id = this.domExtractor.extractText(element, chains.id, 'data-id');
+      data.title = this.domExtractor.extractText(element, chains.title);
+      data.price = this.domExtractor.extractText(element, chains.price);
+      data.location = this.domExtractor.extractText(element, chains.location);
+      const dateElement = this.domExtractor.findElement(element, chains.date);
+      // Two-line cells ("03 Eylül" / "2025") and "Bugün"/"Dün" are resolved to ISO dates
+      const listedAt = this.parseTurkishDate(dateElement?.textContent);
+      data.date = listedAt?.date || '';
+      if (listedAt) data.dateInfo = listedAt;
+      data.url = this.domExtractor.extractAttribute(element, chains.url, 'href');
 
       // Extract images
-      data.image = this.domExtractor.extractAttribute(element, selectors.image || '.searchResultsLargeThumbnail img', 'src');
+      data.image = this.domExtractor.extractAttribute(element, chains.image, 'src');
 
       // Extract additional attributes if specified
       if (selectors.attributes) {
         data.attributes = {};
         for (const [key, selector] of Object.entries(selectors.attributes)) {
           data.attributes[key] = this.domExtractor.extractText(element, selector);
+          chains[`attributes.${key}`] = selector;
         }
       }
 
@@ -518,7 +669,9 @@ export class JobExecutor {
       data.url = this.normalizeUrl(data.url);
       data.price = this.normalizePrice(data.price);
 
-      return data;
+      const item = this.applyRecipe(element, recipe, data);
+      this.trackCoverage('listing', data, chains, recipe);
+      return item;
 
     } catch (error) {
       logger.warn('Failed to extract listing data from element:', error);
@@ -526,6 +679,17 @@ export class JobExecutor {
     }
   }
 
+  /**
+   * First non-empty scalar among structured-data paths
+   */
+  firstStructuredValue(structured, paths) {
+    for (const path of paths) {
+      const value = getStructuredValue(structured, path);
+      if (value !== null && typeof value !== 'object' && String(value).trim()) return value;
+    }
+    return null;
+  }
+
   /**
    * Extract detailed data from property detail page
    */
@@ -533,55 +697,67 @@ export class JobExecutor {
     try {
       const selectors = config.selectors || {};
       const data = { url };
+      const structured = this.domExtractor.getStructuredData(document);
+      const chains = {
+        title: selectors.detailTitle || '.classifiedDetailTitle, .classifiedTitle',
+        price: selectors.detailPrice || '.classified-price-wrapper, .priceContainer',
+        description: selectors.description || '.classifiedDescription',
+        details: selectors.detailsTable || '.classifiedInfoList',
+        images: selectors.images || '.classifiedImages img',
+        'contact.phone': selectors.phone || '#phoneInfoPart .pretty-phone-part [data-content], .phone-number, [class*="phone"], [id*="phone"]',
+        'contact.name': selectors.contactName || '.contact-name, .user-about, .username',
+        address: 'a[data-click-label*="Adres Breadcrumb"]',
+        // Read from labeled rows ("Kimden", "İlan Tarihi") rather than a selector chain
+        from: null,
+        date: null
+      };
+      this.domExtractor.matches.clear();
 
       // Extract basic information
-      // Title: prefer classifiedDetailTitle, fallback classifiedTitle, then og:title
-      data.title = this.domExtractor.extractText(document, selectors.detailTitle || '.classifiedDetailTitle, .classifiedTitle');
+      // Title: prefer classifiedDetailTitle, fallback classifiedTitle, then og:title / JSON-LD name
+      data.title = this.domExtractor.extractText(document, chains.title);
       if (!data.title) {
-        try {
-          const og = document.querySelector('meta[property="og:title"]');
-          data.title = og?.getAttribute('content') || '';
-        } catch (_) {}
+        data.title = this.firstStructuredValue(structured, ['og.title', 'ld.name', 'microdata.name']) || '';
       }
 
-      // Price: prefer classified-price-wrapper, fallback priceContainer
-      const rawPrice = this.domExtractor.extractText(document, selectors.detailPrice || '.classified-price-wrapper, .priceContainer');
+      // Price: prefer classified-price-wrapper, fallback priceContainer, then structured data
+      const rawPrice = this.domExtractor.extractText(document, chains.price);
       data.price = this.parsePrice(rawPrice);
-      if (!data.price) {
-        try {
-          const metaPrice = document.querySelector('meta[property="product:price:amount"], meta[itemprop="price"], meta[property="og:price:amount"]');
-          const mVal = metaPrice?.getAttribute('content');
-          const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map(s=>s.textContent||'').join('\n');
-          let jsonPrice = null;
-          try {
-            const blocks = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-            for (const b of blocks) {
-              const obj = JSON.parse(b.textContent||'{}');
-              const offers = obj?.offers || obj?.aggregateOffer || null;
-              if (offers) { jsonPrice = offers.price || offers.lowPrice || offers.highPrice; if (jsonPrice) break; }
-            }
-          } catch(_) {}
-          const anyP = mVal || jsonPrice;
-          if (anyP) data.price = this.parsePrice(String(anyP));
-        } catch(_) {}
+      if (!data.price || (data.price.amount === null && !data.price.onRequest)) {
+        const structuredPrice = this.firstStructuredValue(structured, [
+          'ld.offers.price', 'ld.offers.lowPrice', 'product.price.amount',
+          'og.price.amount', 'microdata.offers.price', 'microdata.price'
+        ]);
+        const currency = this.firstStructuredValue(structured, [
+          'ld.offers.priceCurrency', 'product.price.currency',
+          'og.price.currency', 'microdata.offers.priceCurrency', 'microdata.priceCurrency'
+        ]);
+        // Schema.org prices are machine-formatted ("3450000.00"), so read them as numbers first
+        const amount = Number(structuredPrice);
+        if (structuredPrice) {
+          const value = Number.isFinite(amount) ? amount : String(structuredPrice);
+          data.price = this.parsePrice(value, currency);
+        }
       }
-      data.description = this.domExtractor.extractText(document, selectors.description || '.classifiedDescription');
+      data.description = this.domExtractor.extractText(document, chains.description);
 
       // Extract property details table
-      const detailsTable = document.querySelector(selectors.detailsTable || '.classifiedInfoList');
+      const detailsTable = this.domExtractor.findElement(document, chains.details);
       if (detailsTable) {
         data.details = this.domExtractor.extractTableData(detailsTable);
+        // Typed copies under English keys, e.g. attributes.grossArea = { value: 125, raw: '125', label }
+        data.attributes = normalizeAttributes(data.details);
       }
 
       // Extract images
-      const imageElements = document.querySelectorAll(selectors.images || '.classifiedImages img');
+      const imageElements = this.domExtractor.findAllElements(document, chains.images);
       data.images = Array.from(imageElements).map(img => img.src).filter(src => src);
 
       // Try to reveal phone if hidden behind a button
       await this.tryRevealPhone(selectors);
 
       // Extract phone - robust strategies
-      let phoneText = this.domExtractor.extractText(document, selectors.phone || '#phoneInfoPart .pretty-phone-part [data-content], .phone-number, [class*="phone"], [id*="phone"]');
+      let phoneText = this.domExtractor.extractText(document, chains['contact.phone']);
       // If pretty-phone-part used, prefer its data-content
       try {
         const pretty = document.querySelector('#phoneInfoPart .pretty-phone-part [data-content]');
@@ -600,7 +776,7 @@ export class JobExecutor {
       }
 
       // Extract name - try explicit selectors, else ::before content from style
-      let nameText = this.domExtractor.extractText(document, selectors.contactName || '.contact-name, .user-about, .username');
+      let nameText = this.domExtractor.extractText(document, chains['contact.name']);
       if (!nameText) {
         try {
           // Find a span inside favorite seller dialogs or user box with ::before
@@ -621,22 +797,18 @@ export class JobExecutor {
       }
       data.contact = { phone: phoneText || '', name: nameText || '' };
 
-      // Require phone? skip item if missing
-      if ((config.requirePhone ?? false) && (!phoneText || phoneText.replace(/\D/g,'').length < 10)) {
-        return null;
-      }
-
       // Address from breadcrumb h2 links (İl / İlçe / Mahalle)
       let addr = '';
       try {
-        const bcLinks = document.querySelectorAll('a[data-click-label*="Adres Breadcrumb"]');
+        const bcLinks = this.domExtractor.findAllElements(document, chains.address);
         if (bcLinks && bcLinks.length) {
           addr = Array.from(bcLinks).map(a => (a.textContent || '').trim()).filter(Boolean).join(' / ');
         }
       } catch (_) {}
       if (!addr) {
         // Fallback to existing heuristics
-        addr = this.domExtractor.extractText(document, selectors.address || '.classifiedInfo , .address , .classifiedDetail [class*="address"]');
+        chains.address = selectors.address || '.classifiedInfo , .address , .classifiedDetail [class*="address"]';
+        addr = this.domExtractor.extractText(document, chains.address);
       }
       if (addr) { data.address = addr; data.location = addr; }
 
@@ -644,10 +816,19 @@ export class JobExecutor {
       data.from = this.extractFromField();
 
       // Date: parse "İlan Tarihi <date>" to ISO
-      const rawDate = this.extractLabeledValue(/İlan\s*Tarihi/i);
-      data.date = this.parseTurkishDate(rawDate);
+      const listedAt = this.parseTurkishDate(this.extractLabeledValue(/İlan\s*Tarihi/i));
+      data.date = listedAt?.date || '';
+      if (listedAt) data.dateInfo = listedAt;
+
+      const item = this.applyRecipe(document, config.recipe?.detail, data);
+      // Counted before the phone requirement: a broken phone selector must not hide itself
+      this.trackCoverage('detail', data, chains, config.recipe?.detail);
 
-      return data;
+      // Require phone? skip item if missing
+      if ((config.requirePhone ?? false) && (!phoneText || phoneText.replace(/\D/g,'').length < 10)) {
+        return null;
+      }
+      return item && this.passesFilters(item, config.filters, 'detail') ? item : null;
 
     } catch (error) {
       logger.error('Failed to extract detail data:', error);
@@ -655,6 +836,71 @@ export class JobExecutor {
     }
   }
 
+  /**
+   * Count which fields of an item were filled and which selector alternative filled them.
+   * A null chain marks a field read without selectors.
+   */
+  trackCoverage(scope, data, chains, recipe = null) {
+    const entries = {};
+    for (const [path, chain] of Object.entries(chains)) {
+      entries[path] = {
+        value: this.domExtractor.getPath(data, path),
+        selector: chain ? this.domExtractor.matchedSelector(chain) : 'labeled-value'
+      };
+    }
+    for (const field of Array.isArray(recipe) ? recipe : []) {
+      entries[field.path] = {
+        value: this.domExtractor.getPath(data, field.path),
+        selector: this.domExtractor.matches.get(`recipe:${field.path}`) || null
+      };
+    }
+    this.coverage.record(scope, entries);
+  }
+
+  /**
+   * Continue counting coverage from a checkpoint (the job spans page loads)
+   */
+  restoreCoverage(state) {
+    this.coverage = new FieldCoverage(state);
+  }
+
+  /**
+   * Whether an item passes job.config.filters; each check is counted in filterStats
+   */
+  passesFilters(item, filters, scope) {
+    const rules = compileFilters(filters);
+    if (rules.length === 0) return true;
+
+    const reason = evaluateFilters(item, rules);
+    this.filterStats.record(scope, reason);
+    if (reason) logger.debug(`Filtered out ${item.url || item.id}: ${reason}`);
+    return !reason;
+  }
+
+  /**
+   * Continue counting filter exclusions from a checkpoint
+   */
+  restoreFilterStats(state) {
+    this.filterStats = new FilterStats(state);
+  }
+
+  /**
+   * Apply job-supplied recipe fields to an extracted item.
+   * Returns null (item skipped) when a required field is missing.
+   */
+  applyRecipe(container, fields, data) {
+    if (!Array.isArray(fields) || fields.length === 0) return data;
+
+    const missing = this.domExtractor.extractRecipe(container, fields, data);
+    if (missing.length > 0) {
+      logger.debug(`Item skipped; required recipe field(s) missing: ${missing.join(', ')}`, {
+        url: data.url
+      });
+      return null;
+    }
+    return data;
+  }
+
   extractFromField() {
     try {
       // Try explicit "Kimden" label
@@ -688,31 +934,19 @@ export class JobExecutor {
     } catch { return ''; }
   }
 
-  parsePrice(text) {
-    if (!text) return null;
-    const digits = String(text).replace(/[^\d]/g, '');
-    if (!digits) return null;
-    return Number(digits);
+  /**
+   * Price object { amount, currency, text, min?, max?, onRequest? } or null (see utils/price.js)
+   */
+  parsePrice(text, currency = null) {
+    return parsePrice(text, currency);
   }
 
+  /**
+   * Parse listing/detail date text against the extraction time (see utils/date.js).
+   * Returns { date, text, confidence, basis } or null for empty text.
+   */
   parseTurkishDate(text) {
-    if (!text) return '';
-    const months = {
-      'ocak': '01','şubat': '02','subat': '02','mart': '03','nisan': '04','mayıs': '05','mayis': '05',
-      'haziran': '06','temmuz': '07','ağustos': '08','agustos': '08','eylül': '09','eylul': '09',
-      'ekim': '10','kasım': '11','kasim': '11','aralık': '12','aralik': '12'
-    };
-    try {
-      const clean = text.toLowerCase().replace('ilan tarihi', '').trim();
-      const m = clean.match(/(\d{1,2})\s+([a-zçğıöşü]+)\s+(\d{4})/i);
-      if (m) {
-        const d = m[1].padStart(2,'0');
-        const mon = months[m[2]] || months[m[2].normalize('NFD').replace(/\p{Diacritic}/gu,'')] || '01';
-        const y = m[3];
-        return `${y}-${mon}-${d}`;
-      }
-    } catch {}
-    return '';
+    return parseTurkishDate(text);
   }
 
   /**
@@ -752,33 +986,56 @@ export class JobExecutor {
     } catch (_) {}
   }
 
+  /**
+   * Find the next page control using robust heuristics
+   */
+  findNextPageLink() {
+    let nextButton = document.querySelector('a[rel="next"]');
+    if (!nextButton) {
+      nextButton = document.querySelector('.pagination .next:not(.disabled) a, .pagination a.next, .paging a[title="Sonraki"]');
+    }
+    if (!nextButton) {
+      // Fallback: scan anchors inside common containers and match by text
+      const containers = document.querySelectorAll('.paging, .pagination');
+      const texts = ['sonraki', 'next', 'ileri', '›', '»'];
+      for (const c of containers) {
+        const anchors = c.querySelectorAll('a');
+        for (const a of anchors) {
+          const t = (a.textContent || '').trim().toLowerCase();
+          if (!t) continue;
+          if (texts.some(x => t.includes(x))) { nextButton = a; break; }
+        }
+        if (nextButton) break;
+      }
+    }
+
+    if (!nextButton || nextButton.classList.contains('disabled')) {
+      return null;
+    }
+    return nextButton;
+  }
+
+  /**
+   * Absolute URL of the next page, when the control is a plain link
+   */
+  getNextPageUrl() {
+    try {
+      const href = this.findNextPageLink()?.getAttribute('href');
+      if (!href || /^(#|javascript:)/i.test(href)) return null;
+      return new URL(href, window.location.href).href;
+    } catch (_) {
+      return null;
+    }
+  }
+
   /**
    * Navigate to next page in pagination
    */
   async goToNextPage(currentPage) {
     if (await this.isGloballyBlocked()) return false;
     try {
-      // Look for next page control using robust heuristics
-      let nextButton = document.querySelector('a[rel="next"]');
-      if (!nextButton) {
-        nextButton = document.querySelector('.pagination .next:not(.disabled) a, .pagination a.next, .paging a[title="Sonraki"]');
-      }
+      const nextButton = this.findNextPageLink();
       if (!nextButton) {
-        // Fallback: scan anchors inside common containers and match by text
-        const containers = document.querySelectorAll('.paging, .pagination');
-        const texts = ['sonraki', 'next', 'ileri', '›', '»'];
-        for (const c of containers) {
-          const anchors = c.querySelectorAll('a');
-          for (const a of anchors) {
-            const t = (a.textContent || '').trim().toLowerCase();
-            if (!t) continue;
-            if (texts.some(x => t.includes(x))) { nextButton = a; break; }
-          }
-          if (nextButton) break;
-        }
-      }
-
-      if (!nextButton || nextButton.classList.contains('disabled')) {
         return false; // No next page available
       }
 
@@ -851,6 +1108,16 @@ export class JobExecutor {
     });
   }
 
+  /**
+   * Wait until the URL moves away from fromUrl (or the timeout passes)
+   */
+  async waitForUrlChange(fromUrl, timeout = 15000) {
+    const start = Date.now();
+    while (window.location.href === fromUrl && Date.now() - start < timeout && !this.isCancelled) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
   /**
    * Wait for page to load after navigation
    */
@@ -904,22 +1171,17 @@ export class JobExecutor {
   }
 
   /**
-   * Normalize price string
+   * Normalize a listing card's price text into a price object
    */
   normalizePrice(priceText) {
-    if (!priceText) return null;
-    
-    // Remove non-numeric characters except for decimal points
-    const cleaned = priceText.replace(/[^\d.,]/g, '');
-    
-    // Convert to number
-    const price = parseFloat(cleaned.replace(',', '.'));
-    
-    return isNaN(price) ? null : price;
+    return parsePrice(priceText);
   }
 
   /**
-   * Extract current state for monitoring
+   * Current state of the monitored page: the listings it shows (one on a detail page),
+   * whether the listing is gone, and the text of config.monitorSelectors.
+   * `complete` marks a result list without further pages, so absent listings count as removed;
+   * config.monitorComplete overrides it.
    */
   async extractCurrentState(config) {
     try {
@@ -928,7 +1190,10 @@ export class JobExecutor {
         title: document.title,
         url: window.location.href,
         lastModified: document.lastModified,
-        content: {}
+        content: {},
+        listings: [],
+        removed: false,
+        complete: false
       };
 
       // Extract specified content areas
@@ -938,6 +1203,23 @@ export class JobExecutor {
         }
       }
 
+      const selectors = config.selectors || {};
+      const detailPage = /\/ilan\//.test(window.location.pathname) ||
+        !!document.querySelector(selectors.detailContainer || '.classifiedDetail');
+
+      if (detailPage) {
+        state.removed = this.isListingRemoved(selectors);
+        if (!state.removed) {
+          // Monitoring needs the listing even when its phone stays hidden
+          const detailConfig = { ...config, requirePhone: false };
+          const detail = await this.extractDetailData(detailConfig, state.url);
+          if (detail) state.listings.push(detail);
+        }
+      } else {
+        state.listings = await this.extractListingsFromPage(config);
+        state.complete = config.monitorComplete ?? !this.findNextPageLink();
+      }
+
       return state;
 
     } catch (error) {
@@ -946,6 +1228,19 @@ export class JobExecutor {
     }
   }
 
+  /**
+   * Whether a detail page says its listing was removed or has expired
+   */
+  isListingRemoved(selectors = {}) {
+    const marker = selectors.removedMarker ||
+      '.classifiedExpired, .classified-expired, .error-page';
+    if (document.querySelector(marker)) return true;
+
+    const notice = document.querySelector('.classifiedDetail, .classified-detail, main, body');
+    const text = notice?.textContent || '';
+    return /ilan\s+yayında\s+değil|yayından\s+kaldırıl|ilan\s+bulunamadı/i.test(text);
+  }
+
   /**
    * Cancel current operation
    */
@@ -961,6 +1256,9 @@ export class JobExecutor {
     this.isCancelled = false;
     this.errors = [];
     this.currentStep = null;
+    this.coverage = new FieldCoverage();
+    this.incremental = null;
+    this.filterStats = new FilterStats();
   }
 
   /**
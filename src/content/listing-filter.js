@@ -0,0 +1,187 @@
+/**
+ * Client-side filters for Sentio Chrome Extension
+ * Evaluates job.config.filters against listing cards (before a detail page is visited)
+ * and detail data (before the item is included), and counts exclusions by reason.
+ *
+ *   { maxPrice: 1000000, minRooms: 2, from: 'Owner', title: { contains: 'deniz' },
+ *     required: ['contact.phone'], rules: [{ field: 'description', regex: 'acil', flags: 'i' }] }
+ *
+ * A value the page does not show (rooms on a listing card) never excludes an item,
+ * unless the field is required.
+ */
+import { ATTRIBUTE_LABELS, foldText } from './attribute-normalizer.js';
+import { parseAmount } from '../utils/price.js';
+
+// Field names that stand for another attribute key
+const FIELD_ALIASES = {
+  from: 'sellerType',
+  seller: 'sellerType',
+  area: 'grossArea',
+  age: 'buildingAge'
+};
+
+// Enum attributes by key (values map folded Turkish text to the English value)
+const ENUM_VALUES = Object.fromEntries(Object.values(ATTRIBUTE_LABELS)
+  .filter(spec => spec.type === 'enum')
+  .map(spec => [spec.key, spec.values]));
+
+/**
+ * Value at a dotted path
+ */
+function getPath(item, path) {
+  return String(path).split('.').reduce((node, key) => node?.[key], item);
+}
+
+/**
+ * Compare enum values as folded English values: "Sahibinden", "owner" and "Owner" all match
+ */
+function enumValue(key, value) {
+  const folded = foldText(value);
+  return ENUM_VALUES[key]?.[folded] || folded;
+}
+
+/**
+ * The value a rule tests: built-in item fields first, then normalized attributes, then
+ * any dotted path. Returns null when the item does not show it.
+ */
+function resolveField(item, field) {
+  const key = FIELD_ALIASES[field] || field;
+
+  if (key === 'price') {
+    const price = item?.price;
+    return (price && typeof price === 'object' ? price.amount : parseAmount(price)) ?? null;
+  }
+  if (key === 'sellerType' && !item?.attributes?.sellerType && item?.from) {
+    return enumValue(key, item.from);
+  }
+
+  // Normalized detail attributes are { value, raw, label }; card attributes are plain text
+  const attribute = item?.attributes?.[key];
+  if (attribute && typeof attribute === 'object' && 'value' in attribute) {
+    return attribute.value;
+  }
+  if (typeof attribute === 'string' && attribute.trim()) return attribute;
+  if (key === 'grossArea' && item?.attributes?.area) return item.attributes.area.value;
+
+  const value = getPath(item, field);
+  return value === '' || typeof value === 'undefined' ? null : value;
+}
+
+/**
+ * Number out of a typed value (rooms, ranges and floors compare by their main number)
+ */
+function numericValue(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return parseAmount(value);
+  if (value && typeof value === 'object') {
+    return value.rooms ?? value.level ?? value.min ?? value.amount ?? null;
+  }
+  return null;
+}
+
+/**
+ * One rule's verdict for a present value: the failed test, or null when it passes
+ */
+function failedTest(rule, value, key) {
+  const number = numericValue(value);
+  if (typeof rule.min === 'number' && (number === null || number < rule.min)) return 'min';
+  if (typeof rule.max === 'number' && (number === null || number > rule.max)) return 'max';
+
+  if (rule.in) {
+    const actual = typeof value === 'object' ? value?.value ?? value : value;
+    const allowed = rule.in.map(option => enumValue(key, option));
+    if (!allowed.includes(enumValue(key, actual))) return 'in';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (rule.contains && !foldText(text).includes(foldText(rule.contains))) return 'contains';
+  if (rule.regex) {
+    // The i flag does not fold "İ"/"I"; the Turkish lowercase text is tried as well
+    const pattern = new RegExp(rule.regex, rule.flags || 'i');
+    if (!pattern.test(text) && !pattern.test(text.toLocaleLowerCase('tr-TR'))) return 'regex';
+  }
+  return null;
+}
+
+/**
+ * Turn a filters object into a list of rules:
+ * { field, min, max, in, contains, regex, flags, required }
+ */
+export function compileFilters(filters) {
+  if (!filters || typeof filters !== 'object') return [];
+  const rules = [];
+
+  for (const [name, spec] of Object.entries(filters)) {
+    if (name === 'rules') {
+      rules.push(...[].concat(spec || []).filter(rule => rule?.field));
+    } else if (name === 'required') {
+      rules.push(...[].concat(spec || []).map(field => ({ field, required: true })));
+    } else if (/^(min|max)[A-Z]/.test(name) && typeof spec === 'number') {
+      // maxPrice → { field: 'price', max }
+      const field = name.charAt(3).toLowerCase() + name.slice(4);
+      rules.push({ field, [name.slice(0, 3)]: spec });
+    } else if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+      rules.push({ field: name, ...spec });
+    } else if (spec !== null && typeof spec !== 'undefined') {
+      // from: 'Owner' or from: ['Owner', 'Agency']
+      rules.push({ field: name, in: [].concat(spec) });
+    }
+  }
+
+  return rules.map(rule => (rule.in ? { ...rule, in: [].concat(rule.in) } : rule));
+}
+
+/**
+ * First reason an item fails the rules ("price:max", "from:in", "contact.phone:required"),
+ * or null when it passes
+ */
+export function evaluateFilters(item, rules) {
+  for (const rule of rules) {
+    const key = FIELD_ALIASES[rule.field] || rule.field;
+    const value = resolveField(item, rule.field);
+    const missing = value === null || (Array.isArray(value) && value.length === 0);
+
+    if (missing) {
+      if (rule.required) return `${rule.field}:required`;
+      continue;
+    }
+    const test = failedTest(rule, value, key);
+    if (test) return `${rule.field}:${test}`;
+  }
+  return null;
+}
+
+export class FilterStats {
+  /**
+   * @param {Object} state - counts saved with toJSON() (checkpoints survive page loads)
+   */
+  constructor(state = null) {
+    this.scopes = state?.scopes ? JSON.parse(JSON.stringify(state.scopes)) : {};
+  }
+
+  /**
+   * Count one evaluated item of a scope (listing, detail) and its exclusion reason, if any
+   */
+  record(scope, reason) {
+    const counts = this.scopes[scope] ||
+      (this.scopes[scope] = { checked: 0, excluded: 0, reasons: {} });
+    counts.checked++;
+    if (!reason) return;
+    counts.excluded++;
+    counts.reasons[reason] = (counts.reasons[reason] || 0) + 1;
+  }
+
+  /**
+   * Serializable counts for checkpoints
+   */
+  toJSON() {
+    return { scopes: this.scopes };
+  }
+
+  /**
+   * Exclusions for result.metadata: { listing: { checked, excluded, reasons }, detail: ... }
+   */
+  report() {
+    return JSON.parse(JSON.stringify(this.scopes));
+  }
+}
@@ -8,6 +8,8 @@ import { HumanSimulator } from './human-simulator.js';
 import { AntiDetection } from './anti-detection.js';
 import { MessageTypes, JobStatus, CONFIG } from '../shared/types.js';
 import { secureStorage } from '../utils/storage.js';
+import { SeenListings, incrementalOptions, listingKey } from '../utils/seen-listings.js';
+import { compileFilters } from './listing-filter.js';
 
 class SentioContentScript {
   constructor() {
@@ -16,9 +18,13 @@ class SentioContentScript {
     this.antiDetection = new AntiDetection();
     this.currentJob = null;
     this.isExecuting = false;
+    this.isCancelled = false;
     this.startTime = Date.now();
     this.isUnloading = false;
     this.navigationInProgress = false;
+    // Items of the running job the service worker has acknowledged as streamed
+    this.streamed = 0;
+    this.jobExecutor.onProgress = this.streamListingItems.bind(this);
     
     this.initialize();
   }
@@ -58,6 +64,7 @@ class SentioContentScript {
         if (blocked || this.isLikelyBlockedPage()) {
           this.sendMessage(MessageTypes.BLOCK_DETECTED, { reason: blocked ? 'Global block' : 'DOM block', url: window.location.href });
           try { await this.clearDetailProgress(); } catch (_) {}
+          try { await secureStorage.clearListingProgress(); } catch (_) {}
           return;
         }
       } catch (_) {}
@@ -65,6 +72,9 @@ class SentioContentScript {
       // Try to resume detail workflow if in progress
       await this.resumeDetailWorkflowIfAny();
 
+      // Continue a paginated listing job that navigated to its next page
+      await this.resumeListingJobIfAny();
+
     } catch (error) {
       logger.error('Content script initialization failed:', error);
     }
@@ -157,7 +167,12 @@ class SentioContentScript {
 
       // Set execution state
       this.isExecuting = true;
+      this.isCancelled = false;
       this.currentJob = job;
+      this.streamed = 0;
+
+      // Redelivery of a job that already paged forward continues from its checkpoint
+      const checkpoint = await this.loadListingCheckpoint(job.id);
 
       // Notify service worker that job started
       this.sendMessage(MessageTypes.JOB_STARTED, {
@@ -172,7 +187,7 @@ class SentioContentScript {
       // If we have a target listing URL, optionally warm up on homepage first
       try {
         const target = job?.config?.url;
-        if (target) await this.navigateHomeThen(target);
+        if (target && !checkpoint) await this.navigateHomeThen(target);
       } catch (_) {}
 
       // For detail workflows, orchestrate across navigations
@@ -181,12 +196,8 @@ class SentioContentScript {
         await this.startDetailWorkflow(job);
       } else {
         // Execute the job (single-page type)
-        const result = await this.executeJob(job);
-        try { await secureStorage.setLastResult(result); } catch (_) {}
-        this.sendMessage(MessageTypes.JOB_COMPLETED, result);
-        logger.logJobEvent(job.id, 'execution completed successfully');
-        this.updateHud({ status: 'Completed', progress: 1, total: 1 });
-        this.hideHudSoon();
+        const result = await this.executeJob(job, checkpoint);
+        await this.finishJob(job, result);
       }
 
     } catch (error) {
@@ -210,6 +221,73 @@ class SentioContentScript {
     }
   }
 
+  /**
+   * Report the result of a job run by the executor and drop its checkpoint
+   */
+  async finishJob(job, result) {
+    if (this.isCancelled) {
+      logger.logJobEvent(job.id, 'cancelled; result discarded');
+      return;
+    }
+    const summary = await this.summarizeResult(result, this.streamed);
+    this.sendMessage(MessageTypes.JOB_COMPLETED, summary);
+    this.streamed = 0;
+    try { await secureStorage.clearListingProgress(); } catch (_) {}
+    logger.logJobEvent(job.id, 'execution completed successfully');
+    this.updateHud({ status: 'Completed', progress: 1, total: 1 });
+    this.hideHudSoon();
+  }
+
+  /**
+   * Listing checkpoint for a job, discarding one left behind by another job
+   */
+  async loadListingCheckpoint(jobId) {
+    const checkpoint = await secureStorage.getListingProgress();
+    if (checkpoint && checkpoint.jobId !== jobId) {
+      await secureStorage.clearListingProgress();
+      return null;
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Resume a scrape_listings job whose pagination reloaded the page
+   */
+  async resumeListingJobIfAny() {
+    const checkpoint = await secureStorage.getListingProgress();
+    const job = checkpoint?.job;
+    if (!job || this.isExecuting) return;
+
+    if (new Date(job.expiresAt) < new Date()) {
+      logger.logJobEvent(job.id, 'listing checkpoint expired; discarded');
+      await secureStorage.clearListingProgress();
+      return;
+    }
+
+    try {
+      this.isExecuting = true;
+      this.isCancelled = false;
+      this.currentJob = job;
+      this.streamed = 0;
+      logger.debug(`[resume] listing job ${job.id} at page ${checkpoint.page}`);
+
+      this.initHud();
+      this.updateHud({ status: `Resuming page ${checkpoint.page}`, progress: 0, total: 1 });
+      // Doubles as a heartbeat for the job lease
+      this.reportProgress(job.id, checkpoint.items?.length || 0, job.config?.maxItems || 100);
+
+      const result = await this.executeJob(job, checkpoint);
+      await this.finishJob(job, result);
+
+    } catch (error) {
+      const benign = this.isUnloading || this.navigationInProgress || /Extension context invalidated|message port closed/i.test(error?.message || '');
+      if (!benign) logger.error('Failed to resume listing job:', error);
+    } finally {
+      this.isExecuting = false;
+      this.currentJob = null;
+    }
+  }
+
   /**
    * Start detail workflow: collect links on listing page and navigate to first detail
    */
@@ -235,8 +313,9 @@ class SentioContentScript {
     } catch (e) { logger.debug('[flow] wait listing failed: ' + (e?.message || e)); }
     // Prefer direct URLs if provided, else collect from listing page
     let urls = [];
+    const direct = Array.isArray(config.urls) && config.urls.length > 0;
     try {
-      if (Array.isArray(config.urls) && config.urls.length > 0) {
+      if (direct) {
         urls = config.urls.map(u => this.jobExecutor.normalizeUrl(u)).filter(Boolean);
       } else {
         urls = await this.collectDetailLinks(config);
@@ -244,42 +323,238 @@ class SentioContentScript {
     } catch (_) { urls = await this.collectDetailLinks(config); }
     logger.debug(`[flow] collected links: ${urls.length}`);
     const maxItems = config.maxItems || 10;
-    const slice = urls.slice(0, maxItems);
+    const here = window.location.href;
     const progress = {
       jobId: job.id,
       token: job.token,
       listingUrl: config.url,
-      urls: slice,
+      urls: [],
+      // Listing page each URL was collected on (parallel to urls)
+      sources: [],
       index: 0,
       results: [],
       selectors: config.selectors || {},
+      // Job-supplied field recipe applied on each detail page
+      recipe: config.recipe || null,
       // Default: require phone unless explicitly set false
       requirePhone: config.requirePhone === false ? false : true,
       // Merge humanize with sane defaults if missing
       humanize: this.withHumanizeDefaults(config.humanize || {}),
       timestamp: Date.now(),
-      maxItems
+      maxItems,
+      // Detail jobs stay on their listing page unless the job asks for more pages
+      maxPages: config.maxPages || 1,
+      listingPage: 1,
+      // Results the service worker has acknowledged via JOB_PROGRESS
+      streamed: 0,
+      // Incremental mode: known listings skipped so far and the current run of them
+      incremental: incrementalOptions(config),
+      seen: { skipped: 0, streak: 0, caughtUp: false },
+      // Client-side filters (cards are checked before their detail page is visited)
+      filters: config.filters || null,
+      filterStats: null
+    };
+    const unseen = await this.dropSeenLinks(progress, urls, !direct);
+    const wanted = direct ? unseen : await this.dropFilteredLinks(progress, unseen);
+    this.addCollectedLinks(progress, wanted, here);
+
+    const more = progress.urls.length < maxItems && progress.maxPages > 1;
+    if (!direct && urls.length > 0 && more && !progress.seen.caughtUp) {
+      // Keep collecting on the next listing page; the reload resumes in continueLinkCollection
+      if (await this.goToNextListingPage(progress)) return;
+    }
+    await this.startVisitingDetails(progress);
+  }
+
+  /**
+   * Leave out detail URLs of listings earlier incremental runs collected. On listing pages
+   * (`paging`) a run of stopAfterSeen known links marks the collection as caught up.
+   */
+  async dropSeenLinks(progress, urls, paging = true) {
+    if (!progress.incremental) return urls;
+
+    const known = await SeenListings.load();
+    const scan = known.scan(urls, {
+      streak: progress.seen.streak,
+      stopAfter: paging ? progress.incremental.stopAfterSeen : Infinity,
+      keyOf: url => listingKey({ url })
+    });
+    progress.seen = {
+      skipped: progress.seen.skipped + scan.skipped,
+      streak: scan.streak,
+      caughtUp: scan.stop
+    };
+    if (scan.skipped > 0) {
+      const note = scan.stop ? '; caught up' : '';
+      logger.debug(`[collect] skipped ${scan.skipped} known listing(s)${note}`);
+    }
+    return scan.fresh;
+  }
+
+  /**
+   * Leave out detail URLs whose listing card fails job.config.filters, so their detail
+   * pages are never visited. Cards without a match on this page are kept.
+   */
+  async dropFilteredLinks(progress, urls) {
+    if (compileFilters(progress.filters).length === 0) return urls;
+
+    // Card extraction counts towards the job's coverage and filter stats
+    this.jobExecutor.restoreCoverage(progress.coverage);
+    this.jobExecutor.restoreFilterStats(progress.filterStats);
+    const { selectors } = progress;
+    const listed = await this.jobExecutor.extractListingsFromPage({ selectors });
+    const cards = new Map(listed.map(card => [listingKey(card), card]));
+
+    const dropped = [];
+    const kept = urls.filter(url => {
+      const card = cards.get(listingKey({ url }));
+      if (!card || this.jobExecutor.passesFilters(card, progress.filters, 'listing')) return true;
+      dropped.push(url);
+      return false;
+    });
+    progress.coverage = this.jobExecutor.coverage.toJSON();
+    progress.filterStats = this.jobExecutor.filterStats.toJSON();
+
+    if (dropped.length > 0) {
+      logger.debug(`[collect] ${dropped.length} listing(s) excluded by filters`);
+      // Excluded listings count as seen; the next incremental run need not check them again
+      if (progress.incremental) {
+        await SeenListings.remember(dropped.map(url => listingKey({ url })));
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * Append unique detail URLs (up to maxItems) with the listing page they came from
+   */
+  addCollectedLinks(progress, urls, sourceUrl) {
+    for (const url of urls) {
+      if (progress.urls.length >= progress.maxItems) break;
+      if (progress.urls.includes(url)) continue;
+      progress.urls.push(url);
+      progress.sources.push(sourceUrl);
+    }
+  }
+
+  /**
+   * Persist a collecting checkpoint and click through to the next listing page.
+   * Returns false when there is no next page.
+   */
+  async goToNextListingPage(progress) {
+    const nextListingUrl = this.jobExecutor.getNextPageUrl();
+    if (!nextListingUrl && !this.jobExecutor.findNextPageLink()) return false;
+
+    const collecting = {
+      ...progress,
+      phase: 'collecting',
+      lastListingUrl: window.location.href,
+      nextListingUrl
     };
-    await this.persistDetailProgress(progress);
-    this.updateHud({ status: 'Processing', progress: 0, total: slice.length });
-    if (slice.length > 0) {
-      const ok = await this.navigateToUrl(slice[0]);
-      if (!ok) {
-        await this.tryClickFirstDetailFallback(config);
+    await this.persistDetailProgress(collecting);
+    this.updateHud({
+      status: `Collecting links (page ${progress.listingPage + 1})`,
+      progress: progress.urls.length,
+      total: progress.maxItems
+    });
+    this.reportProgress(progress.jobId, 0, progress.urls.length);
+
+    await this.humanSimulator.randomDelay(600, 1400);
+    if (this.isCancelled) return true;
+    this.navigationInProgress = true;
+    const moved = await this.jobExecutor.goToNextPage(progress.listingPage);
+    if (!moved) {
+      this.navigationInProgress = false;
+      return false;
+    }
+
+    // A full navigation ends this script here; still running means in-page pagination
+    await this.jobExecutor.waitForUrlChange(collecting.lastListingUrl);
+    this.navigationInProgress = false;
+    await this.continueLinkCollection(collecting);
+    return true;
+  }
+
+  /**
+   * Collect links on a listing page reached while paginating, then page on or start visiting
+   */
+  async continueLinkCollection(progress) {
+    const here = window.location.href;
+
+    // Reloaded on the page we already collected: the next-page click did not land
+    if (here === progress.lastListingUrl) {
+      if (progress.nextListingUrl) {
+        await this.navigateToUrl(progress.nextListingUrl);
+        return;
+      }
+      await this.startVisitingDetails(progress);
+      return;
+    }
+
+    const listingPage = progress.listingPage + 1;
+    this.updateHud({
+      status: `Collecting links (page ${listingPage})`,
+      progress: progress.urls.length,
+      total: progress.maxItems
+    });
+    this.reportProgress(progress.jobId, 0, progress.urls.length);
+
+    try { await this.waitForPageReady(); } catch (_) {}
+    try { await this.jobExecutor.randomListingScroll({ humanize: progress.humanize }); } catch (_) {}
+    const urls = await this.collectDetailLinks({ selectors: progress.selectors });
+    const before = progress.urls.length;
+    const next = { ...progress, listingPage };
+    const unseen = await this.dropSeenLinks(next, urls);
+    this.addCollectedLinks(next, await this.dropFilteredLinks(next, unseen), here);
+    const added = next.urls.length - before;
+    logger.debug(`[collect] page ${listingPage}: +${added} links (${next.urls.length}/${next.maxItems})`);
+    if (this.isCancelled) return;
+
+    // A page without listing links ends pagination; one whose links were all filtered
+    // out or already seen does not, later pages may still match. Incremental runs stop
+    // once stopAfterSeen known listings follow each other (seen.caughtUp).
+    const more = next.urls.length < next.maxItems && listingPage < next.maxPages;
+    if (urls.length > 0 && more && !next.seen?.caughtUp) {
+      if (await this.goToNextListingPage(next)) return;
+    }
+    await this.startVisitingDetails(next);
+  }
+
+  /**
+   * Switch the checkpoint to visiting and open the first detail page
+   */
+  async startVisitingDetails(progress) {
+    const visiting = { ...progress, phase: 'visiting', index: 0 };
+    delete visiting.lastListingUrl;
+    delete visiting.nextListingUrl;
+    const pages = visiting.listingPage || 1;
+    logger.debug(`[flow] visiting ${visiting.urls.length} detail(s) from ${pages} listing page(s)`);
+
+    await this.persistDetailProgress(visiting);
+    this.updateHud({ status: 'Processing', progress: 0, total: visiting.urls.length });
+    this.reportProgress(visiting.jobId, 0, visiting.urls.length);
+    if (this.isCancelled) return;
+
+    if (visiting.urls.length > 0) {
+      // The first detail is opened from the listing page it was found on
+      if (visiting.sources[0] && window.location.href !== visiting.sources[0]) {
+        // Resume continues from the listing page
+        await this.navigateToUrl(visiting.sources[0]);
+        return;
       }
+      await this.navigateToUrl(visiting.urls[0]);
     } else {
       // Nothing to do
-      const result = this.buildResult(job, []);
-      try { await secureStorage.setLastResult(result); } catch (_) {}
-      this.sendMessage(MessageTypes.JOB_COMPLETED, result);
+      await this.completeDetailWorkflow(visiting, []);
     }
   }
 
   async resumeDetailWorkflowIfAny() {
     try {
       const progress = await this.loadDetailProgress();
-      if (!progress || !progress.urls || progress.urls.length === 0) return;
-      logger.debug(`[resume] loaded progress: idx=${progress.index} total=${progress.urls.length}`);
+      if (!progress || !Array.isArray(progress.urls)) return;
+      if (progress.phase !== 'collecting' && progress.urls.length === 0) return;
+      logger.debug(`[resume] loaded progress: phase=${progress.phase || 'visiting'} idx=${progress.index} total=${progress.urls.length}`);
       // Ensure HUD exists when resuming
       this.initHud();
 
@@ -299,15 +574,21 @@ class SentioContentScript {
       if (typeof progress.requirePhone === 'undefined') progress.requirePhone = true;
       await this.persistDetailProgress(progress);
 
-      const { jobId, token, urls, index, listingUrl, selectors, results, maxItems } = progress;
+      if (progress.phase === 'collecting') {
+        await this.continueLinkCollection(progress);
+        return;
+      }
+
+      const { jobId, urls, index, listingUrl, selectors, results, maxItems } = progress;
+      // Listing page a detail URL was collected on (older checkpoints only know the first page)
+      const sourceOf = (i) => progress.sources?.[i] || listingUrl;
       // Update HUD to reflect current state immediately
       try { this.updateHud({ status: 'Processing', progress: index, total: urls.length }); } catch (_) {}
+      // Every resumed page doubles as a heartbeat for the job lease
+      this.reportProgress(jobId, index, urls.length);
       // Finished? finalize
       if (index >= urls.length) {
-        const finalResult = this.buildResult({ id: jobId, token }, results);
-        try { await secureStorage.setLastResult(finalResult); } catch (_) {}
-        this.sendMessage(MessageTypes.JOB_COMPLETED, finalResult);
-        await this.clearDetailProgress();
+        await this.completeDetailWorkflow(progress, results);
         return;
       }
 
@@ -348,36 +629,53 @@ class SentioContentScript {
         // Quick-skip chance
         const qs = (progress.humanize?.quickSkipChance ?? 0.12);
         let detail = null;
+        this.jobExecutor.restoreCoverage(progress.coverage);
+        this.jobExecutor.restoreFilterStats(progress.filterStats);
         if (Math.random() < qs) {
           // Skip extracting; appear as if user didn't like it
           detail = null;
         } else {
-          detail = await this.jobExecutor.extractDetailData({ selectors, requirePhone: !!progress.requirePhone }, here);
+          detail = await this.jobExecutor.extractDetailData({
+            selectors,
+            recipe: progress.recipe,
+            filters: progress.filters,
+            requirePhone: !!progress.requirePhone
+          }, here);
         }
         if (detail) results.push(detail);
+        if (this.isCancelled) return;
 
-        // Persist progress before navigating away
+        // Stream the new item, then persist progress before navigating away
         const nextIndex = index + 1;
-        await this.persistDetailProgress({ ...progress, results, index: nextIndex });
+        const streamed = await this.streamProgress(
+          jobId, nextIndex, urls.length, results, progress.streamed
+        );
+        const coverage = this.jobExecutor.coverage.toJSON();
+        const filterStats = this.jobExecutor.filterStats.toJSON();
+        await this.persistDetailProgress({
+          ...progress, results, index: nextIndex, streamed, coverage, filterStats
+        });
         this.updateHud({ status: 'Processing', progress: nextIndex, total: urls.length });
         logger.debug(`[resume] moving to next: ${nextIndex}/${urls.length}`);
 
         // Always return to listing, then perform progressive scroll based on index, then go next
         const nextUrl = urls[nextIndex];
         if (nextUrl) {
-          await this.goBackToListing(listingUrl, selectors);
+          // history.back() only helps when the next link sits on the page this detail came from
+          const nextSource = sourceOf(nextIndex);
+          await this.goBackToListing(nextSource, selectors, sourceOf(index) === nextSource);
           try {
             const itemsOnPage = document.querySelectorAll(selectors?.listingContainer || '.searchResultsItem').length || 20;
-            await this.progressiveListingScroll(nextIndex, itemsOnPage, progress.humanize || {});
+            const positionOnPage = nextIndex - urls.findIndex((_, i) => sourceOf(i) === nextSource);
+            await this.progressiveListingScroll(positionOnPage, itemsOnPage, progress.humanize || {});
           } catch (_) {}
           await this.humanSimulator.randomDelay(500, 1200);
+          if (this.isCancelled) return;
           await this.navigateToUrl(nextUrl);
           logger.debug('[resume] navigated to next detail');
         } else {
-          const finalResult = this.buildResult({ id: jobId, token }, results);
-          try { await secureStorage.setLastResult(finalResult); } catch (_) {}
-          this.sendMessage(MessageTypes.JOB_COMPLETED, finalResult);
-          await this.clearDetailProgress();
+          const finished = { ...progress, streamed, coverage, filterStats };
+          await this.completeDetailWorkflow(finished, results);
           this.updateHud({ status: 'Completed', progress: urls.length, total: urls.length });
           this.hideHudSoon();
         }
@@ -385,7 +683,7 @@ class SentioContentScript {
       }
 
       // If on listing page and not done, go to current target
-      if (here.startsWith(listingUrl) && currentTarget) {
+      if ((here.startsWith(sourceOf(index)) || here.startsWith(listingUrl)) && currentTarget) {
         logger.debug('[resume] on listing page, moving to current target');
         if (this.isLikelyBlockedPage()) {
           this.sendMessage(MessageTypes.BLOCK_DETECTED, { reason: 'Blocked on listing', url: here });
@@ -404,7 +702,7 @@ class SentioContentScript {
         return;
       }
       logger.debug('[resume] unexpected page; steering back to listing');
-      await this.navigateToUrl(listingUrl);
+      await this.navigateToUrl(sourceOf(index));
       return;
     } catch (_) {}
   }
@@ -503,11 +801,13 @@ class SentioContentScript {
     } catch (_) { return false; }
   }
 
-  async goBackToListing(listingUrl, selectors) {
+  async goBackToListing(listingUrl, selectors, useHistory = true) {
     try {
-      window.history.back();
-      const listingContainerSel = selectors?.listingContainer || '.searchResultsItem';
-      try { await this.waitForContent(listingContainerSel, 8000); return; } catch (_) {}
+      if (useHistory) {
+        window.history.back();
+        const listingContainerSel = selectors?.listingContainer || '.searchResultsItem';
+        try { await this.waitForContent(listingContainerSel, 8000); return; } catch (_) {}
+      }
     } catch (_) {}
     try {
       // Avoid direct navigation if globally blocked
@@ -596,6 +896,79 @@ class SentioContentScript {
     } catch (_) {}
   }
 
+  /**
+   * Send the final summary of a detail workflow and drop its checkpoint
+   */
+  async completeDetailWorkflow(progress, results) {
+    this.jobExecutor.restoreCoverage(progress.coverage);
+    this.jobExecutor.restoreFilterStats(progress.filterStats);
+    if (progress.incremental) {
+      // Every URL of the run was visited; the next run can stop when it reaches them
+      await SeenListings.remember(progress.urls.map(url => listingKey({ url })));
+    }
+    this.jobExecutor.incremental = progress.incremental ? progress.seen : null;
+    const result = this.buildResult({ id: progress.jobId, token: progress.token }, results);
+    const summary = await this.summarizeResult(result, progress.streamed);
+    this.sendMessage(MessageTypes.JOB_COMPLETED, summary);
+    await this.clearDetailProgress();
+  }
+
+  /**
+   * Completion payload for a streamed job: metadata plus only the items not yet acknowledged.
+   * Anything still unstreamed is sent as one last progress event first.
+   */
+  async summarizeResult(result, streamed = 0) {
+    if (!streamed) return result;
+
+    const { jobId, data } = result;
+    const total = data.length;
+    const acknowledged = await this.streamProgress(jobId, total, total, data, streamed);
+    return {
+      ...result,
+      data: data.slice(acknowledged),
+      metadata: { ...result.metadata, itemsExtracted: total, streamedItems: acknowledged }
+    };
+  }
+
+  /**
+   * Executor hook: stream listing items after each scraped page
+   */
+  async streamListingItems(job, items) {
+    const total = job.config?.maxItems || 100;
+    this.streamed = await this.streamProgress(job.id, items.length, total, items, this.streamed);
+  }
+
+  /**
+   * Report progress along with the items the service worker has not acknowledged yet.
+   * Returns how many items are streamed; unchanged if the message did not get through.
+   */
+  async streamProgress(jobId, current, total, items, streamed = 0) {
+    const offset = Math.min(streamed || 0, items.length);
+    const response = await this.requestMessage(MessageTypes.JOB_PROGRESS, {
+      jobId,
+      current,
+      total,
+      url: window.location.href,
+      timestamp: Date.now(),
+      offset,
+      items: items.slice(offset)
+    });
+    return typeof response?.streamed === 'number' ? response.streamed : offset;
+  }
+
+  /**
+   * Report job progress to the service worker (keeps the job lease alive)
+   */
+  reportProgress(jobId, current, total) {
+    this.sendMessage(MessageTypes.JOB_PROGRESS, {
+      jobId,
+      current,
+      total,
+      url: window.location.href,
+      timestamp: Date.now()
+    });
+  }
+
   buildResult(job, data) {
     return {
       jobId: job.id,
@@ -606,6 +979,9 @@ class SentioContentScript {
         itemsExtracted: data.length,
         executionTime: 0,
         errors: this.jobExecutor.getErrors(),
+        coverage: this.jobExecutor.coverage.report(),
+        incremental: this.jobExecutor.incremental,
+        filters: this.jobExecutor.filterStats.report(),
         userAgent: navigator.userAgent,
         timestamp: new Date().toISOString(),
         url: window.location.href
@@ -655,17 +1031,24 @@ class SentioContentScript {
    */
   async handleCancelJob(payload) {
     try {
-      if (!this.isExecuting) {
+      // A detail workflow resumed after navigation runs without isExecuting; match it by checkpoint
+      const progress = await this.loadDetailProgress();
+      const resuming = !!progress && (!payload?.jobId || progress.jobId === payload.jobId);
+      if (!this.isExecuting && !resuming) {
         return; // No job to cancel
       }
 
-      logger.logJobEvent(this.currentJob?.id, 'cancellation requested');
+      logger.logJobEvent(this.currentJob?.id || progress?.jobId, 'cancellation requested', {
+        reason: payload?.reason || null
+      });
 
       // Stop current execution
+      this.isCancelled = true;
       this.jobExecutor.cancel();
       
-      // Clear detail progress if any (avoid automatic resume after block)
+      // Clear checkpoints if any (avoid automatic resume after block)
       try { await this.clearDetailProgress(); } catch (_) {}
+      try { await secureStorage.clearListingProgress(); } catch (_) {}
 
       // Reset state
       this.isExecuting = false;
@@ -693,9 +1076,9 @@ class SentioContentScript {
   }
 
   /**
-   * Execute a job
+   * Execute a job, optionally continuing from a listing checkpoint
    */
-  async executeJob(job) {
+  async executeJob(job, checkpoint = null) {
     const startTime = Date.now();
     const timer = logger.timer(`Job execution ${job.id}`);
 
@@ -703,8 +1086,8 @@ class SentioContentScript {
       // Apply anti-detection measures
       await this.antiDetection.beforeJobExecution();
 
-      // Navigate via homepage warmup if target provided
-      if (job.config.url) {
+      // Navigate via homepage warmup if target provided (a resume is already on its page)
+      if (job.config.url && !checkpoint) {
         await this.navigateHomeThen(job.config.url);
       }
 
@@ -714,7 +1097,7 @@ class SentioContentScript {
       // Execute the actual scraping logic
       this.initHud();
       try { this.updateHud({ status: 'Processing', progress: 0, total: 1 }); } catch (_) {}
-      const extractedData = await this.jobExecutor.execute(job);
+      const extractedData = await this.jobExecutor.execute(job, checkpoint);
 
       // Apply post-execution anti-detection
       await this.antiDetection.afterJobExecution();
@@ -731,6 +1114,9 @@ class SentioContentScript {
           itemsExtracted: extractedData.length,
           executionTime,
           errors: this.jobExecutor.getErrors(),
+          coverage: this.jobExecutor.coverage.report(),
+          incremental: this.jobExecutor.incremental,
+          filters: this.jobExecutor.filterStats.report(),
           userAgent: navigator.userAgent,
           timestamp: new Date().toISOString(),
           url: window.location.href
@@ -860,6 +1246,29 @@ class SentioContentScript {
     }
   }
 
+  /**
+   * Send a message to the service worker and wait for its response (null if undelivered)
+   */
+  requestMessage(type, payload) {
+    return new Promise(resolve => {
+      try {
+        chrome.runtime.sendMessage({ type, payload }, response => {
+          const err = chrome.runtime.lastError;
+          if (err) {
+            logger.debug(`Message not delivered (likely transient): ${err.message}`);
+            resolve(null);
+            return;
+          }
+          resolve(response || null);
+        });
+      } catch (error) {
+        const reason = error?.message || error;
+        logger.debug(`Failed to send message to service worker (transient): ${reason}`);
+        resolve(null);
+      }
+    });
+  }
+
   /**
    * Clean up on unload
    */
@@ -0,0 +1,191 @@
+/**
+ * Structured data extraction for Sentio Chrome Extension
+ * Reads JSON-LD blocks, OpenGraph/Twitter/product meta tags and microdata into one
+ * normalized object, so fields can be found without depending on CSS class names.
+ */
+import { logger } from '../utils/logger.js';
+
+// Entity types that describe the page rather than the listing
+const PAGE_TYPES = ['BreadcrumbList', 'WebSite', 'WebPage', 'Organization', 'SearchAction'];
+
+/**
+ * Short type name: "http://schema.org/Product" → "Product"
+ */
+function typeName(type) {
+  const first = Array.isArray(type) ? type[0] : type;
+  if (!first) return null;
+  return String(first).split(/[/#]/).pop();
+}
+
+/**
+ * The entity that describes the listing: one with offers, else the first non-page entity
+ */
+function pickPrimary(entities) {
+  return entities.find(entity => entity.offers) ||
+    entities.find(entity => entity['@type'] && !PAGE_TYPES.includes(entity['@type'])) ||
+    entities[0] ||
+    {};
+}
+
+/**
+ * Microdata property value by element kind
+ */
+function readPropertyValue(element) {
+  if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+
+  switch (element.tagName) {
+    case 'A':
+    case 'LINK':
+      return element.getAttribute('href');
+    case 'IMG':
+    case 'SOURCE':
+      return element.getAttribute('src');
+    case 'TIME':
+      return element.getAttribute('datetime') || element.textContent.trim();
+    case 'DATA':
+    case 'METER':
+      return element.getAttribute('value');
+    default:
+      return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+
+/**
+ * One itemscope as an object; nested itemscopes become nested objects
+ */
+function readItem(scope) {
+  const item = { '@type': typeName(scope.getAttribute('itemtype')) };
+
+  for (const element of scope.querySelectorAll('[itemprop]')) {
+    // Properties of a nested item belong to that item
+    const owner = element.parentElement?.closest('[itemscope]');
+    if (owner !== scope) continue;
+
+    const value = element.hasAttribute('itemscope') ? readItem(element) : readPropertyValue(element);
+    for (const name of element.getAttribute('itemprop').split(/\s+/).filter(Boolean)) {
+      if (name in item) continue;
+      item[name] = value;
+    }
+  }
+
+  return item;
+}
+
+
+/**
+ * Every JSON-LD entity on the page, with @graph containers flattened
+ */
+function parseJsonLd(root) {
+  const entities = [];
+
+  for (const script of root.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const parsed = JSON.parse(script.textContent || 'null');
+      for (const block of [].concat(parsed || [])) {
+        if (Array.isArray(block?.['@graph'])) {
+          entities.push(...block['@graph']);
+        } else if (block && typeof block === 'object') {
+          entities.push(block);
+        }
+      }
+    } catch (error) {
+      logger.debug('Skipping malformed JSON-LD block:', error.message);
+    }
+  }
+
+  return entities.map(entity => ({ ...entity, '@type': typeName(entity['@type']) }));
+}
+
+
+/**
+ * og:, twitter: and product: meta tags as nested objects (og:price:amount → og.price.amount)
+ */
+function parseMetaTags(root) {
+  const meta = {};
+
+  for (const tag of root.querySelectorAll('meta[property], meta[name]')) {
+    const key = (tag.getAttribute('property') || tag.getAttribute('name') || '').trim();
+    const value = (tag.getAttribute('content') || '').trim();
+    const match = key.match(/^(og|twitter|product):(.+)$/i);
+    if (!match || !value) continue;
+
+    const keys = [match[1].toLowerCase(), ...match[2].split(':')];
+    let node = meta;
+    for (const part of keys.slice(0, -1)) {
+      // "og:image" followed by "og:image:width" turns the scalar into { url, width }
+      if (typeof node[part] === 'string') node[part] = { url: node[part] };
+      node[part] = node[part] || {};
+      node = node[part];
+    }
+
+    const last = keys[keys.length - 1];
+    if (typeof node[last] === 'object' && node[last] !== null) {
+      node[last].url = node[last].url || value;
+    } else if (!(last in node)) {
+      // Repeated tags (several og:image) keep the first
+      node[last] = value;
+    }
+  }
+
+  return meta;
+}
+
+
+/**
+ * Top-level microdata items (itemscope not nested in another item's property)
+ */
+function parseMicrodata(root) {
+  const scopes = Array.from(root.querySelectorAll('[itemscope]')).filter(element =>
+    !element.hasAttribute('itemprop') || !element.parentElement?.closest('[itemscope]'));
+  return scopes.map(readItem);
+}
+
+
+/**
+ * Normalized structured data for a document (or a listing card):
+ * {
+ *   ld: primary JSON-LD entity, jsonLd: [all entities],
+ *   og: { title, image, price: { amount, currency }, ... }, twitter: {...}, product: {...},
+ *   microdata: primary itemscope, items: [all top-level itemscopes]
+ * }
+ */
+export function extractStructuredData(root = document) {
+  const jsonLd = parseJsonLd(root);
+  const items = parseMicrodata(root);
+  const meta = parseMetaTags(root);
+
+  return {
+    ld: pickPrimary(jsonLd),
+    jsonLd,
+    og: meta.og || {},
+    twitter: meta.twitter || {},
+    product: meta.product || {},
+    microdata: pickPrimary(items),
+    items
+  };
+}
+
+/**
+ * Read a dotted path such as "ld.offers.price". Arrays are stepped into by index
+ * ("jsonLd.1.name") or, for a property name, through their first element that has it.
+ */
+export function getStructuredValue(data, path) {
+  let node = data;
+
+  for (const key of String(path || '').split('.')) {
+    if (node === null || typeof node !== 'object') return null;
+
+    if (Array.isArray(node) && !/^\d+$/.test(key)) {
+      node = node.find(entry => entry && typeof entry === 'object' && key in entry);
+      if (!node) return null;
+    }
+    node = node[key];
+  }
+
+  if (node && typeof node === 'object' && !Array.isArray(node)) {
+    // Schema.org often wraps scalars: { "@type": "PropertyValue", "value": ... }
+    return node.value ?? node['@value'] ?? node.name ?? node;
+  }
+  return node ?? null;
+}
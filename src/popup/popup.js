@@ -2,7 +2,13 @@
  * Popup script for Sentio Chrome Extension
  * Handles UI interactions and communication with service worker
  */
-import { MessageTypes, ExtensionState, CONFIG } from '../shared/types.js';
+import { MessageTypes, ExtensionState } from '../shared/types.js';
+import { secureStorage } from '../utils/storage.js';
+import { ResultHistory } from '../utils/result-history.js';
+import {
+  buildExport, resolveExportOptions, discoverColumns, columnLabel, selectExportItems,
+  advanceWatermark, ExportFormats, ExportSources
+} from '../utils/export.js';
 
 class SentioPopup {
   constructor() {
@@ -10,6 +16,9 @@ class SentioPopup {
     this.statusUpdateInterval = null;
     this.toasts = [];
     this.lastStatus = null;
+    this.exportPresets = {};
+    this.exportDiscovered = [];
+    this.exportWatermarks = {};
     
     this.initialize();
   }
@@ -97,9 +106,53 @@ class SentioPopup {
       }
     });
 
+    const retryOutboxButton = document.getElementById('retryOutboxButton');
+    retryOutboxButton?.addEventListener('click', async () => {
+      this.setButtonLoading(retryOutboxButton, true);
+      try {
+        const r = await this.sendMessage(MessageTypes.RETRY_OUTBOX);
+        if (r?.success) {
+          const type = r.remaining ? 'warning' : 'success';
+          this.showToast(`${r.submitted} result(s) uploaded, ${r.remaining || 0} pending`, type);
+        } else {
+          this.showToast('Retry failed', 'error');
+        }
+        await this.loadStatus();
+      } finally {
+        this.setButtonLoading(retryOutboxButton, false);
+      }
+    });
+
+    const discardOutboxButton = document.getElementById('discardOutboxButton');
+    discardOutboxButton?.addEventListener('click', async () => {
+      if (!confirm('Discard results that have not been uploaded? This cannot be undone.')) return;
+      const r = await this.sendMessage(MessageTypes.DISCARD_OUTBOX);
+      if (r?.success) {
+        this.showToast(`${r.discarded} pending result(s) discarded`, 'info');
+        await this.loadStatus();
+      }
+    });
+
+    const toggleScheduleFormButton = document.getElementById('toggleScheduleFormButton');
+    toggleScheduleFormButton?.addEventListener('click', () => {
+      const form = document.getElementById('scheduleForm');
+      if (form) form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    });
+
+    const scheduleForm = document.getElementById('scheduleForm');
+    scheduleForm?.addEventListener('submit', this.handleScheduleSubmit.bind(this));
+
+    const scheduleList = document.getElementById('scheduleList');
+    scheduleList?.addEventListener('click', this.handleScheduleAction.bind(this));
+
     const openDashboardButton = document.getElementById('openDashboardButton');
     openDashboardButton?.addEventListener('click', this.handleOpenDashboard.bind(this));
 
+    const openResultsButton = document.getElementById('openResultsButton');
+    openResultsButton?.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('results/results.html') });
+    });
+
     const resetLocalButton = document.getElementById('resetLocalButton');
     resetLocalButton?.addEventListener('click', async () => {
       this.setButtonLoading(resetLocalButton, true);
@@ -118,12 +171,23 @@ class SentioPopup {
       }
     });
 
+    const resetSeenButton = document.getElementById('resetSeenButton');
+    resetSeenButton?.addEventListener('click', async () => {
+      if (!confirm('Forget seen listings? The next incremental run collects every page again.')) return;
+      const r = await this.sendMessage(MessageTypes.RESET_SEEN_LISTINGS);
+      if (r?.success) {
+        this.showToast(`${r.forgotten} seen listing(s) forgotten`, 'info');
+      } else {
+        this.showToast('Failed to reset seen listings', 'error');
+      }
+    });
+
     const debugDumpButton = document.getElementById('debugDumpButton');
     debugDumpButton?.addEventListener('click', async () => {
       const r = await this.sendMessage(MessageTypes.GET_DEBUG_STATE);
       if (r?.success) {
         const s = r;
-        const msg = `state=${s.state} blocked=${s.blockedUntil ? 'yes' : 'no'} queue=${s.queueSize} hasKey=${s.hasApiKey} lastPoll=${this.formatTime(s.lastPoll)}`;
+        const msg = `state=${s.state} blocked=${s.blockedUntil ? 'yes' : 'no'} queue=${s.queueSize} hasKey=${s.hasApiKey} push=${s.pushConnected ? 'on' : 'off'} poll=${Math.round((s.pollIntervalMs || 0) / 1000)}s lastPoll=${this.formatTime(s.lastPoll)}`;
         this.showToast(msg, 'info', 5000);
         console.log('[DebugState]', r);
       } else {
@@ -131,11 +195,27 @@ class SentioPopup {
       }
     });
 
-    // Export CSV (compact menu)
-    const exportBtn = document.getElementById('exportCsvButton');
+    // Export (compact menu)
+    const exportBtn = document.getElementById('exportButton');
     exportBtn?.addEventListener('click', this.toggleExportMenu.bind(this));
+    const exportFormat = document.getElementById('exportFormat');
+    exportFormat?.addEventListener('change', this.updateExportControls.bind(this));
     const exportApply = document.getElementById('exportApplyButton');
-    exportApply?.addEventListener('click', this.handleExportCsv.bind(this));
+    exportApply?.addEventListener('click', this.handleExport.bind(this));
+    const exportPreset = document.getElementById('exportPreset');
+    exportPreset?.addEventListener('change', this.handlePresetChange.bind(this));
+    const savePresetButton = document.getElementById('savePresetButton');
+    savePresetButton?.addEventListener('click', this.handleSavePreset.bind(this));
+    const deletePresetButton = document.getElementById('deletePresetButton');
+    deletePresetButton?.addEventListener('click', this.handleDeletePreset.bind(this));
+    const resetWatermarkButton = document.getElementById('resetWatermarkButton');
+    resetWatermarkButton?.addEventListener('click', this.handleResetWatermark.bind(this));
+    const exportColumns = document.getElementById('exportColumns');
+    exportColumns?.addEventListener('click', this.handleColumnMove.bind(this));
+    exportColumns?.addEventListener('change', event => {
+      const row = event.target.closest('.export-column');
+      if (row) row.classList.toggle('unchecked', !event.target.checked);
+    });
 
     // Error state buttons
     const retryButton = document.getElementById('retryButton');
@@ -313,121 +393,367 @@ class SentioPopup {
   }
 
   /**
-   * Toggle export dropdown visibility
+   * Toggle export dropdown visibility (opening it restores the saved options and lists the
+   * columns found in the latest result)
    */
-  toggleExportMenu() {
+  async toggleExportMenu() {
     const menu = document.getElementById('exportMenu');
     if (!menu) return;
-    menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+    const opening = menu.style.display === 'none';
+    if (opening) {
+      const saved = resolveExportOptions(await secureStorage.getExportOptions());
+      this.exportPresets = await secureStorage.getExportPresets();
+      this.exportWatermarks = await secureStorage.getExportWatermarks();
+      const result = await this.loadLatestResult();
+      this.exportDiscovered = discoverColumns(result?.data || []);
+      this.showExportOptions(saved);
+      this.renderPresetOptions(saved.preset);
+      this.renderExportColumns(this.exportPresets[saved.preset] || saved.columns);
+      this.renderWatermark();
+    }
+    menu.style.display = opening ? 'block' : 'none';
   }
 
   /**
-   * Handle CSV export with selected fields
+   * Put export options into the menu controls
    */
-  async handleExportCsv() {
-    try {
-      const menu = document.getElementById('exportMenu');
-      const checkboxes = menu?.querySelectorAll('input[type="checkbox"][data-field]') || [];
-      const fields = Array.from(checkboxes).filter(cb => cb.checked).map(cb => cb.getAttribute('data-field'));
+  showExportOptions(options) {
+    document.getElementById('exportFormat').value = options.format;
+    document.getElementById('csvDelimiter').value = options.delimiter;
+    document.getElementById('csvBom').checked = options.bom;
+    document.getElementById('csvQuoting').value = options.quoting;
+
+    const { filters } = options;
+    document.getElementById('exportSource').value = options.source;
+    document.getElementById('exportFrom').value = filters.from;
+    document.getElementById('exportMinPrice').value = filters.minPrice ?? '';
+    document.getElementById('exportMaxPrice').value = filters.maxPrice ?? '';
+    document.getElementById('exportDateFrom').value = filters.dateFrom;
+    document.getElementById('exportDateTo').value = filters.dateTo;
+    document.getElementById('exportRequirePhone').checked = filters.requirePhone;
+    document.getElementById('exportDedupePhone').checked = options.dedupePhone;
+    document.getElementById('exportOnlyNew').checked = options.onlyNew;
+    this.updateExportControls();
+  }
 
-      if (fields.length === 0) {
-        this.showToast('Select at least one field', 'warning');
-        return;
-      }
+  /**
+   * Export options chosen in the menu
+   */
+  readExportOptions() {
+    const value = id => document.getElementById(id)?.value;
+    const checked = id => document.getElementById(id)?.checked;
+    return resolveExportOptions({
+      source: value('exportSource'),
+      format: document.getElementById('exportFormat')?.value,
+      delimiter: document.getElementById('csvDelimiter')?.value,
+      bom: document.getElementById('csvBom')?.checked,
+      quoting: document.getElementById('csvQuoting')?.value,
+      columns: this.readExportColumns(),
+      preset: document.getElementById('exportPreset')?.value,
+      filters: {
+        minPrice: value('exportMinPrice'),
+        maxPrice: value('exportMaxPrice'),
+        from: value('exportFrom'),
+        dateFrom: value('exportDateFrom'),
+        dateTo: value('exportDateTo'),
+        requirePhone: checked('exportRequirePhone')
+      },
+      onlyNew: checked('exportOnlyNew'),
+      dedupePhone: checked('exportDedupePhone')
+    });
+  }
 
-      let response = await this.sendMessage(MessageTypes.GET_LAST_RESULT);
-      let result = response?.result;
-
-      if (!result || !Array.isArray(result.data) || result.data.length === 0) {
-        // Fallback: read directly from storage in case SW missed the event
-        try {
-          result = await new Promise((resolve) => {
-            chrome.storage.local.get([CONFIG.STORAGE_KEYS.LAST_RESULT], (r) => {
-              resolve(r[CONFIG.STORAGE_KEYS.LAST_RESULT] || null);
-            });
-          });
-        } catch (_) {}
-      }
+  /**
+   * CSV options only apply to CSV
+   */
+  updateExportControls() {
+    const csvOptions = document.getElementById('csvOptions');
+    if (csvOptions) {
+      const isCsv = document.getElementById('exportFormat')?.value === ExportFormats.CSV;
+      csvOptions.style.display = isCsv ? 'flex' : 'none';
+    }
+  }
 
-      if (!result || !Array.isArray(result.data) || result.data.length === 0) {
-        this.showToast('No recent results to export', 'warning');
-        return;
-      }
+  /**
+   * Fill the preset select with the saved presets
+   */
+  renderPresetOptions(selected = '') {
+    const select = document.getElementById('exportPreset');
+    if (!select) return;
+
+    const current = document.createElement('option');
+    current.value = '';
+    current.textContent = 'Current columns';
+    const presets = Object.keys(this.exportPresets).sort().map(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      return option;
+    });
+    select.replaceChildren(current, ...presets);
+    select.value = selected in this.exportPresets ? selected : '';
+  }
 
-      const csv = this.buildCsv(fields, result.data);
-      this.downloadCsv(csv, 'sentio-results.csv');
-      this.showToast('CSV exported', 'success');
-      this.toggleExportMenu();
-    } catch (error) {
-      console.error('CSV export failed:', error);
-      this.showToast('Failed to export CSV', 'error');
+  /**
+   * List the selected columns (checked, in their order) followed by the other discovered
+   * columns (unchecked)
+   */
+  renderExportColumns(selected) {
+    const list = document.getElementById('exportColumns');
+    if (!list) return;
+
+    const chosen = new Set(selected.map(column => column.path));
+    const rows = [
+      ...selected.map(column => this.renderExportColumn(column, true)),
+      ...this.exportDiscovered
+        .filter(column => !chosen.has(column.path))
+        .map(column => this.renderExportColumn(column, false))
+    ];
+
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'export-empty';
+      empty.textContent = 'No columns: run a job first';
+      list.replaceChildren(empty);
+      return;
     }
+    list.replaceChildren(...rows);
   }
 
   /**
-   * Build CSV string from data and selected fields
+   * Build one column row (checkbox, editable header, move up/down)
    */
-  buildCsv(fields, rows) {
-    const headers = fields.map(f => this.prettyFieldName(f));
-    const normPhone = (s) => String(s || '').replace(/[^\d+]/g, '');
-    const escape = (val) => {
-      if (val === null || val === undefined) return '';
-      const s = String(val);
-      if (/[",\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
-      return s;
-    };
+  renderExportColumn(column, checked) {
+    const row = document.createElement('div');
+    row.className = `export-column${checked ? '' : ' unchecked'}`;
+    row.dataset.path = column.path;
+    row.title = column.path;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.value = column.label || columnLabel(column.path);
+    label.placeholder = columnLabel(column.path);
+
+    const moves = [['up', '▲', 'Move up'], ['down', '▼', 'Move down']];
+    const buttons = moves.map(([move, text, title]) => {
+      const button = document.createElement('button');
+      button.className = 'export-small-button';
+      button.dataset.move = move;
+      button.textContent = text;
+      button.title = title;
+      return button;
+    });
 
-    const lines = [];
-    lines.push(headers.join(','));
-    for (const item of rows) {
-      const values = fields.map(f => {
-        let v = this.getFieldValue(item, f);
-        if (f === 'phone') v = normPhone(v);
-        return escape(v);
-      });
-      lines.push(values.join(','));
+    row.append(checkbox, label, ...buttons);
+    return row;
+  }
+
+  /**
+   * Move a column row up or down from its arrow buttons
+   */
+  handleColumnMove(event) {
+    const button = event.target.closest('button[data-move]');
+    if (!button) return;
+
+    const row = button.closest('.export-column');
+    if (button.dataset.move === 'up' && row.previousElementSibling) {
+      row.parentNode.insertBefore(row, row.previousElementSibling);
+    } else if (button.dataset.move === 'down' && row.nextElementSibling) {
+      row.parentNode.insertBefore(row.nextElementSibling, row);
     }
-    return lines.join('\n');
   }
 
   /**
-   * Map selected field to item property
+   * Checked columns in the menu, in order, with their headers
+   */
+  readExportColumns() {
+    const rows = document.querySelectorAll('#exportColumns .export-column');
+    return Array.from(rows)
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map(row => ({
+        path: row.dataset.path,
+        label: row.querySelector('input[type="text"]').value.trim() || columnLabel(row.dataset.path)
+      }));
+  }
+
+  /**
+   * Show the columns of the chosen preset
    */
-  getFieldValue(item, field) {
-    switch (field) {
-      case 'phone': return item.contact?.phone || '';
-      case 'name': return item.contact?.name || '';
-      case 'from': return item.from || '';
-      case 'location':
-      case 'address': return item.address || item.location || '';
-      case 'title': return item.title || '';
-      case 'price': return item.price ?? '';
-      case 'date': return item.date || '';
-      case 'url': return item.url || '';
-      default: return '';
+  handlePresetChange(event) {
+    const columns = this.exportPresets[event.target.value];
+    if (columns) this.renderExportColumns(columns);
+    this.renderWatermark();
+  }
+
+  /**
+   * Describe the selected preset's last export
+   */
+  renderWatermark() {
+    const text = document.getElementById('exportWatermark');
+    if (!text) return;
+
+    const preset = document.getElementById('exportPreset')?.value || '';
+    const watermark = this.exportWatermarks[preset];
+    text.textContent = watermark ?
+      `Last export ${this.formatTime(watermark.exportedAt)} · ` +
+        `${watermark.listingIds.length} listings` :
+      'Not exported yet';
+  }
+
+  /**
+   * Forget the listings the selected preset exported, so "only new" starts over
+   */
+  async handleResetWatermark() {
+    const preset = document.getElementById('exportPreset')?.value || '';
+    if (!this.exportWatermarks[preset]) return;
+    const question = 'Forget exported listings? The next "only new" export includes every row.';
+    if (!confirm(question)) return;
+
+    const watermarks = { ...this.exportWatermarks };
+    delete watermarks[preset];
+    this.exportWatermarks = watermarks;
+    await secureStorage.setExportWatermarks(watermarks);
+    this.renderWatermark();
+  }
+
+  /**
+   * Save the current columns under a name (an existing name is overwritten)
+   */
+  async handleSavePreset() {
+    const columns = this.readExportColumns();
+    if (columns.length === 0) {
+      this.showToast('Select at least one column', 'warning');
+      return;
+    }
+
+    const current = document.getElementById('exportPreset')?.value || '';
+    const name = (prompt('Preset name', current) || '').trim();
+    if (!name) return;
+
+    this.exportPresets = { ...this.exportPresets, [name]: columns };
+    if (await secureStorage.setExportPresets(this.exportPresets)) {
+      this.renderPresetOptions(name);
+      this.renderWatermark();
+      this.showToast(`Preset "${name}" saved`, 'success');
+    } else {
+      this.showToast('Failed to save preset', 'error');
     }
   }
 
-  prettyFieldName(f) {
-    const map = {
-      phone: 'Phone',
-      name: 'Name',
-      from: 'From',
-      title: 'Title',
-      price: 'Price',
-      location: 'Address',
-      address: 'Address',
-      date: 'Date',
-      url: 'URL'
-    };
-    return map[f] || f;
+  /**
+   * Delete the selected preset and its watermark (its columns stay in the menu)
+   */
+  async handleDeletePreset() {
+    const name = document.getElementById('exportPreset')?.value;
+    if (!name) return;
+    if (!confirm(`Delete the export preset "${name}"?`)) return;
+
+    const presets = { ...this.exportPresets };
+    delete presets[name];
+    this.exportPresets = presets;
+    await secureStorage.setExportPresets(presets);
+    const watermarks = { ...this.exportWatermarks };
+    delete watermarks[name];
+    this.exportWatermarks = watermarks;
+    await secureStorage.setExportWatermarks(watermarks);
+    this.renderPresetOptions('');
+    this.renderWatermark();
   }
 
   /**
-   * Trigger CSV file download
+   * Latest job result from the service worker, or from the result history when the service
+   * worker is unavailable (null when there is none)
    */
-  downloadCsv(csvText, filename) {
-    const blob = new Blob([csvText], { type: 'text/csv;charset=utf-8;' });
+  async loadLatestResult() {
+    const response = await this.sendMessage(MessageTypes.GET_LAST_RESULT);
+    let result = response?.result;
+
+    if (!result || !Array.isArray(result.data) || result.data.length === 0) {
+      try {
+        result = await new ResultHistory().latest();
+      } catch (_) {}
+    }
+
+    return result && Array.isArray(result.data) && result.data.length > 0 ? result : null;
+  }
+
+  /**
+   * Items of the latest result, or of every saved result (newest job first)
+   */
+  async loadExportItems(source) {
+    if (source !== ExportSources.HISTORY) {
+      return (await this.loadLatestResult())?.data || [];
+    }
+
+    const history = new ResultHistory();
+    const items = [];
+    for (const job of await history.list()) {
+      const result = await history.get(job.jobId);
+      items.push(...(result?.data || []));
+    }
+    return items;
+  }
+
+  /**
+   * Export the chosen rows and columns in the chosen format. Every export advances the
+   * preset's watermark; with "only new" the listings it already holds are skipped.
+   */
+  async handleExport() {
+    try {
+      const options = this.readExportOptions();
+      const { columns, preset } = options;
+      if (this.readExportColumns().length === 0) {
+        this.showToast('Select at least one column', 'warning');
+        return;
+      }
+      await secureStorage.setExportOptions(options);
+
+      const items = await this.loadExportItems(options.source);
+      if (items.length === 0) {
+        this.showToast('No recent results to export', 'warning');
+        return;
+      }
+
+      const watermark = this.exportWatermarks[preset];
+      const { items: rows, skipped } = selectExportItems(items, {
+        filters: options.filters,
+        exported: options.onlyNew ? watermark?.listingIds : [],
+        dedupePhone: options.dedupePhone
+      });
+      if (rows.length === 0) {
+        const message = options.onlyNew ? 'No new rows to export' : 'No rows match the filters';
+        this.showToast(message, 'warning');
+        return;
+      }
+
+      const file = buildExport(rows, columns, options);
+      this.downloadFile(file.content, `sentio-results.${file.extension}`, file.mimeType);
+
+      this.exportWatermarks = {
+        ...this.exportWatermarks,
+        [preset]: advanceWatermark(watermark, rows)
+      };
+      await secureStorage.setExportWatermarks(this.exportWatermarks);
+
+      const skippedCount = skipped.filtered + skipped.exported + skipped.duplicates;
+      const note = skippedCount > 0 ? ` (${skippedCount} skipped)` : '';
+      const format = file.extension.toUpperCase();
+      this.showToast(`${rows.length} rows exported as ${format}${note}`, 'success');
+      this.toggleExportMenu();
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showToast('Failed to export results', 'error');
+    }
+  }
+
+  /**
+   * Trigger a file download of text or bytes
+   */
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -656,7 +982,11 @@ class SentioPopup {
     }
 
     // Update current activity
-    this.updateCurrentActivity(isExecuting, isPolling, queuedJobs);
+    this.updateCurrentActivity(isExecuting, isPolling, queuedJobs, status.pushConnected);
+
+    this.updateOutboxUI(status.outboxSize || 0);
+    this.updateDriftUI(status.selectorDrift);
+    this.loadSchedules();
 
     // Update masked API key (placeholder)
     const maskedApiKeyElement = document.getElementById('maskedApiKey');
@@ -665,10 +995,172 @@ class SentioPopup {
     }
   }
 
+  /**
+   * Show results waiting for resubmission
+   */
+  async updateOutboxUI(size) {
+    const panel = document.getElementById('outboxPanel');
+    if (!panel) return;
+
+    panel.style.display = size > 0 ? 'flex' : 'none';
+    if (size === 0) return;
+
+    const statusElement = document.getElementById('outboxStatus');
+    if (statusElement) {
+      statusElement.textContent = `${size} result${size > 1 ? 's' : ''} pending upload`;
+    }
+
+    try {
+      const res = await this.sendMessage(MessageTypes.GET_OUTBOX_STATUS);
+      const outbox = res?.outbox;
+      const detailsElement = document.getElementById('outboxDetails');
+      if (!outbox || !detailsElement) return;
+
+      detailsElement.textContent = outbox.nextAttemptAt ?
+        `Next retry at ${new Date(outbox.nextAttemptAt).toLocaleTimeString()}` :
+        'Automatic retries exhausted';
+      detailsElement.title = outbox.lastError || '';
+    } catch (_) {}
+  }
+
+  /**
+   * Warn about fields the last job filled far less often than earlier runs
+   */
+  updateDriftUI(drift) {
+    const panel = document.getElementById('driftPanel');
+    if (!panel) return;
+
+    panel.style.display = drift?.warnings?.length ? 'block' : 'none';
+    const detailsElement = document.getElementById('driftDetails');
+    if (!drift || !detailsElement) return;
+
+    const checkedAt = this.formatTime(drift.checkedAt);
+    detailsElement.textContent = `${drift.jobType} at ${checkedAt}: ${drift.summary}`;
+    detailsElement.title = drift.warnings
+      .map(w => `${w.field}: ${w.selector || 'no match'} (was ${w.baselineSelector || 'no match'})`)
+      .join('\n');
+  }
+
+  /**
+   * Render recurring schedules with their next run
+   */
+  async loadSchedules() {
+    const list = document.getElementById('scheduleList');
+    if (!list) return;
+
+    try {
+      const res = await this.sendMessage(MessageTypes.GET_SCHEDULES);
+      const schedules = res?.schedules || [];
+      list.textContent = '';
+
+      if (schedules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'schedule-empty';
+        empty.textContent = 'No schedules';
+        list.appendChild(empty);
+        return;
+      }
+
+      for (const schedule of schedules) {
+        list.appendChild(this.renderScheduleRow(schedule));
+      }
+    } catch (_) {}
+  }
+
+  /**
+   * Build one schedule row (name, cadence, next run, pause/delete)
+   */
+  renderScheduleRow(schedule) {
+    const row = document.createElement('div');
+    row.className = `schedule-row${schedule.paused ? ' paused' : ''}`;
+
+    const text = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'schedule-name';
+    name.textContent = schedule.name;
+    const meta = document.createElement('div');
+    meta.className = 'schedule-meta';
+    const cadence = schedule.cron ? `cron ${schedule.cron}` : `every ${schedule.everyMinutes} min`;
+    const quiet = schedule.quietHours ?
+      ` · quiet ${schedule.quietHours.start}–${schedule.quietHours.end}` : '';
+    const next = schedule.paused || !schedule.nextRunAt ?
+      'paused' : `next ${new Date(schedule.nextRunAt).toLocaleString()}`;
+    meta.textContent = `${cadence}${quiet} · ${next}`;
+    text.append(name, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'schedule-row-actions';
+    const pause = document.createElement('button');
+    pause.className = 'action-button';
+    pause.dataset.action = schedule.paused ? 'resume' : 'pause';
+    pause.dataset.id = schedule.id;
+    pause.textContent = schedule.paused ? '▶' : '⏸';
+    pause.title = schedule.paused ? 'Resume schedule' : 'Pause schedule';
+    const remove = document.createElement('button');
+    remove.className = 'action-button';
+    remove.dataset.action = 'delete';
+    remove.dataset.id = schedule.id;
+    remove.textContent = '🗑';
+    remove.title = 'Delete schedule';
+    actions.append(pause, remove);
+
+    row.append(text, actions);
+    return row;
+  }
+
+  /**
+   * Pause, resume or delete a schedule from its row buttons
+   */
+  async handleScheduleAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { action, id } = button.dataset;
+    let res;
+    if (action === 'delete') {
+      if (!confirm('Delete this schedule? Runs already queued will still execute.')) return;
+      res = await this.sendMessage(MessageTypes.DELETE_SCHEDULE, { id });
+    } else {
+      res = await this.sendMessage(MessageTypes.PAUSE_SCHEDULE, { id, paused: action === 'pause' });
+    }
+
+    if (!res?.success) {
+      this.showToast('Schedule update failed', 'error');
+    }
+    await this.loadSchedules();
+  }
+
+  /**
+   * Save a schedule that repeats the most recent job
+   */
+  async handleScheduleSubmit(event) {
+    event.preventDefault();
+
+    const expression = document.getElementById('scheduleExpression')?.value.trim() || '';
+    const start = document.getElementById('quietStart')?.value || '';
+    const end = document.getElementById('quietEnd')?.value || '';
+    const payload = /^\d+$/.test(expression) ?
+      { everyMinutes: Number(expression) } :
+      { cron: expression };
+    if (start && end) {
+      payload.quietHours = { start, end };
+    }
+
+    const res = await this.sendMessage(MessageTypes.SAVE_SCHEDULE, payload);
+    if (res?.success) {
+      this.showToast(`Scheduled; next run ${new Date(res.schedule.nextRunAt).toLocaleString()}`, 'success');
+      event.target.reset();
+      event.target.style.display = 'none';
+      await this.loadSchedules();
+    } else {
+      this.showToast(res?.error || 'Failed to save schedule', 'error');
+    }
+  }
+
   /**
    * Update current activity display
    */
-  updateCurrentActivity(isExecuting, isPolling, queuedJobs) {
+  updateCurrentActivity(isExecuting, isPolling, queuedJobs, pushConnected = false) {
     const activityIcon = document.getElementById('activityIcon');
     const activityStatus = document.getElementById('activityStatus');
     const activityDetails = document.getElementById('activityDetails');
@@ -690,7 +1182,9 @@ class SentioPopup {
     } else {
       activityIcon.textContent = '💤';
       activityStatus.textContent = 'Idle';
-      activityDetails.textContent = 'Waiting for jobs from dashboard';
+      activityDetails.textContent = pushConnected ?
+        'Live: jobs arrive as soon as they are created' :
+        'Waiting for jobs from dashboard';
     }
   }
 
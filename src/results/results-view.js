@@ -0,0 +1,92 @@
+/**
+ * Row model of the results page
+ * Flattens result items into table rows, applies the full-text search and column filters,
+ * sorts, and computes the visible window of the virtualized table.
+ */
+import { foldText } from '../content/attribute-normalizer.js';
+import { compileFilters, evaluateFilters } from '../content/listing-filter.js';
+
+export const COLUMNS = [
+  { key: 'title', label: 'Title' },
+  { key: 'price', label: 'Price' },
+  { key: 'from', label: 'From' },
+  { key: 'location', label: 'Location' },
+  { key: 'date', label: 'Date' },
+  { key: 'seller', label: 'Seller' },
+  { key: 'phone', label: 'Phone' }
+];
+
+/**
+ * Table row of an item: the values shown and sorted on, plus folded text for the search
+ */
+export function toRow(item, index) {
+  const price = item?.price && typeof item.price === 'object' ? item.price : null;
+  const row = {
+    index,
+    item,
+    title: item?.title || '',
+    price: price ? price.amount ?? null : (typeof item?.price === 'number' ? item.price : null),
+    currency: price?.currency || '',
+    from: item?.from || item?.attributes?.sellerType?.raw || '',
+    location: item?.address || item?.location || '',
+    date: item?.date || '',
+    seller: item?.contact?.name || '',
+    phone: item?.contact?.phone || ''
+  };
+
+  const searchable = [
+    row.title, row.from, row.location, row.seller, row.phone, price?.text,
+    item?.description, item?.url, ...Object.values(item?.details || {})
+  ];
+  row.text = foldText(searchable.filter(Boolean).join(' '));
+  return row;
+}
+
+/**
+ * Rows matching every search term and column filter:
+ * { query, minPrice, maxPrice, from: 'owner' | 'agency', dateFrom, dateTo ('YYYY-MM-DD') }.
+ * Price and `from` use the job filter rules; unlike a job, a row without the value is hidden.
+ */
+export function filterRows(rows, { query = '', minPrice, maxPrice, from, dateFrom, dateTo } = {}) {
+  const terms = foldText(query).split(' ').filter(Boolean);
+  const rules = compileFilters({ minPrice, maxPrice, from: from || null })
+    .map(rule => ({ ...rule, required: true }));
+
+  return rows.filter(row => {
+    if (!terms.every(term => row.text.includes(term))) return false;
+    if ((dateFrom || dateTo) && !row.date) return false;
+    if (dateFrom && row.date < dateFrom) return false;
+    if (dateTo && row.date > dateTo) return false;
+    return rules.length === 0 || evaluateFilters(row.item, rules) === null;
+  });
+}
+
+/**
+ * Rows sorted by a column (numbers numerically, text in Turkish order); empty values go last
+ */
+export function sortRows(rows, { key = 'date', direction = 'desc' } = {}) {
+  const sign = direction === 'asc' ? 1 : -1;
+  const empty = value => value === null || value === '';
+
+  return [...rows].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (empty(x) || empty(y)) {
+      return Number(empty(x)) - Number(empty(y)) || a.index - b.index;
+    }
+    const order = typeof x === 'number' && typeof y === 'number' ?
+      x - y :
+      String(x).localeCompare(String(y), 'tr', { numeric: true });
+    return sign * order || a.index - b.index;
+  });
+}
+
+/**
+ * Rows to render for a scroll position: [start, end) plus `overscan` rows on either side
+ */
+export function visibleRange({ scrollTop, height, rowHeight, total, overscan = 5 }) {
+  const first = Math.floor(scrollTop / rowHeight);
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(total, first + Math.ceil(height / rowHeight) + overscan);
+  return { start, end: Math.max(start, end) };
+}
@@ -0,0 +1,326 @@
+/**
+ * Results page for Sentio Chrome Extension
+ * Browses the local result history: past jobs, their items in a virtualized table with
+ * search, column filters and sorting, and a detail pane for the selected item.
+ */
+import { ResultHistory } from '../utils/result-history.js';
+import { logger } from '../utils/logger.js';
+import { COLUMNS, toRow, filterRows, sortRows, visibleRange } from './results-view.js';
+
+const ROW_HEIGHT = 32;
+
+/**
+ * Element with an optional class and text
+ */
+function element(tag, className = '', text = '') {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+}
+
+class ResultsPage {
+  constructor() {
+    this.history = new ResultHistory();
+    this.jobs = [];
+    this.jobId = null;
+    this.rows = [];
+    this.view = [];
+    this.sort = { key: 'date', direction: 'desc' };
+    this.selected = null;
+    this.renderPending = false;
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize the page and open the job named in ?job= (else the latest)
+   */
+  async initialize() {
+    this.setupEventListeners();
+    this.renderHeader();
+    await this.loadJobs();
+
+    const requested = new URLSearchParams(window.location.search).get('job');
+    const jobId = this.jobs.some(job => job.jobId === requested) ? requested : this.jobs[0]?.jobId;
+    if (jobId) await this.selectJob(jobId);
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('refreshButton')?.addEventListener('click', async () => {
+      await this.loadJobs();
+      if (this.jobId) await this.selectJob(this.jobId);
+    });
+
+    document.getElementById('jobList')?.addEventListener('click', event => {
+      const item = event.target.closest('[data-job-id]');
+      if (item) this.selectJob(item.getAttribute('data-job-id'));
+    });
+
+    const form = document.getElementById('filterForm');
+    form?.addEventListener('input', () => this.applyView());
+    form?.addEventListener('submit', event => event.preventDefault());
+    // Inputs are cleared after the reset event
+    form?.addEventListener('reset', () => setTimeout(() => this.applyView(), 0));
+
+    document.getElementById('tableHeader')?.addEventListener('click', event => {
+      const button = event.target.closest('[data-column]');
+      if (button) this.toggleSort(button.getAttribute('data-column'));
+    });
+
+    const viewport = document.getElementById('tableViewport');
+    viewport?.addEventListener('scroll', () => this.scheduleRender());
+    window.addEventListener('resize', () => this.scheduleRender());
+
+    document.getElementById('tableRows')?.addEventListener('click', event => {
+      const row = event.target.closest('[data-row]');
+      if (row) this.showDetail(this.view[Number(row.getAttribute('data-row'))]);
+    });
+
+    const closeDetailButton = document.getElementById('closeDetailButton');
+    closeDetailButton?.addEventListener('click', () => this.showDetail(null));
+  }
+
+  /**
+   * Load the job records of the result history
+   */
+  async loadJobs() {
+    try {
+      this.jobs = await this.history.list();
+    } catch (error) {
+      logger.error('Failed to read the result history:', error);
+      this.jobs = [];
+    }
+    this.renderJobs();
+  }
+
+  /**
+   * Load a job's items into the table
+   */
+  async selectJob(jobId) {
+    this.jobId = jobId;
+    this.renderJobs();
+    this.showDetail(null);
+
+    try {
+      const result = await this.history.get(jobId);
+      this.rows = (result?.data || []).map(toRow);
+    } catch (error) {
+      logger.error(`Failed to read the result of job ${jobId}:`, error);
+      this.rows = [];
+    }
+    document.getElementById('tableViewport').scrollTop = 0;
+    this.applyView();
+  }
+
+  /**
+   * Current search and column filter values
+   */
+  readFilters() {
+    const value = id => document.getElementById(id)?.value || '';
+    const number = id => (value(id) === '' ? null : Number(value(id)));
+    return {
+      query: value('searchInput'),
+      minPrice: number('minPriceInput'),
+      maxPrice: number('maxPriceInput'),
+      from: value('fromSelect'),
+      dateFrom: value('dateFromInput'),
+      dateTo: value('dateToInput')
+    };
+  }
+
+  /**
+   * Filter and sort the job's rows, then redraw the table
+   */
+  applyView() {
+    this.view = sortRows(filterRows(this.rows, this.readFilters()), this.sort);
+    document.getElementById('rowCount').textContent =
+      this.view.length === this.rows.length ?
+        `${this.rows.length} items` :
+        `${this.view.length} of ${this.rows.length} items`;
+    document.getElementById('tableSpacer').style.height = `${this.view.length * ROW_HEIGHT}px`;
+    this.renderHeader();
+    this.renderRows();
+  }
+
+  /**
+   * Sort by a column; the same column again flips the direction
+   */
+  toggleSort(key) {
+    const direction = this.sort.key === key && this.sort.direction === 'asc' ? 'desc' : 'asc';
+    this.sort = { key, direction };
+    this.applyView();
+  }
+
+  /**
+   * Redraw the visible rows once per animation frame while scrolling
+   */
+  scheduleRender() {
+    if (this.renderPending) return;
+    this.renderPending = true;
+    requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.renderRows();
+    });
+  }
+
+  renderJobs() {
+    const list = document.getElementById('jobList');
+    if (!list) return;
+
+    list.replaceChildren();
+    if (this.jobs.length === 0) {
+      list.appendChild(element('li', 'job-empty', 'No results yet'));
+      return;
+    }
+
+    for (const job of this.jobs) {
+      const item = element('li', job.jobId === this.jobId ? 'job-item active' : 'job-item');
+      item.setAttribute('data-job-id', job.jobId);
+      item.title = job.url || job.jobId;
+      item.appendChild(element('div', 'job-type', job.type || job.jobId));
+      const status = job.status && job.status !== 'completed' ? ` • ${job.status}` : '';
+      item.appendChild(element('div', 'job-meta',
+        `${new Date(job.completedAt).toLocaleString()} • ${job.itemCount} items${status}`));
+      list.appendChild(item);
+    }
+  }
+
+  renderHeader() {
+    const header = document.getElementById('tableHeader');
+    if (!header) return;
+
+    header.replaceChildren(...COLUMNS.map(({ key, label }) => {
+      const arrow = this.sort.key === key ? (this.sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+      const button = element('button', 'column-button', label + arrow);
+      button.setAttribute('data-column', key);
+      return button;
+    }));
+  }
+
+  /**
+   * Render only the rows in (and just around) the viewport
+   */
+  renderRows() {
+    const viewport = document.getElementById('tableViewport');
+    const container = document.getElementById('tableRows');
+    if (!viewport || !container) return;
+
+    const { start, end } = visibleRange({
+      scrollTop: viewport.scrollTop,
+      height: viewport.clientHeight,
+      rowHeight: ROW_HEIGHT,
+      total: this.view.length
+    });
+
+    const rows = [];
+    for (let i = start; i < end; i++) {
+      const row = this.view[i];
+      const line = element('div', row === this.selected ? 'table-row selected' : 'table-row');
+      line.setAttribute('data-row', String(i));
+      for (const { key } of COLUMNS) {
+        const text = this.formatCell(row, key);
+        const cell = element('div', 'table-cell', text);
+        cell.title = text;
+        line.appendChild(cell);
+      }
+      rows.push(line);
+    }
+    container.style.transform = `translateY(${start * ROW_HEIGHT}px)`;
+    container.replaceChildren(...rows);
+  }
+
+  formatCell(row, key) {
+    if (key === 'price') return this.formatPrice(row);
+    return String(row[key] ?? '');
+  }
+
+  formatPrice(row) {
+    if (row.price === null) return row.item?.price?.text || '';
+    return `${row.price.toLocaleString('tr-TR')} ${row.currency}`.trim();
+  }
+
+  /**
+   * Show an item's images, description and raw details table (null closes the pane)
+   */
+  showDetail(row) {
+    this.selected = row || null;
+    const panel = document.getElementById('detailPanel');
+    const content = document.getElementById('detailContent');
+    if (!panel || !content) return;
+
+    panel.style.display = row ? 'block' : 'none';
+    content.replaceChildren();
+    this.renderRows();
+    if (!row) return;
+
+    const { item } = row;
+    const title = element('a', 'detail-title', row.title || item.url || 'Untitled');
+    if (item.url) {
+      title.href = item.url;
+      title.target = '_blank';
+    }
+    content.appendChild(title);
+    if (row.price !== null) {
+      content.appendChild(element('div', 'detail-price', this.formatPrice(row)));
+    }
+
+    const facts = {
+      From: row.from,
+      Location: row.location,
+      Date: row.date,
+      Seller: row.seller,
+      Phone: row.phone
+    };
+    content.appendChild(this.detailTable(facts));
+
+    const images = Array.isArray(item.images) ? item.images : [];
+    if (images.length > 0) {
+      const gallery = element('div', 'detail-images');
+      for (const src of images) {
+        const image = element('img');
+        image.src = src;
+        image.loading = 'lazy';
+        image.alt = '';
+        gallery.appendChild(image);
+      }
+      content.appendChild(gallery);
+    }
+
+    if (item.description) {
+      content.appendChild(element('div', 'detail-description', item.description));
+    }
+    if (item.details && Object.keys(item.details).length > 0) {
+      content.appendChild(element('div', 'panel-title', 'Listing details'));
+      content.appendChild(this.detailTable(item.details));
+    }
+  }
+
+  /**
+   * Two-column table of label → value (empty values are left out)
+   */
+  detailTable(entries) {
+    const table = element('table', 'detail-table');
+    for (const [label, value] of Object.entries(entries)) {
+      const text = value ?? '';
+      if (text === '' || typeof text === 'object') continue;
+      const line = element('tr');
+      line.appendChild(element('th', '', label));
+      line.appendChild(element('td', '', String(text)));
+      table.appendChild(line);
+    }
+    return table;
+  }
+}
+
+// Initialize the page when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new ResultsPage();
+  });
+} else {
+  new ResultsPage();
+}
@@ -8,7 +8,8 @@ export const JobStatus = {
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
-  CANCELLED: 'cancelled'
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout'
 };
 
 // Message Types for communication between components
@@ -41,13 +42,31 @@ export const MessageTypes = {
   CLEAR_LOCAL_STATE: 'clear_local_state',
   GET_DEBUG_STATE: 'get_debug_state',
 
+  // Popup ↔ Service Worker (result history)
+  GET_RESULT_HISTORY: 'get_result_history',
+  SET_RESULT_RETENTION: 'set_result_retention',
+
+  // Popup ↔ Service Worker (result outbox)
+  GET_OUTBOX_STATUS: 'get_outbox_status',
+  RETRY_OUTBOX: 'retry_outbox',
+  DISCARD_OUTBOX: 'discard_outbox',
+
+  // Popup → Service Worker (incremental crawl index)
+  RESET_SEEN_LISTINGS: 'reset_seen_listings',
+
   // Dev helper
   GET_DEV_KEY: 'get_dev_key',
 
   // Blocking / rate limit
   GET_BLOCK_STATUS: 'get_block_status',
   RESUME_AFTER_BLOCK: 'resume_after_block',
-  BLOCK_DETECTED: 'block_detected'
+  BLOCK_DETECTED: 'block_detected',
+
+  // Popup ↔ Service Worker (recurring schedules)
+  GET_SCHEDULES: 'get_schedules',
+  SAVE_SCHEDULE: 'save_schedule',
+  PAUSE_SCHEDULE: 'pause_schedule',
+  DELETE_SCHEDULE: 'delete_schedule'
 };
 
 // Extension States
@@ -64,7 +83,21 @@ export const API_ENDPOINTS = {
   VALIDATE_KEY: '/auth/validate',
   GET_JOBS: '/jobs/pending',
   SUBMIT_RESULTS: '/jobs/results',
-  HEALTH: '/health'
+  SUBMIT_RESULT_CHUNK: '/jobs/results/chunk',
+  HEALTH: '/health',
+
+  // Job lease lifecycle
+  CLAIM_JOB: '/jobs/claim',
+  JOB_HEARTBEAT: '/jobs/heartbeat',
+  RELEASE_JOB: '/jobs/release',
+  FAIL_JOB: '/jobs/fail',
+
+  // Server-initiated cancellation
+  GET_CANCELLATIONS: '/jobs/cancellations',
+  ACK_CANCELLATION: '/jobs/cancellations/ack',
+
+  // Push delivery (server-sent events)
+  JOB_STREAM: '/jobs/stream'
 };
 
 // Configuration Constants
@@ -73,6 +106,57 @@ export const CONFIG = {
   POLLING_INTERVAL_MIN: 30000,     // 30 seconds
   POLLING_INTERVAL_MAX: 300000,    // 5 minutes
   POLLING_BACKOFF_MULTIPLIER: 1.5,
+  POLLING_ERROR_COOLDOWN: 60000,   // 1 minute minimum after a failed poll
+
+  // Push delivery (falls back to polling when the stream is down)
+  PUSH_ENABLED: true,
+  PUSH_RECONNECT_BASE: 30000,      // 30 seconds (alarm minimum)
+  PUSH_RECONNECT_MAX: 600000,      // 10 minutes
+  PUSH_IDLE_TIMEOUT: 90000,        // reconnect after 90s without data or ping
+
+  // Job leases
+  LEASE_TTL: 120000,               // 2 minutes (used when server omits expiry)
+  LEASE_HEARTBEAT_INTERVAL: 30000, // 30 seconds
+  LEASE_PROGRESS_TIMEOUT: 600000,  // 10 minutes without content progress
+
+  // Execution watchdog
+  MAX_EXECUTION_TIME: 600000,      // 10 minutes (upper bound for job.config.timeout)
+
+  // Follow-up (chained) jobs created from a finished job's output
+  FOLLOW_UP_BATCH_SIZE: 10,        // detail URLs per child job
+  FOLLOW_UP_MAX_JOBS: 10,          // children per parent job
+  FOLLOW_UP_TTL: 21600000,         // 6 hours until a child job expires
+  MAX_CHAINED_LISTINGS: 5000,      // listing keys remembered for onlyUnseen
+
+  // Recurring local schedules
+  SCHEDULE_MIN_INTERVAL: 300000,   // 5 minutes between runs of one schedule
+  SCHEDULE_JOB_TTL: 3600000,       // 1 hour until a scheduled run expires in the queue
+  MAX_SCHEDULES: 20,
+
+  // Selector drift (field fill rates compared with previous runs of the same job type)
+  DRIFT_FILL_DROP: 0.3,            // fill-rate drop below the baseline that raises a warning
+  DRIFT_MIN_ITEMS: 5,              // smaller samples are neither compared nor learned from
+  DRIFT_BASELINE_WEIGHT: 0.3,      // weight of the latest run in the moving baseline
+
+  // Incremental crawls (job.config.incremental)
+  INCREMENTAL_STOP_AFTER: 5,       // consecutive known listings that end collection
+  SEEN_LISTING_TTL: 2592000000,    // 30 days until a seen listing counts as new again
+  MAX_SEEN_LISTINGS: 20000,
+
+  // monitor_changes snapshots (per monitored URL, keyed by listing ID)
+  MONITOR_MAX_URLS: 50,            // least recently monitored URLs are forgotten first
+
+  // Result history (IndexedDB; every finished job's result for export)
+  RESULT_HISTORY_DB: 'sentio_results',
+  RESULT_HISTORY_MAX_JOBS: 100,    // default retention: newest jobs kept
+  RESULT_HISTORY_MAX_AGE_DAYS: 90, // default retention: older results are dropped
+  EXPORT_WATERMARK_MAX_IDS: 20000, // exported listing IDs remembered per preset
+
+  // Result outbox (failed submissions)
+  MAX_FAILED_RESULTS: 20,
+  OUTBOX_RETRY_BASE: 60000,        // 1 minute
+  OUTBOX_RETRY_MAX: 1800000,       // 30 minutes
+  OUTBOX_MAX_ATTEMPTS: 10,
   
   // Request timeouts
   REQUEST_TIMEOUT: 10000,          // 10 seconds
@@ -96,7 +180,22 @@ export const CONFIG = {
     JOB_QUEUE: 'job_queue',
     LAST_RESULT: 'last_job_result',
     DETAIL_PROGRESS: 'detail_progress',
-    BLOCKED_UNTIL: 'blocked_until'
+    LISTING_PROGRESS: 'listing_progress',
+    BLOCKED_UNTIL: 'blocked_until',
+    JOB_LEASE: 'job_lease',
+    JOB_DEADLINE: 'job_deadline',
+    POLL_SCHEDULE: 'poll_schedule',
+    CHAINED_LISTINGS: 'chained_listings',
+    SCHEDULES: 'job_schedules',
+    RESULT_STREAM: 'result_stream',
+    FIELD_COVERAGE: 'field_coverage',
+    MONITOR_SNAPSHOTS: 'monitor_snapshots',
+    SEEN_LISTINGS: 'seen_listings',
+    RESULT_RETENTION: 'result_retention',
+    EXPORT_OPTIONS: 'export_options',
+    EXPORT_PRESETS: 'export_presets',
+    EXPORT_WATERMARKS: 'export_watermarks',
+    RESULT_OUTBOX: 'result_outbox'
   }
 };
 
@@ -147,6 +246,8 @@ export const ErrorCodes = {
   ANTI_BOT_DETECTED: 'ANTI_BOT_DETECTED',
   RATE_LIMITED: 'RATE_LIMITED',
   TIMEOUT: 'TIMEOUT',
+  LEASE_CONFLICT: 'LEASE_CONFLICT',
+  LEASE_EXPIRED: 'LEASE_EXPIRED',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
@@ -0,0 +1,135 @@
+/**
+ * Date parsing for Sentio Chrome Extension
+ * Understands the date shapes sahibinden shows on listing and detail pages
+ * ("12 Ocak 2024", two-line "03 Eylül / 2025", "Bugün", "Dün", "12.01.2024") and
+ * resolves relative ones against the extraction time in Istanbul.
+ */
+
+export const TIME_ZONE = 'Europe/Istanbul';
+
+// Folded month names (see foldDate)
+const MONTHS = {
+  ocak: 1, subat: 2, mart: 3, nisan: 4, mayis: 5, haziran: 6,
+  temmuz: 7, agustos: 8, eylul: 9, ekim: 10, kasim: 11, aralik: 12
+};
+
+// How sure a parse is, by how the date was written
+export const DATE_CONFIDENCE = {
+  absolute: 1,
+  relative: 0.9,
+  inferredYear: 0.7,
+  none: 0
+};
+
+const RELATIVE_DAYS = [
+  [/^bugun\b/, 0],
+  [/^dun\b/, 1],
+  [/^evvelsi gun\b|^onceki gun\b/, 2]
+];
+
+const istanbulFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Lowercase (Turkish rules), drop diacritics and collapse line breaks:
+ * "03 Eylül\n2025" → "03 eylul 2025"
+ */
+function foldDate(text) {
+  return String(text || '')
+    .toLocaleLowerCase('tr-TR')
+    .replace(/ç/g, 'c').replace(/ğ/g, 'g').replace(/ı/g, 'i')
+    .replace(/ö/g, 'o').replace(/ş/g, 's').replace(/ü/g, 'u')
+    .replace(/ilan tarihi\s*:?/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * "YYYY-MM-DD" for a calendar date, or null when it does not exist (31 Şubat)
+ */
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const exists = date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+  return exists ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Calendar date in Istanbul at a moment: { year, month, day }
+ */
+export function istanbulToday(now = Date.now()) {
+  const [year, month, day] = istanbulFormat.format(new Date(now)).split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Istanbul calendar date `days` before a moment, as "YYYY-MM-DD"
+ */
+function daysBefore(now, days) {
+  const today = istanbulToday(now);
+  const date = new Date(Date.UTC(today.year, today.month - 1, today.day - days));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a listing or detail date into { date, text, confidence, basis }.
+ * `date` is "YYYY-MM-DD" (null when unparsable), `basis` says how it was read:
+ * 'absolute', 'relative' (resolved against `now`) or 'inferredYear' (day and month only).
+ * Returns null for empty text.
+ *
+ * @param {string} text - Date as shown on the page, line breaks allowed
+ * @param {Object} options - { now: extraction time in ms (defaults to Date.now()) }
+ */
+export function parseTurkishDate(text, { now = Date.now() } = {}) {
+  const original = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (!original) return null;
+
+  const folded = foldDate(original);
+  const result = (date, basis) => ({
+    date,
+    text: original,
+    confidence: date ? DATE_CONFIDENCE[basis] : DATE_CONFIDENCE.none,
+    basis: date ? basis : null
+  });
+
+  // "Bugün", "Dün", "Bugün 14:32"
+  for (const [pattern, days] of RELATIVE_DAYS) {
+    if (pattern.test(folded)) return result(daysBefore(now, days), 'relative');
+  }
+
+  // "3 gün önce"
+  const ago = folded.match(/^(\d{1,3}) gun once\b/);
+  if (ago) return result(daysBefore(now, Number(ago[1])), 'relative');
+
+  // "2024-01-12"
+  const machine = folded.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (machine) {
+    return result(isoDate(Number(machine[1]), Number(machine[2]), Number(machine[3])), 'absolute');
+  }
+
+  // "12.01.2024", "12/01/2024"
+  const numeric = folded.match(/(\d{1,2})[./](\d{1,2})[./](\d{4})/);
+  if (numeric) {
+    return result(isoDate(Number(numeric[3]), Number(numeric[2]), Number(numeric[1])), 'absolute');
+  }
+
+  // "12 Ocak 2024", "03 Eylül" + "2025" on the next line, or just "03 Eylül"
+  const named = folded.match(/(\d{1,2}) ([a-z]+)(?: (\d{4}))?/);
+  const month = named && MONTHS[named[2]];
+  if (month) {
+    const day = Number(named[1]);
+    if (named[3]) return result(isoDate(Number(named[3]), month, day), 'absolute');
+
+    // No year: the most recent such day, since listings are never dated ahead
+    const today = istanbulToday(now);
+    const upcoming = month > today.month || (month === today.month && day > today.day);
+    return result(isoDate(upcoming ? today.year - 1 : today.year, month, day), 'inferredYear');
+  }
+
+  return result(null, null);
+}
@@ -0,0 +1,385 @@
+/**
+ * Result export for Sentio Chrome Extension
+ * Turns result items into CSV, XLSX, JSON or NDJSON files. Columns are dotted paths into
+ * the items ("contact.phone", "details.Oda Sayısı"), discovered from the data itself.
+ * Rows can be filtered, limited to listings no earlier export of the preset had (its
+ * watermark) and deduplicated by phone number.
+ * CSV defaults suit Excel with a Turkish locale: semicolons and a UTF-8 BOM.
+ */
+import { buildWorkbook } from './xlsx.js';
+import { listingKey } from './seen-listings.js';
+import { compileFilters, evaluateFilters } from '../content/listing-filter.js';
+import { CONFIG } from '../shared/types.js';
+
+export const ExportFormats = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json',
+  NDJSON: 'ndjson'
+};
+
+// Items to export: the most recent job result, or every result in the result history
+export const ExportSources = {
+  LATEST: 'latest',
+  HISTORY: 'history'
+};
+
+export const CSV_DELIMITERS = {
+  semicolon: ';',
+  comma: ',',
+  tab: '\t'
+};
+
+// Columns checked until the user picks their own
+export const DEFAULT_COLUMNS = [
+  { path: 'contact.phone', label: 'Phone' },
+  { path: 'contact.name', label: 'Name' },
+  { path: 'from', label: 'From' },
+  { path: 'address', label: 'Address' }
+];
+
+// Row filters: price range, seller type ('owner' | 'agency'), listing date window
+// ('YYYY-MM-DD') and a required phone number
+export const DEFAULT_EXPORT_FILTERS = {
+  minPrice: null,
+  maxPrice: null,
+  from: '',
+  dateFrom: '',
+  dateTo: '',
+  requirePhone: false
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  source: ExportSources.LATEST,
+  format: ExportFormats.CSV,
+  delimiter: 'semicolon',
+  bom: true,
+  quoting: 'minimal',
+  columns: DEFAULT_COLUMNS,
+  preset: '',
+  filters: DEFAULT_EXPORT_FILTERS,
+  onlyNew: false,
+  dedupePhone: false
+};
+
+// Digits of a Turkish phone number without the 0 or +90 prefix
+const PHONE_DIGITS = 10;
+
+const FILE_TYPES = {
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xlsx: {
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  json: { extension: 'json', mimeType: 'application/json' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' }
+};
+
+// Paths of the fixed fields earlier versions offered (plain field names still work)
+const FIELD_PATHS = {
+  phone: 'contact.phone',
+  name: 'contact.name',
+  price: 'price.amount',
+  currency: 'price.currency',
+  location: 'address'
+};
+
+// Where a path's value is found in older results (scalar prices, location instead of address)
+const FALLBACK_PATHS = {
+  'price.amount': 'price',
+  address: 'location'
+};
+
+// Headers of well-known paths; other columns are named after their path
+const COLUMN_LABELS = {
+  id: 'ID',
+  title: 'Title',
+  'price.amount': 'Price',
+  'price.currency': 'Currency',
+  'contact.name': 'Name',
+  'contact.phone': 'Phone',
+  from: 'From',
+  address: 'Address',
+  date: 'Date',
+  url: 'URL'
+};
+
+// Discovered columns start with these, in this order
+const PREFERRED_PATHS = Object.keys(COLUMN_LABELS);
+
+const isEmpty = value => value === null || typeof value === 'undefined' || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * A normalized attribute ({ value, raw, label }) of a detail item
+ */
+function isAttribute(value) {
+  return !!value && typeof value === 'object' &&
+    'value' in value && 'raw' in value && 'label' in value;
+}
+
+/**
+ * Row filters with defaults for anything missing or invalid
+ */
+export function resolveExportFilters(filters) {
+  const defaults = DEFAULT_EXPORT_FILTERS;
+  const amount = value => (
+    value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value)
+  );
+  const day = value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '');
+  return {
+    minPrice: amount(filters?.minPrice),
+    maxPrice: amount(filters?.maxPrice),
+    from: ['owner', 'agency'].includes(filters?.from) ? filters.from : defaults.from,
+    dateFrom: day(filters?.dateFrom),
+    dateTo: day(filters?.dateTo),
+    requirePhone: filters?.requirePhone === true
+  };
+}
+
+/**
+ * Export options with defaults for anything missing or unknown
+ */
+export function resolveExportOptions(options) {
+  const defaults = DEFAULT_EXPORT_OPTIONS;
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  const columns = Array.isArray(options?.columns) ?
+    options.columns.filter(column => typeof column?.path === 'string') :
+    [];
+  const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+  return {
+    source: pick(options?.source, Object.values(ExportSources), defaults.source),
+    format: pick(options?.format, Object.values(ExportFormats), defaults.format),
+    delimiter: pick(options?.delimiter, Object.keys(CSV_DELIMITERS), defaults.delimiter),
+    bom: flag(options?.bom, defaults.bom),
+    quoting: pick(options?.quoting, ['minimal', 'all'], defaults.quoting),
+    columns: columns.length > 0 ? columns : defaults.columns,
+    preset: typeof options?.preset === 'string' ? options.preset : defaults.preset,
+    filters: resolveExportFilters(options?.filters),
+    onlyNew: flag(options?.onlyNew, defaults.onlyNew),
+    dedupePhone: flag(options?.dedupePhone, defaults.dedupePhone)
+  };
+}
+
+/**
+ * Flatten an item into dotted paths ("contact.phone", "details.Oda Sayısı"). Arrays stay
+ * whole; a normalized attribute becomes its value, or its raw text when the value is
+ * structured (rooms, ranges).
+ */
+export function flattenItem(item, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(item || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isAttribute(value)) {
+      const structured = value.value !== null && typeof value.value === 'object';
+      flat[path] = structured ? value.raw : value.value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenItem(value, path, flat);
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Default header of a column path
+ */
+export function columnLabel(path) {
+  return COLUMN_LABELS[path] || path.replace(/^(details|attributes)\./, '');
+}
+
+/**
+ * Columns present in result items ({ path, label, filled }), well-known fields first and
+ * the rest in order of appearance; paths no item fills are left out
+ */
+export function discoverColumns(items) {
+  const filled = new Map();
+  for (const item of items) {
+    for (const [path, value] of Object.entries(flattenItem(item))) {
+      filled.set(path, (filled.get(path) || 0) + (isEmpty(value) ? 0 : 1));
+    }
+  }
+
+  const rank = path => {
+    const index = PREFERRED_PATHS.indexOf(path);
+    return index === -1 ? PREFERRED_PATHS.length : index;
+  };
+  const paths = [...filled.keys()].filter(path => filled.get(path) > 0);
+  return paths
+    .map((path, order) => ({ path, order }))
+    .sort((a, b) => rank(a.path) - rank(b.path) || a.order - b.order)
+    .map(({ path }) => ({ path, label: columnLabel(path), filled: filled.get(path) }));
+}
+
+/**
+ * Columns to export ({ path, key, label }) from saved columns ({ path, label }) or plain
+ * field names. A renamed column is keyed by its new name; `price` brings its currency.
+ */
+export function resolveColumns(columns) {
+  const withCurrency = columns.includes('price') && !columns.includes('currency');
+
+  return columns.flatMap(column => {
+    if (typeof column === 'string') {
+      const path = FIELD_PATHS[column] || column;
+      const field = { path, key: column, label: columnLabel(path) };
+      const currency = { path: 'price.currency', key: 'currency', label: 'Currency' };
+      return column === 'price' && withCurrency ? [field, currency] : [field];
+    }
+    if (typeof column?.path !== 'string') return [];
+
+    const label = String(column.label || '').trim();
+    return [{
+      path: column.path,
+      key: label || column.path,
+      label: label || columnLabel(column.path)
+    }];
+  });
+}
+
+/**
+ * Value of a column in a flattened item (numbers and arrays kept), or null
+ */
+export function columnValue(flat, path) {
+  let value = isEmpty(flat[path]) ? flat[FALLBACK_PATHS[path]] : flat[path];
+  if (path === 'contact.phone' && !isEmpty(value)) {
+    value = String(value).replace(/[^\d+]/g, '');
+  }
+  return isEmpty(value) ? null : value;
+}
+
+/**
+ * Cell content for CSV and XLSX: lists joined, nested objects as JSON
+ */
+function cellValue(value) {
+  if (!Array.isArray(value)) return value;
+  return value
+    .map(entry => (entry && typeof entry === 'object' ? JSON.stringify(entry) : entry))
+    .join(', ');
+}
+
+/**
+ * Phone number of an item in one form ("0532 000 00 00", "+90 532 000 0000" → "5320000000"),
+ * or null
+ */
+export function phoneKey(item) {
+  const digits = String(item?.contact?.phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.length > PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : digits;
+}
+
+/**
+ * Items to export and counts of the skipped ones ({ filtered, exported, duplicates }).
+ * Items must pass the row filters (a missing price, seller type or date fails them), and a
+ * listing ID in `exported` or earlier in the list is skipped; with `dedupePhone` only the
+ * first item of each phone number is kept.
+ */
+export function selectExportItems(items, { filters, exported = [], dedupePhone = false } = {}) {
+  const { minPrice, maxPrice, from, dateFrom, dateTo, requirePhone } =
+    resolveExportFilters(filters);
+  const rules = compileFilters({ minPrice, maxPrice, from: from || null })
+    .map(rule => ({ ...rule, required: true }));
+  if (requirePhone) rules.push({ field: 'contact.phone', required: true });
+
+  const previous = new Set(exported);
+  const listings = new Set();
+  const phones = new Set();
+  const skipped = { filtered: 0, exported: 0, duplicates: 0 };
+
+  const selected = items.filter(item => {
+    const date = item?.date || '';
+    const outside = (dateFrom && !(date >= dateFrom)) || (dateTo && !(date && date <= dateTo));
+    if (outside || evaluateFilters(item, rules) !== null) {
+      skipped.filtered++;
+      return false;
+    }
+
+    const key = listingKey(item);
+    if (key && previous.has(key)) {
+      skipped.exported++;
+      return false;
+    }
+    if (key && listings.has(key)) {
+      skipped.duplicates++;
+      return false;
+    }
+    const phone = dedupePhone ? phoneKey(item) : null;
+    if (phone && phones.has(phone)) {
+      skipped.duplicates++;
+      return false;
+    }
+
+    if (key) listings.add(key);
+    if (phone) phones.add(phone);
+    return true;
+  });
+
+  return { items: selected, skipped };
+}
+
+/**
+ * A preset's watermark after an export: when it ran and the listing IDs of every export so
+ * far (the most recent EXPORT_WATERMARK_MAX_IDS)
+ */
+export function advanceWatermark(watermark, items, now = Date.now()) {
+  const listingIds = new Set(watermark?.listingIds || []);
+  for (const item of items) {
+    const key = listingKey(item);
+    if (!key) continue;
+    listingIds.delete(key);
+    listingIds.add(key);
+  }
+  return {
+    exportedAt: now,
+    listingIds: [...listingIds].slice(-CONFIG.EXPORT_WATERMARK_MAX_IDS)
+  };
+}
+
+/**
+ * CSV text of a header row and value rows
+ */
+export function toCsv(headers, rows, options = {}) {
+  const { delimiter, bom, quoting } = resolveExportOptions(options);
+  const separator = CSV_DELIMITERS[delimiter];
+  const needsQuotes = text => text.includes(separator) || /["\r\n]|^\s|\s$/.test(text);
+  const escape = value => {
+    const text = value === null || typeof value === 'undefined' ? '' : String(value);
+    if (quoting === 'all' || needsQuotes(text)) return `"${text.replace(/"/g, '""')}"`;
+    return text;
+  };
+
+  const lines = [headers, ...rows].map(values => values.map(escape).join(separator));
+  return (bom ? '\uFEFF' : '') + lines.join('\r\n');
+}
+
+/**
+ * Export file of items with the given columns: { content (text or bytes), mimeType, extension }
+ */
+export function buildExport(items, columns, options = {}) {
+  const resolved = resolveExportOptions(options);
+  const fields = resolveColumns(columns);
+  const values = items.map(item => {
+    const flat = flattenItem(item);
+    return fields.map(field => columnValue(flat, field.path));
+  });
+  const headers = fields.map(field => field.label);
+  const rows = () => values.map(row => row.map(cellValue));
+  const records = () => values.map(row => (
+    Object.fromEntries(fields.map((field, i) => [field.key, row[i]]))
+  ));
+
+  let content;
+  switch (resolved.format) {
+    case ExportFormats.XLSX:
+      content = buildWorkbook(headers, rows());
+      break;
+    case ExportFormats.JSON:
+      content = JSON.stringify(records(), null, 2);
+      break;
+    case ExportFormats.NDJSON:
+      content = records().map(record => `${JSON.stringify(record)}\n`).join('');
+      break;
+    default:
+      content = toCsv(headers, rows(), resolved);
+  }
+  return { content, ...FILE_TYPES[resolved.format] };
+}
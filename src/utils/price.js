@@ -0,0 +1,120 @@
+/**
+ * Price parsing for Sentio Chrome Extension
+ * Turns listing price text ("1.250.000 TL", "85.000 USD", "2.500 €", "1,5 - 2 Milyon TL")
+ * into { amount, currency, text } objects instead of bare digit strings.
+ */
+
+// Whole word, also right after digits ("1.250.000TL")
+const word = pattern => new RegExp(`(?<!\\p{L})(?:${pattern})(?!\\p{L})`, 'iu');
+
+// ISO 4217 code by symbol or word
+const CURRENCY_TOKENS = [
+  [word('türk lirası|turk lirasi|try|tl'), 'TRY'],
+  [/₺/, 'TRY'],
+  [word('usd|dolar'), 'USD'],
+  [/\$/, 'USD'],
+  [word('eur|euro'), 'EUR'],
+  [/€/, 'EUR'],
+  [word('gbp|sterlin'), 'GBP'],
+  [/£/, 'GBP']
+];
+
+// "Fiyat sorunuz", "Fiyat için arayınız", "Fiyat yok"
+const PRICE_ON_REQUEST = /fiyat\s*(sorunuz|i[çc]in\s*ara|belirtilmemi|yok)|^\s*sorunuz\s*$/i;
+
+const MULTIPLIERS = [
+  [/milyar/i, 1e9],
+  [/milyon/i, 1e6],
+  [word('bin'), 1e3]
+];
+
+/**
+ * ISO currency mentioned in a text, or null
+ */
+export function detectCurrency(text) {
+  for (const [pattern, code] of CURRENCY_TOKENS) {
+    if (pattern.test(String(text || ''))) return code;
+  }
+  return null;
+}
+
+/**
+ * Parse one number written with Turkish ("1.250.000,50") or machine ("1250000.50") separators
+ */
+export function parseAmount(text) {
+  const match = String(text || '').match(/\d[\d.,]*/);
+  if (!match) return null;
+
+  let digits = match[0].replace(/[.,]$/, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: the later one is the decimal separator
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    digits = digits.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const groups = digits.split(separator);
+    // Repeated separators, or exactly three digits after one, group thousands
+    const grouping = groups.length > 2 || groups[groups.length - 1].length === 3;
+    digits = grouping ? groups.join('') : groups.join('.');
+  }
+
+  const value = Number(digits);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Amount of one side of a price, honoring "1,5 Milyon" style multipliers
+ */
+function parseSide(text) {
+  const amount = parseAmount(text);
+  if (amount === null) return null;
+  const multiplier = MULTIPLIERS.find(([pattern]) => pattern.test(text));
+  return multiplier ? Math.round(amount * multiplier[1]) : amount;
+}
+
+/**
+ * Parse price text into { amount, currency, text }.
+ * Ranges ("1.250.000 - 1.500.000 TL") add { min, max } with amount = min.
+ * "Fiyat sorunuz" yields { amount: null, onRequest: true }. Returns null for empty text.
+ *
+ * @param {string|number} text - Price as shown on the page (numbers are taken as-is)
+ * @param {string|null} defaultCurrency - ISO code when the text names none
+ */
+export function parsePrice(text, defaultCurrency = null) {
+  if (text === null || typeof text === 'undefined' || text === '') return null;
+
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ?
+      { amount: text, currency: defaultCurrency, text: String(text) } :
+      null;
+  }
+
+  const original = String(text).replace(/\s+/g, ' ').trim();
+  if (!original) return null;
+  const currency = detectCurrency(original) || defaultCurrency;
+
+  if (PRICE_ON_REQUEST.test(original)) {
+    return { amount: null, currency, text: original, onRequest: true };
+  }
+
+  // A dash between two numbers is a range; "1.250.000 TL - 1.500.000 TL" works too
+  const sides = original.split(/\s*[-–—]\s*(?=\d)/);
+  const amounts = sides.map(parseSide);
+  if (amounts[0] === null) {
+    return { amount: null, currency, text: original };
+  }
+
+  if (sides.length === 2 && amounts[1] !== null) {
+    // "1,5 - 2 Milyon TL": the multiplier after the second number applies to both
+    const [low, high] = MULTIPLIERS.some(([pattern]) => pattern.test(sides[0])) ?
+      amounts :
+      [parseSide(`${sides[0]} ${sides[1].replace(/^[\d.,\s]+/, '')}`), amounts[1]];
+    return { amount: low, currency, text: original, min: low, max: high };
+  }
+
+  return { amount: amounts[0], currency, text: original };
+}
@@ -0,0 +1,278 @@
+/**
+ * Result history for Sentio Chrome Extension
+ * Keeps every finished job's result in IndexedDB, indexed by job ID, completion time,
+ * listing ID and seller. The database belongs to the extension origin, so the service
+ * worker, the popup and extension pages share it (content scripts do not).
+ * Results beyond the retention (newest maxJobs, completed within maxAgeDays) are dropped.
+ */
+import { secureStorage } from './storage.js';
+import { listingKey } from './seen-listings.js';
+import { CONFIG } from '../shared/types.js';
+
+const DB_VERSION = 1;
+const JOBS = 'jobs';
+const ITEMS = 'items';
+const DAY = 86400000;
+
+/**
+ * Promise for an IDBRequest's result
+ */
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promise that resolves once a transaction has committed
+ */
+function committed(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Key range of all item rows of a job (items are keyed [jobId, index])
+ */
+function jobItems(jobId) {
+  return IDBKeyRange.bound([jobId, 0], [jobId, Infinity]);
+}
+
+/**
+ * Seller of an item: the contact name of a detail page, else a seller name on the card
+ */
+export function itemSeller(item) {
+  const name = item?.contact?.name || item?.seller || '';
+  return String(name).trim() || null;
+}
+
+/**
+ * Split a result into its job record (the result without data) and one row per item
+ */
+export function historyEntries(result, job = null, completedAt = Date.now()) {
+  const { data, ...summary } = result;
+  const items = Array.isArray(data) ? data : [];
+
+  return {
+    job: {
+      jobId: result.jobId,
+      type: job?.type || null,
+      status: result.status || null,
+      completedAt,
+      url: result.metadata?.url || job?.config?.url || null,
+      itemCount: items.length,
+      result: summary
+    },
+    items: items.map((item, index) => ({
+      jobId: result.jobId,
+      index,
+      completedAt,
+      listingId: listingKey(item),
+      seller: itemSeller(item),
+      item
+    }))
+  };
+}
+
+/**
+ * Retention in effect: stored settings over the CONFIG defaults
+ */
+export function resolveRetention(stored) {
+  const positive = value => (Number(value) > 0 ? Math.floor(Number(value)) : null);
+  return {
+    maxJobs: positive(stored?.maxJobs) || CONFIG.RESULT_HISTORY_MAX_JOBS,
+    maxAgeDays: positive(stored?.maxAgeDays) || CONFIG.RESULT_HISTORY_MAX_AGE_DAYS
+  };
+}
+
+/**
+ * IDs of the jobs the retention drops: beyond the newest maxJobs, or too old
+ */
+export function expiredJobIds(jobs, retention, now = Date.now()) {
+  const oldest = now - retention.maxAgeDays * DAY;
+  return [...jobs]
+    .sort((a, b) => b.completedAt - a.completedAt)
+    .filter((job, index) => index >= retention.maxJobs || job.completedAt < oldest)
+    .map(job => job.jobId);
+}
+
+export class ResultHistory {
+  constructor(dbName = CONFIG.RESULT_HISTORY_DB) {
+    this.dbName = dbName;
+    this.connection = null;
+  }
+
+  /**
+   * Open the database (created on first use)
+   */
+  open() {
+    if (!this.connection) {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const jobs = db.createObjectStore(JOBS, { keyPath: 'jobId' });
+        jobs.createIndex('completedAt', 'completedAt');
+
+        const items = db.createObjectStore(ITEMS, { keyPath: ['jobId', 'index'] });
+        items.createIndex('jobId', 'jobId');
+        items.createIndex('completedAt', 'completedAt');
+        items.createIndex('listingId', 'listingId');
+        items.createIndex('seller', 'seller');
+      };
+      this.connection = settle(request).catch(error => {
+        this.connection = null;
+        throw error;
+      });
+    }
+    return this.connection;
+  }
+
+  /**
+   * Store a finished job's result (replacing an earlier one of the same job), then apply
+   * the retention. `job` supplies the type and URL the result does not carry.
+   */
+  async add(result, job = null, completedAt = Date.now()) {
+    if (!result?.jobId) return null;
+    const entries = historyEntries(result, job, completedAt);
+
+    const db = await this.open();
+    const transaction = db.transaction([JOBS, ITEMS], 'readwrite');
+    const items = transaction.objectStore(ITEMS);
+    items.delete(jobItems(result.jobId));
+    transaction.objectStore(JOBS).put(entries.job);
+    for (const row of entries.items) {
+      items.put(row);
+    }
+    await committed(transaction);
+
+    await this.prune();
+    return entries.job;
+  }
+
+  /**
+   * A job's full result (data in the original item order), or null
+   */
+  async get(jobId) {
+    const db = await this.open();
+    const transaction = db.transaction([JOBS, ITEMS], 'readonly');
+    const [job, rows] = await Promise.all([
+      settle(transaction.objectStore(JOBS).get(jobId)),
+      settle(transaction.objectStore(ITEMS).index('jobId').getAll(jobId))
+    ]);
+    if (!job) return null;
+
+    rows.sort((a, b) => a.index - b.index);
+    return { ...job.result, data: rows.map(row => row.item) };
+  }
+
+  /**
+   * The most recently completed job's full result, or null
+   */
+  async latest() {
+    const [job] = await this.list({ limit: 1 });
+    return job ? await this.get(job.jobId) : null;
+  }
+
+  /**
+   * Job records ({ jobId, type, status, completedAt, url, itemCount, result }), newest first
+   */
+  async list({ limit = Infinity } = {}) {
+    const db = await this.open();
+    const index = db.transaction(JOBS, 'readonly').objectStore(JOBS).index('completedAt');
+    const jobs = [];
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || jobs.length >= limit) {
+          resolve();
+          return;
+        }
+        jobs.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return jobs;
+  }
+
+  /**
+   * Item rows ({ jobId, index, completedAt, listingId, seller, item }) of one listing
+   * across all stored jobs, newest first
+   */
+  async findByListing(listingId) {
+    return await this.findItems('listingId', String(listingId));
+  }
+
+  /**
+   * Item rows of one seller (contact name) across all stored jobs, newest first
+   */
+  async findBySeller(seller) {
+    return await this.findItems('seller', String(seller).trim());
+  }
+
+  async findItems(indexName, key) {
+    const db = await this.open();
+    const index = db.transaction(ITEMS, 'readonly').objectStore(ITEMS).index(indexName);
+    const rows = await settle(index.getAll(key));
+    return rows.sort((a, b) => b.completedAt - a.completedAt || a.index - b.index);
+  }
+
+  /**
+   * Delete jobs and their items; returns how many jobs were removed
+   */
+  async remove(jobIds) {
+    if (jobIds.length === 0) return 0;
+
+    const db = await this.open();
+    const transaction = db.transaction([JOBS, ITEMS], 'readwrite');
+    for (const jobId of jobIds) {
+      transaction.objectStore(JOBS).delete(jobId);
+      transaction.objectStore(ITEMS).delete(jobItems(jobId));
+    }
+    await committed(transaction);
+    return jobIds.length;
+  }
+
+  /**
+   * Retention in effect ({ maxJobs, maxAgeDays })
+   */
+  async retention() {
+    return resolveRetention(await secureStorage.getResultRetention());
+  }
+
+  /**
+   * Store a new retention and apply it right away
+   */
+  async setRetention(retention) {
+    const resolved = resolveRetention(retention);
+    await secureStorage.setResultRetention(resolved);
+    return { retention: resolved, removed: await this.prune() };
+  }
+
+  /**
+   * Drop the results the retention no longer keeps
+   */
+  async prune(now = Date.now()) {
+    const jobs = await this.list();
+    return await this.remove(expiredJobIds(jobs, await this.retention(), now));
+  }
+
+  /**
+   * Move the single `last_job_result` kept by earlier versions into the history
+   */
+  async importLegacy() {
+    const legacy = await secureStorage.getLastResult();
+    if (!legacy) return false;
+
+    const completedAt = Date.parse(legacy.metadata?.timestamp) || Date.now();
+    await this.add(legacy, null, completedAt);
+    await secureStorage.clearLastResult();
+    return true;
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Seen-listing index for Sentio Chrome Extension
+ * Remembers the listing IDs earlier incremental runs collected (for SEEN_LISTING_TTL), so a
+ * recurring newest-first search can stop paging once it reaches listings it already has.
+ */
+import { secureStorage } from './storage.js';
+import { CONFIG } from '../shared/types.js';
+
+/**
+ * Listing ID of an item: its own id, else the number in a detail URL ("...-1234567890/detay")
+ */
+export function listingKey(item) {
+  if (item?.id) return String(item.id);
+  const match = String(item?.url || '').match(/-(\d{6,})(?:\/detay)?\/?(?:[?#]|$)/);
+  return match ? match[1] : item?.url || null;
+}
+
+/**
+ * Incremental settings of a job config, or null when the mode is off.
+ * `config.incremental` is true or { stopAfterSeen }: the run of consecutive known
+ * listings after which collection stops (showcase listings on top are often old).
+ */
+export function incrementalOptions(config) {
+  const option = config?.incremental;
+  if (!option) return null;
+  const stopAfterSeen = Number(option.stopAfterSeen) || CONFIG.INCREMENTAL_STOP_AFTER;
+  return { stopAfterSeen: Math.max(1, stopAfterSeen) };
+}
+
+/**
+ * Entries still within the TTL
+ */
+function unexpired(entries, now) {
+  return Object.fromEntries(Object.entries(entries || {})
+    .filter(([, seenAt]) => now - seenAt < CONFIG.SEEN_LISTING_TTL));
+}
+
+export class SeenListings {
+  /**
+   * @param {Object} entries - listing ID → time it was last collected
+   */
+  constructor(entries = {}) {
+    this.entries = entries;
+  }
+
+  /**
+   * Load the index without expired entries
+   */
+  static async load(now = Date.now()) {
+    return new SeenListings(unexpired(await secureStorage.getSeenListings(), now));
+  }
+
+  /**
+   * Add listing IDs to the stored index (expired entries and the oldest beyond
+   * MAX_SEEN_LISTINGS are dropped)
+   */
+  static async remember(keys, now = Date.now()) {
+    const entries = unexpired(await secureStorage.getSeenListings(), now);
+    for (const key of keys) {
+      if (key) entries[key] = now;
+    }
+
+    const kept = Object.entries(entries)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CONFIG.MAX_SEEN_LISTINGS);
+    await secureStorage.setSeenListings(Object.fromEntries(kept));
+    return kept.length;
+  }
+
+  has(key) {
+    return !!key && Object.prototype.hasOwnProperty.call(this.entries, key);
+  }
+
+  /**
+   * Walk entries (items or URLs) in page order, dropping known listings.
+   * `stop` turns true once `stopAfter` known listings follow each other; `streak` carries
+   * the current run over to the next page.
+   */
+  scan(entries, { streak = 0, stopAfter = Infinity, keyOf = listingKey } = {}) {
+    const fresh = [];
+    let skipped = 0;
+    let run = streak;
+
+    for (const entry of entries) {
+      if (!this.has(keyOf(entry))) {
+        fresh.push(entry);
+        run = 0;
+        continue;
+      }
+      skipped++;
+      run++;
+      if (run >= stopAfter) return { fresh, skipped, streak: run, stop: true };
+    }
+
+    return { fresh, skipped, streak: run, stop: false };
+  }
+}
@@ -242,33 +242,515 @@ class SecureStorage {
   }
 
   /**
-   * Clear all storage (logout functionality)
+   * Store the lease held for the currently executing job
    */
-  async clearAll() {
+  async setJobLease(lease) {
     try {
-      await this.storageClear();
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.JOB_LEASE]: lease });
       return true;
     } catch (error) {
-      console.error('Failed to clear all storage:', error);
+      console.error('Failed to store job lease:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get job lease
+   */
+  async getJobLease() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.JOB_LEASE]);
+      return result[CONFIG.STORAGE_KEYS.JOB_LEASE] || null;
+    } catch (error) {
+      console.error('Failed to get job lease:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Clear job lease
+   */
+  async clearJobLease() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.JOB_LEASE]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear job lease:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the adaptive polling schedule
+   */
+  async setPollSchedule(schedule) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.POLL_SCHEDULE]: schedule });
+      return true;
+    } catch (error) {
+      console.error('Failed to store poll schedule:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get poll schedule
+   */
+  async getPollSchedule() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.POLL_SCHEDULE]);
+      return result[CONFIG.STORAGE_KEYS.POLL_SCHEDULE] || null;
+    } catch (error) {
+      console.error('Failed to get poll schedule:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the execution deadline of the running job
+   */
+  async setJobDeadline(deadline) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.JOB_DEADLINE]: deadline });
+      return true;
+    } catch (error) {
+      console.error('Failed to store job deadline:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get job deadline
+   */
+  async getJobDeadline() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.JOB_DEADLINE]);
+      return result[CONFIG.STORAGE_KEYS.JOB_DEADLINE] || null;
+    } catch (error) {
+      console.error('Failed to get job deadline:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Clear job deadline
+   */
+  async clearJobDeadline() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.JOB_DEADLINE]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear job deadline:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the detail workflow checkpoint written by the content script
+   */
+  async getDetailProgress() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.DETAIL_PROGRESS]);
+      return result[CONFIG.STORAGE_KEYS.DETAIL_PROGRESS] || null;
+    } catch (error) {
+      console.error('Failed to get detail progress:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Clear detail workflow checkpoint
+   */
+  async clearDetailProgress() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.DETAIL_PROGRESS]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear detail progress:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the scrape_listings pagination checkpoint
+   */
+  async setListingProgress(progress) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.LISTING_PROGRESS]: progress });
+      return true;
+    } catch (error) {
+      console.error('Failed to store listing progress:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the scrape_listings pagination checkpoint
+   */
+  async getListingProgress() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.LISTING_PROGRESS]);
+      return result[CONFIG.STORAGE_KEYS.LISTING_PROGRESS] || null;
+    } catch (error) {
+      console.error('Failed to get listing progress:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Clear scrape_listings pagination checkpoint
+   */
+  async clearListingProgress() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.LISTING_PROGRESS]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear listing progress:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store listing keys that already spawned follow-up jobs
+   */
+  async setChainedListings(keys) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.CHAINED_LISTINGS]: keys });
+      return true;
+    } catch (error) {
+      console.error('Failed to store chained listings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get listing keys that already spawned follow-up jobs
+   */
+  async getChainedListings() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.CHAINED_LISTINGS]);
+      return result[CONFIG.STORAGE_KEYS.CHAINED_LISTINGS] || [];
+    } catch (error) {
+      console.error('Failed to get chained listings:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store recurring local job schedules
+   */
+  async setSchedules(schedules) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.SCHEDULES]: schedules });
+      return true;
+    } catch (error) {
+      console.error('Failed to store schedules:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get recurring local job schedules
+   */
+  async getSchedules() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.SCHEDULES]);
+      return result[CONFIG.STORAGE_KEYS.SCHEDULES] || [];
+    } catch (error) {
+      console.error('Failed to get schedules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store field coverage baselines and the latest drift check
+   */
+  async setFieldCoverage(state) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.FIELD_COVERAGE]: state });
+      return true;
+    } catch (error) {
+      console.error('Failed to store field coverage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get field coverage baselines and the latest drift check
+   */
+  async getFieldCoverage() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.FIELD_COVERAGE]);
+      return result[CONFIG.STORAGE_KEYS.FIELD_COVERAGE] || { baselines: {}, lastDrift: null };
+    } catch (error) {
+      console.error('Failed to get field coverage:', error);
+      return { baselines: {}, lastDrift: null };
+    }
+  }
+
+  /**
+   * Store listing snapshots of monitored pages (url → { updatedAt, listings })
+   */
+  async setMonitorSnapshots(snapshots) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.MONITOR_SNAPSHOTS]: snapshots });
+      return true;
+    } catch (error) {
+      console.error('Failed to store monitor snapshots:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get listing snapshots of monitored pages
+   */
+  async getMonitorSnapshots() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.MONITOR_SNAPSHOTS]);
+      return result[CONFIG.STORAGE_KEYS.MONITOR_SNAPSHOTS] || {};
+    } catch (error) {
+      console.error('Failed to get monitor snapshots:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Store the seen-listing index (listing ID → last collected time)
+   */
+  async setSeenListings(entries) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.SEEN_LISTINGS]: entries });
+      return true;
+    } catch (error) {
+      console.error('Failed to store seen listings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the seen-listing index
+   */
+  async getSeenListings() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.SEEN_LISTINGS]);
+      return result[CONFIG.STORAGE_KEYS.SEEN_LISTINGS] || {};
+    } catch (error) {
+      console.error('Failed to get seen listings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Forget all seen listings (the next incremental run walks every page again)
+   */
+  async clearSeenListings() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.SEEN_LISTINGS]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear seen listings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the result history retention ({ maxJobs, maxAgeDays })
+   */
+  async setResultRetention(retention) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.RESULT_RETENTION]: retention });
+      return true;
+    } catch (error) {
+      console.error('Failed to store result retention:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the stored result history retention (null when the defaults apply)
+   */
+  async getResultRetention() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.RESULT_RETENTION]);
+      return result[CONFIG.STORAGE_KEYS.RESULT_RETENTION] || null;
+    } catch (error) {
+      console.error('Failed to get result retention:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the export format and CSV options last used in the popup
+   */
+  async setExportOptions(options) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.EXPORT_OPTIONS]: options });
+      return true;
+    } catch (error) {
+      console.error('Failed to store export options:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the saved export options (null before the first export)
+   */
+  async getExportOptions() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.EXPORT_OPTIONS]);
+      return result[CONFIG.STORAGE_KEYS.EXPORT_OPTIONS] || null;
+    } catch (error) {
+      console.error('Failed to get export options:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the named export column presets ({ name: [{ path, label }] })
+   */
+  async setExportPresets(presets) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.EXPORT_PRESETS]: presets });
+      return true;
+    } catch (error) {
+      console.error('Failed to store export presets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the named export column presets
+   */
+  async getExportPresets() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.EXPORT_PRESETS]);
+      return result[CONFIG.STORAGE_KEYS.EXPORT_PRESETS] || {};
+    } catch (error) {
+      console.error('Failed to get export presets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Store the export watermarks by preset name ('' for unsaved columns):
+   * { exportedAt, listingIds }
+   */
+  async setExportWatermarks(watermarks) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.EXPORT_WATERMARKS]: watermarks });
+      return true;
+    } catch (error) {
+      console.error('Failed to store export watermarks:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the export watermarks by preset name
+   */
+  async getExportWatermarks() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.EXPORT_WATERMARKS]);
+      return result[CONFIG.STORAGE_KEYS.EXPORT_WATERMARKS] || {};
+    } catch (error) {
+      console.error('Failed to get export watermarks:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Store items of the running job already streamed as result chunks
+   */
+  async setResultStream(stream) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.RESULT_STREAM]: stream });
+      return true;
+    } catch (error) {
+      console.error('Failed to store result stream:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get items of the running job already streamed as result chunks
+   */
+  async getResultStream() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.RESULT_STREAM]);
+      return result[CONFIG.STORAGE_KEYS.RESULT_STREAM] || null;
+    } catch (error) {
+      console.error('Failed to get result stream:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Clear result stream state
+   */
+  async clearResultStream() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.RESULT_STREAM]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear result stream:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store results waiting for resubmission
+   */
+  async setResultOutbox(items) {
+    try {
+      await this.storageSet({ [CONFIG.STORAGE_KEYS.RESULT_OUTBOX]: items });
+      return true;
+    } catch (error) {
+      console.error('Failed to store result outbox:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get results waiting for resubmission
+   */
+  async getResultOutbox() {
+    try {
+      const result = await this.storageGet([CONFIG.STORAGE_KEYS.RESULT_OUTBOX]);
+      return result[CONFIG.STORAGE_KEYS.RESULT_OUTBOX] || [];
+    } catch (error) {
+      console.error('Failed to get result outbox:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Clear result outbox
+   */
+  async clearResultOutbox() {
+    try {
+      await this.storageRemove([CONFIG.STORAGE_KEYS.RESULT_OUTBOX]);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear result outbox:', error);
       return false;
     }
   }
 
   /**
-   * Store last job result for CSV export
+   * Clear all storage (logout functionality)
    */
-  async setLastResult(result) {
+  async clearAll() {
     try {
-      await this.storageSet({ [CONFIG.STORAGE_KEYS.LAST_RESULT]: result });
+      await this.storageClear();
       return true;
     } catch (error) {
-      console.error('Failed to store last result:', error);
+      console.error('Failed to clear all storage:', error);
       return false;
     }
   }
 
   /**
-   * Get last job result
+   * Get the last job result stored before the IndexedDB result history existed
    */
   async getLastResult() {
     try {
@@ -281,7 +763,7 @@ class SecureStorage {
   }
 
   /**
-   * Clear last job result
+   * Clear the legacy last job result
    */
   async clearLastResult() {
     try {
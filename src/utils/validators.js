@@ -97,6 +97,107 @@ export function validateJob(job) {
   };
 }
 
+/**
+ * Validate a field recipe ({ listing: [fields], detail: [fields] })
+ */
+export function validateRecipe(recipe) {
+  const errors = [];
+
+  if (typeof recipe !== 'object' || Array.isArray(recipe)) {
+    errors.push('Job config recipe must be an object');
+    return { isValid: false, errors };
+  }
+
+  for (const [scope, fields] of Object.entries(recipe)) {
+    if (!Array.isArray(fields)) {
+      errors.push(`Recipe ${scope} must be an array of fields`);
+      continue;
+    }
+
+    fields.forEach((field, index) => {
+      const name = `Recipe ${scope}[${index}]`;
+      if (!field || typeof field.path !== 'string' || !/^[\w$]+(\.[\w$]+)*$/.test(field.path)) {
+        errors.push(`${name} needs a dotted output path`);
+        return;
+      }
+      const chain = [].concat(field.selectors ?? field.selector ?? []);
+      const sources = [].concat(field.source ?? []);
+      if (chain.length === 0 && sources.length === 0) {
+        errors.push(`${name} (${field.path}) needs a selector or a structured-data source`);
+      }
+      if (sources.some(source => typeof source !== 'string' || !/^[\w$@]+(\.[\w$@]+)*$/.test(source))) {
+        errors.push(`${name} (${field.path}) has an invalid source path`);
+      }
+      for (const transform of [].concat(field.transforms ?? field.transform ?? [])) {
+        if (transform?.pattern) {
+          try {
+            new RegExp(transform.pattern, transform.flags || '');
+          } catch (_) {
+            errors.push(`${name} (${field.path}) has an invalid pattern`);
+          }
+        }
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate client-side filters ({ maxPrice, minRooms, from, title: { contains }, required, rules })
+ */
+export function validateFilters(filters) {
+  const errors = [];
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    errors.push('Job config filters must be an object');
+    return { isValid: false, errors };
+  }
+
+  const rules = [];
+  for (const [name, spec] of Object.entries(filters)) {
+    if (name === 'rules') {
+      if (!Array.isArray(spec)) errors.push('Filter rules must be an array');
+      else rules.push(...spec.map((rule, index) => ({ name: `Filter rules[${index}]`, rule })));
+    } else if (name === 'required') {
+      if ([].concat(spec).some(field => typeof field !== 'string')) {
+        errors.push('Filter required must list field paths');
+      }
+    } else if (/^(min|max)[A-Z]/.test(name)) {
+      if (typeof spec !== 'number') errors.push(`Filter ${name} must be a number`);
+    } else if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+      rules.push({ name: `Filter ${name}`, rule: { field: name, ...spec } });
+    }
+  }
+
+  for (const { name, rule } of rules) {
+    if (!rule || typeof rule.field !== 'string' || !rule.field) {
+      errors.push(`${name} needs a field`);
+      continue;
+    }
+    for (const bound of ['min', 'max']) {
+      if (bound in rule && typeof rule[bound] !== 'number') {
+        errors.push(`${name} (${rule.field}) ${bound} must be a number`);
+      }
+    }
+    if (rule.regex) {
+      try {
+        new RegExp(rule.regex, rule.flags || 'i');
+      } catch (_) {
+        errors.push(`${name} (${rule.field}) has an invalid regex`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate job configuration
  */
@@ -122,6 +223,14 @@ export function validateJobConfig(config) {
     errors.push('Job config selectors must be an object');
   }
 
+  if (config.recipe) {
+    errors.push(...validateRecipe(config.recipe).errors);
+  }
+
+  if (config.filters) {
+    errors.push(...validateFilters(config.filters).errors);
+  }
+
   return {
     isValid: errors.length === 0,
     errors
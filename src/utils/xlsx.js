@@ -0,0 +1,205 @@
+/**
+ * Minimal XLSX writer for Sentio Chrome Extension
+ * Builds a single-sheet workbook (Office Open XML parts in an uncompressed ZIP) in the
+ * browser, without a spreadsheet library. Numbers become numeric cells, everything else
+ * inline strings; the header row is frozen.
+ */
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const SHEET_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// ZIP record signatures and header fields (all little-endian)
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL = 0x06054B50;
+const LOCAL_HEADER_SIZE = 30;
+const ZIP_VERSION = 20;
+const UTF8_NAMES = 0x0800;
+const U16 = 2;
+const U32 = 4;
+// 1980-01-01 for every entry: the same rows always give the same file
+const DOS_DATE = (1 << 5) | 1;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a byte array
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Little-endian bytes of [size, value] fields
+ */
+function binary(fields) {
+  const bytes = new Uint8Array(fields.reduce((sum, [size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  let at = 0;
+  for (const [size, value] of fields) {
+    if (size === U16) view.setUint16(at, value, true);
+    else view.setUint32(at, value, true);
+    at += size;
+  }
+  return bytes;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
+
+/**
+ * ZIP archive of { name: text } entries, stored without compression
+ */
+export function zipStore(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    // Fields shared by the local and the central header, from "version needed" on
+    const common = [
+      [U16, ZIP_VERSION], [U16, UTF8_NAMES], [U16, 0], [U16, 0], [U16, DOS_DATE],
+      [U32, crc], [U32, data.length], [U32, data.length], [U16, nameBytes.length], [U16, 0]
+    ];
+    locals.push(binary([[U32, LOCAL_HEADER], ...common]), nameBytes, data);
+    // + comment length, disk, internal and external attributes, local header offset
+    centrals.push(
+      binary([
+        [U32, CENTRAL_HEADER], [U16, ZIP_VERSION], ...common,
+        [U16, 0], [U16, 0], [U16, 0], [U32, 0], [U32, offset]
+      ]),
+      nameBytes
+    );
+    offset += LOCAL_HEADER_SIZE + nameBytes.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const count = Object.keys(files).length;
+  const end = binary([
+    [U32, END_OF_CENTRAL], [U16, 0], [U16, 0], [U16, count], [U16, count],
+    [U32, centralSize], [U32, offset], [U16, 0]
+  ]);
+  return concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Text safe for XML content and attributes (control characters XML 1.0 forbids are dropped)
+ */
+function escapeXml(value) {
+  return String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * An XML part: the declaration followed by the given markup
+ */
+function xmlPart(...markup) {
+  return [XML_HEADER, ...markup].join('');
+}
+
+/**
+ * Column letters of a zero-based index (0 → A, 26 → AA)
+ */
+export function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (value === null || typeof value === 'undefined' || value === '') return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Worksheet XML of a header row and data rows
+ */
+export function sheetXml(headers, rows) {
+  const lines = [headers, ...rows].map((values, r) => {
+    const cells = values.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  });
+
+  return xmlPart(
+    `<worksheet xmlns="${MAIN_NS}">`,
+    '<sheetViews><sheetView workbookViewId="0">',
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>',
+    '</sheetView></sheetViews>',
+    `<sheetData>${lines.join('')}</sheetData></worksheet>`
+  );
+}
+
+/**
+ * .xlsx file bytes with one sheet
+ */
+export function buildWorkbook(headers, rows, sheetName = 'Results') {
+  return zipStore({
+    '[Content_Types].xml': xmlPart(
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+      '<Default Extension="rels" ',
+      'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+      '<Default Extension="xml" ContentType="application/xml"/>',
+      `<Override PartName="/xl/workbook.xml" ContentType="${SHEET_TYPE}.sheet.main+xml"/>`,
+      '<Override PartName="/xl/worksheets/sheet1.xml" ',
+      `ContentType="${SHEET_TYPE}.worksheet+xml"/>`,
+      '</Types>'
+    ),
+    '_rels/.rels': xmlPart(
+      `<Relationships xmlns="${PACKAGE_REL_NS}">`,
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`,
+      '</Relationships>'
+    ),
+    'xl/workbook.xml': xmlPart(
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`,
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`,
+      '</workbook>'
+    ),
+    'xl/_rels/workbook.xml.rels': xmlPart(
+      `<Relationships xmlns="${PACKAGE_REL_NS}">`,
+      `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`,
+      '</Relationships>'
+    ),
+    'xl/worksheets/sheet1.xml': sheetXml(headers, rows)
+  });
+}
@@ -252,4 +252,38 @@ describe('ApiClient', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('lease errors', () => {
+    const httpError = (status, code = ErrorCodes.UNKNOWN_ERROR) => {
+      const error = new Error(`HTTP ${status}`);
+      error.status = status;
+      error.code = code;
+      return error;
+    };
+
+    it('should map 409 and 410 to lease codes on the lease endpoints only', async () => {
+      apiClient.makeRequest = jest.fn().mockRejectedValueOnce(httpError(409));
+      await expect(apiClient.claimJob({ id: 'job-1', token: 't' }))
+        .rejects.toMatchObject({ code: ErrorCodes.LEASE_CONFLICT });
+
+      apiClient.makeRequest.mockRejectedValueOnce(httpError(410));
+      await expect(apiClient.renewLease('job-1', 'lease-1'))
+        .rejects.toMatchObject({ code: ErrorCodes.LEASE_EXPIRED });
+
+      apiClient.makeRequest.mockRejectedValueOnce(httpError(409, 'DUPLICATE_RESULT'));
+      await expect(apiClient.submitJobResult({ jobId: 'job-1', data: [] }))
+        .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_RESULT' });
+    });
+
+    it('should keep the code the server sent for 409 and 410 responses', async () => {
+      const response = {
+        status: 410,
+        statusText: 'Gone',
+        headers: { get: () => null },
+        json: async () => ({ message: 'Job purged', code: 'JOB_PURGED' })
+      };
+      await expect(apiClient.handleErrorResponse(response))
+        .rejects.toMatchObject({ status: 410, code: 'JOB_PURGED' });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for classifiedInfoList attribute normalization
+ */
+import { normalizeAttributes, foldText } from '../../src/content/attribute-normalizer.js';
+import { DOMExtractor } from '../../src/content/dom-extractor.js';
+
+describe('Attribute normalization', () => {
+  it('should read the info list and type known attributes', () => {
+    const rows = {
+      'İlan Tarihi': '03 Eylül 2025',
+      'm² (Brüt)': '1.250',
+      'Oda Sayısı': '3+1',
+      'Bina Yaşı': '16-20 arası',
+      'Bulunduğu Kat': 'Yüksek Giriş',
+      'Kat Sayısı': '6',
+      'Isıtma': 'Kombi (Doğalgaz)',
+      'Eşyalı': 'Hayır',
+      'Takas': 'Evet',
+      'Aidat (TL)': '500',
+      'Garip Etiket': 'kept in details only'
+    };
+    const items = Object.entries(rows)
+      .map(([label, value]) => `<li><strong>${label}</strong>&nbsp;<span> ${value}&nbsp;</span></li>`);
+    document.body.innerHTML = `<ul class="classifiedInfoList">${items.join('')}</ul>`;
+
+    const details = new DOMExtractor().extractTableData(document.querySelector('.classifiedInfoList'));
+    expect(details).toEqual(rows);
+
+    const attributes = normalizeAttributes(details);
+    expect(Object.keys(attributes)).toHaveLength(10);
+    expect(attributes.rooms).toEqual({
+      value: { rooms: 3, salons: 1 },
+      raw: '3+1',
+      label: 'Oda Sayısı'
+    });
+    expect(attributes.grossArea.value).toBe(1250);
+    expect(attributes.listedAt.value).toBe('2025-09-03');
+    expect(attributes.buildingAge.value).toEqual({ min: 16, max: 20 });
+    expect(attributes.floor.value).toEqual({ level: 0, kind: 'raised_entrance' });
+    expect(attributes.floorCount.value).toBe(6);
+    expect(attributes.heating.value).toBe('combi_gas');
+    expect(attributes.furnished.value).toBe(false);
+    expect(attributes.swap.value).toBe(true);
+    expect(attributes.monthlyFee.value).toBe(500);
+  });
+
+  it('should cover label spelling variants and unusual values', () => {
+    expect(foldText('  BİNA  Yaşı: ')).toBe('bina yasi');
+
+    const attributes = normalizeAttributes({
+      'Oda Sayisi': 'Stüdyo (1+0)',
+      'm2 (Net)': '87,5',
+      'Bina Yaşı': '31 ve üzeri',
+      'Bulunduğu Kat': 'Kot 2',
+      'Banyo Sayısı': 'Yok',
+      'Krediye Uygun': 'Bilinmiyor',
+      'Otopark': 'Uzay Otoparkı'
+    });
+
+    expect(attributes.rooms.value).toEqual({ rooms: 1, salons: 0 });
+    expect(attributes.netArea.value).toBe(87.5);
+    expect(attributes.buildingAge.value).toEqual({ min: 31, max: null });
+    expect(attributes.floor.value).toEqual({ level: -2, kind: 'semi_basement' });
+    expect(attributes.bathrooms.value).toBe(0);
+    // Unknown values stay null next to their raw text
+    expect(attributes.mortgageEligible).toMatchObject({ value: null, raw: 'Bilinmiyor' });
+    expect(attributes.parking).toMatchObject({ value: null, raw: 'Uzay Otoparkı' });
+  });
+});
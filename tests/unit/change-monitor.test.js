@@ -0,0 +1,98 @@
+/**
+ * Unit tests for monitor_changes snapshot diffing
+ */
+import { ChangeMonitor, ChangeTypes } from '../../src/content/change-monitor.js';
+import { listingKey } from '../../src/utils/seen-listings.js';
+import { JobManager } from '../../src/background/job-manager.js';
+
+describe('ChangeMonitor', () => {
+  let monitor;
+  let store;
+
+  const url = 'https://www.sahibinden.com/ilan/emlak-konut-satilik-3-plus1-1234567890/detay';
+  const detail = (overrides = {}) => ({
+    url,
+    title: 'Satılık 3+1',
+    price: { amount: 2500000, currency: 'TRY', text: '2.500.000 TL' },
+    description: 'Deniz manzaralı',
+    images: ['a.jpg', 'b.jpg'],
+    contact: { name: 'Ayşe Yılmaz' },
+    from: 'Sahibinden',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    store = {};
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      cb(out);
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+    monitor = new ChangeMonitor();
+  });
+
+  it('should record a baseline, then emit typed changes per listing ID', async () => {
+    expect(listingKey({ url })).toBe('1234567890');
+    expect(await monitor.compare({ url, listings: [detail()] })).toEqual([]);
+
+    const edited = detail({
+      price: { amount: 2250000, currency: 'TRY' },
+      description: 'Deniz manzaralı, acil',
+      images: ['b.jpg', 'c.jpg'],
+      contact: { name: 'Emlak Ofisi' },
+      from: 'Emlak Ofisinden'
+    });
+    const changes = await monitor.compare({ url, listings: [edited] });
+
+    expect(changes.map(change => change.type)).toEqual([
+      ChangeTypes.PRICE_CHANGED,
+      ChangeTypes.DESCRIPTION_EDITED,
+      ChangeTypes.IMAGES_CHANGED,
+      ChangeTypes.SELLER_CHANGED
+    ]);
+    expect(changes[0]).toMatchObject({ listingId: '1234567890', before: 2500000, after: 2250000, delta: -250000, deltaPercent: -10 });
+    expect(changes[2]).toMatchObject({ added: ['c.jpg'], removed: ['a.jpg'] });
+    expect(changes[3].after).toEqual({ name: 'Emlak Ofisi', from: 'Emlak Ofisinden' });
+
+    // Unchanged page: nothing to report
+    expect(await monitor.compare({ url, listings: [edited] })).toEqual([]);
+  });
+
+  it('should report removed listings once and ignore fields a page does not show', async () => {
+    await monitor.compare({ url, listings: [detail()] });
+    const removed = await monitor.compare({ url, listings: [], removed: true });
+    expect(removed).toEqual([expect.objectContaining({ type: ChangeTypes.LISTING_REMOVED, listingId: '1234567890' })]);
+    expect(await monitor.compare({ url, listings: [], removed: true })).toEqual([]);
+
+    const search = 'https://www.sahibinden.com/satilik-daire';
+    const card = (id, amount) => ({ id, url: `/ilan/${id}`, price: { amount, currency: 'TRY' } });
+    await monitor.compare({ url: search, listings: [card('1', 100), card('2', 200)], complete: true });
+    const changes = await monitor.compare({ url: search, listings: [card('2', 200), card('3', 300)], complete: true });
+    expect(changes.map(change => [change.type, change.listingId])).toEqual([
+      [ChangeTypes.LISTING_ADDED, '3'],
+      [ChangeTypes.LISTING_REMOVED, '1']
+    ]);
+
+    // Without `complete` a missing card may just have moved to another page
+    expect(await monitor.compare({ url: search, listings: [card('3', 300)] })).toEqual([]);
+  });
+
+  it('should submit change records with pruned listings', () => {
+    const manager = new JobManager({}, {});
+    const pruned = manager.pruneResultForSubmission({
+      jobId: 'job-1',
+      data: [{ url, timestamp: 't', data: { listings: [detail()], removed: false }, changes: [{ type: 'price_changed' }] }]
+    });
+    expect(pruned.data[0]).toMatchObject({
+      url,
+      changes: [{ type: 'price_changed' }],
+      listings: [{ title: 'Satılık 3+1', price: 2500000, currency: 'TRY', name: 'Ayşe Yılmaz' }],
+      removed: false
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for Turkish listing date parsing
+ */
+import { parseTurkishDate, istanbulToday } from '../../src/utils/date.js';
+import { DOMExtractor } from '../../src/content/dom-extractor.js';
+
+// 2025-09-03 22:30 UTC is already 4 September in Istanbul (UTC+3)
+const now = Date.UTC(2025, 8, 3, 22, 30);
+
+describe('Turkish date parsing', () => {
+  it('should read full dates with confidence 1', () => {
+    expect(parseTurkishDate('12 Ocak 2024', { now })).toEqual({
+      date: '2024-01-12', text: '12 Ocak 2024', confidence: 1, basis: 'absolute'
+    });
+    expect(parseTurkishDate('03 Eylül\n  2025', { now })).toMatchObject({ date: '2025-09-03', text: '03 Eylül 2025' });
+    expect(parseTurkishDate('İlan Tarihi 28 Şubat 2025', { now }).date).toBe('2025-02-28');
+    expect(parseTurkishDate('12.01.2024', { now }).date).toBe('2024-01-12');
+    expect(parseTurkishDate('2024-01-12', { now }).date).toBe('2024-01-12');
+    expect(parseTurkishDate('', { now })).toBeNull();
+  });
+
+  it('should resolve relative dates in Istanbul time', () => {
+    expect(istanbulToday(now)).toEqual({ year: 2025, month: 9, day: 4 });
+    expect(parseTurkishDate('Bugün', { now })).toMatchObject({ date: '2025-09-04', confidence: 0.9, basis: 'relative' });
+    expect(parseTurkishDate('Dün\n14:05', { now }).date).toBe('2025-09-03');
+    expect(parseTurkishDate('3 gün önce', { now }).date).toBe('2025-09-01');
+    expect(parseTurkishDate('Bugün', { now: Date.UTC(2025, 0, 1, 0, 30) }).date).toBe('2025-01-01');
+    expect(parseTurkishDate('Dün', { now: Date.UTC(2025, 0, 1, 0, 30) }).date).toBe('2024-12-31');
+  });
+
+  it('should infer a missing year and report what could not be parsed', () => {
+    expect(parseTurkishDate('02\nEylül', { now })).toMatchObject({ date: '2025-09-02', confidence: 0.7, basis: 'inferredYear' });
+    expect(parseTurkishDate('28 Aralık', { now }).date).toBe('2024-12-28');
+    expect(parseTurkishDate('31 Şubat 2025', { now })).toMatchObject({ date: null, confidence: 0, basis: null });
+    expect(parseTurkishDate('yakında', { now })).toMatchObject({ date: null, text: 'yakında', confidence: 0 });
+  });
+
+  it('should back the DOMExtractor date transform', () => {
+    const extractor = new DOMExtractor();
+    expect(extractor.transformValue('12 Ocak 2024', 'date')).toBe('2024-01-12');
+    expect(extractor.extractDate('12/01/2024')).toBe('2024-01-12');
+    expect(extractor.extractDate('no date here')).toBeNull();
+  });
+});
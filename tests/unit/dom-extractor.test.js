@@ -0,0 +1,122 @@
+/**
+ * Unit tests for recipe-driven DOM extraction and field coverage
+ */
+import { DOMExtractor } from '../../src/content/dom-extractor.js';
+import { FieldCoverage } from '../../src/content/field-coverage.js';
+import { validateRecipe } from '../../src/utils/validators.js';
+
+describe('DOMExtractor recipes', () => {
+  let extractor;
+  let card;
+
+  beforeEach(() => {
+    extractor = new DOMExtractor();
+    document.body.innerHTML = `
+      <div class="card" data-id="1234567">
+        <a class="listing-title" href="/ilan/1234567">  Deniz   manzaralı daire </a>
+        <span class="price-new">3.450.000 TL</span>
+        <ul class="tags"><li>Asansör</li><li>Otopark</li></ul>
+        <span class="rooms">Oda: 3+1</span>
+      </div>`;
+    card = document.querySelector('.card');
+  });
+
+  it('should write values at dotted paths using the first matching selector', () => {
+    const data = {};
+    const missing = extractor.extractRecipe(card, [
+      { path: 'title', selectors: ['.classifiedTitle', '.listing-title'] },
+      { path: 'links.detail', selector: '.listing-title', attribute: 'href', transforms: ['url'] },
+      { path: 'pricing.amount', selector: '.price-old, .price-new', transforms: ['integer'] },
+      { path: 'tags', selector: '.tags li', all: true, transforms: ['lowercase'] }
+    ], data);
+
+    expect(missing).toEqual([]);
+    expect(data).toEqual({
+      title: 'Deniz manzaralı daire',
+      links: { detail: 'https://www.sahibinden.com/ilan/1234567' },
+      pricing: { amount: 3450000 },
+      tags: ['asansör', 'otopark']
+    });
+  });
+
+  it('should chain parameterized transforms', () => {
+    const data = {};
+    extractor.extractRecipe(card, [
+      {
+        path: 'rooms',
+        selector: '.rooms',
+        transforms: [
+          { type: 'regex', pattern: '(\\d+)\\+(\\d+)' },
+          'number'
+        ]
+      },
+      {
+        path: 'rawRooms',
+        selector: '.rooms',
+        transforms: [{ type: 'split', separator: ':', index: -1 }]
+      }
+    ], data);
+
+    expect(data).toEqual({ rooms: 3, rawRooms: '3+1' });
+  });
+
+  it('should fall back to defaults and report missing required fields', () => {
+    const data = { title: 'kept' };
+    const missing = extractor.extractRecipe(card, [
+      { path: 'currency', selector: '.currency', default: 'TRY' },
+      { path: 'seller.phone', selector: '.phone', required: true },
+      { path: 'title', selector: '.nope' }
+    ], data);
+
+    expect(missing).toEqual(['seller.phone']);
+    expect(data).toEqual({ title: 'kept', currency: 'TRY' });
+  });
+
+  it('should reject recipes without paths, selectors or with bad patterns', () => {
+    const { isValid, errors } = validateRecipe({
+      listing: [
+        { path: 'ok', selector: '.a' },
+        { selector: '.b' },
+        { path: 'noSelector' },
+        { path: 'bad', selector: '.c', transforms: [{ type: 'regex', pattern: '(' }] }
+      ],
+      detail: 'nope'
+    });
+
+    expect(isValid).toBe(false);
+    expect(errors).toHaveLength(4);
+  });
+});
+
+describe('Field coverage', () => {
+  it('should report fill rates and the chain alternative that matched', () => {
+    const extractor = new DOMExtractor();
+    const coverage = new FieldCoverage();
+    const chain = '.classifiedDetailTitle, .classifiedTitle:not(.old, .stale)';
+    document.body.innerHTML = `
+      <div class="card"><h1 class="classifiedTitle">Daire</h1></div>
+      <div class="card"><h1 class="classifiedTitle"> </h1></div>`;
+
+    for (const card of document.querySelectorAll('.card')) {
+      extractor.matches.clear();
+      const title = extractor.extractText(card, chain);
+      coverage.record('detail', { title: { value: title, selector: extractor.matchedSelector(chain) } });
+    }
+
+    // Counts survive a checkpoint round trip
+    const restored = new FieldCoverage(JSON.parse(JSON.stringify(coverage.toJSON())));
+    expect(restored.report()).toEqual({
+      detail: {
+        items: 2,
+        fields: {
+          title: {
+            filled: 1,
+            fillRate: 0.5,
+            selector: '.classifiedTitle:not(.old, .stale)',
+            matches: { '.classifiedTitle:not(.old, .stale)': 1 }
+          }
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for result export formats
+ */
+import { TextDecoder, TextEncoder } from 'util';
+import {
+  buildExport, resolveExportOptions, flattenItem, discoverColumns, selectExportItems,
+  advanceWatermark, phoneKey, DEFAULT_EXPORT_OPTIONS
+} from '../../src/utils/export.js';
+import { crc32, columnName } from '../../src/utils/xlsx.js';
+
+global.TextEncoder = TextEncoder;
+
+/**
+ * Entries of a stored (uncompressed) ZIP: name → text, checking each CRC
+ */
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer);
+  const files = {};
+  let at = 0;
+  while (view.getUint32(at, true) === 0x04034B50) {
+    const crc = view.getUint32(at + 14, true);
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 30, at + 30 + nameLength));
+    const data = bytes.subarray(at + 30 + nameLength, at + 30 + nameLength + size);
+    expect(crc32(data)).toBe(crc);
+    files[name] = new TextDecoder().decode(data);
+    at += 30 + nameLength + size;
+  }
+  return files;
+}
+
+describe('Export', () => {
+  const items = [
+    {
+      title: 'Çiftlik evi; "acil"',
+      price: { amount: 2500000, currency: 'TRY' },
+      contact: { name: 'Ayşe', phone: '0532 000 00 00' }
+    },
+    { title: 'Şişli 2+1', contact: {} }
+  ];
+
+  it('should write Excel-friendly CSV by default and honor delimiter, BOM and quoting', () => {
+    expect(resolveExportOptions(null)).toEqual(DEFAULT_EXPORT_OPTIONS);
+    const csv = buildExport(items, ['title', 'price', 'phone']);
+    expect(csv).toMatchObject({ extension: 'csv', mimeType: 'text/csv;charset=utf-8' });
+    expect(csv.content).toBe(
+      '\uFEFFTitle;Price;Currency;Phone\r\n' +
+      '"Çiftlik evi; ""acil""";2500000;TRY;05320000000\r\n' +
+      'Şişli 2+1;;;'
+    );
+
+    const options = { delimiter: 'comma', bom: false, quoting: 'all' };
+    expect(buildExport(items.slice(1), ['title', 'name'], options).content)
+      .toBe('"Title","Name"\r\n"Şişli 2+1",""');
+  });
+
+  it('should write JSON and NDJSON records with typed values', () => {
+    const json = buildExport(items, ['title', 'price'], { format: 'json' });
+    expect(JSON.parse(json.content)).toEqual([
+      { title: 'Çiftlik evi; "acil"', price: 2500000, currency: 'TRY' },
+      { title: 'Şişli 2+1', price: null, currency: null }
+    ]);
+
+    const ndjson = buildExport(items, ['name'], { format: 'ndjson' });
+    expect(ndjson.extension).toBe('ndjson');
+    expect(ndjson.content).toBe('{"name":"Ayşe"}\n{"name":null}\n');
+  });
+
+  it('should build an XLSX workbook with numeric and string cells', () => {
+    const xlsx = buildExport(items, ['title', 'price'], { format: 'xlsx' });
+    expect(xlsx.extension).toBe('xlsx');
+
+    const files = unzip(xlsx.content);
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml'
+    ]);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Title</t></is></c>');
+    expect(sheet).toContain('<t xml:space="preserve">Çiftlik evi; &quot;acil&quot;</t>');
+    expect(sheet).toContain('<c r="B2"><v>2500000</v></c>');
+    expect(sheet).toContain('<row r="3"><c r="A3" t="inlineStr">');
+    expect([0, 25, 26, 701].map(columnName)).toEqual(['A', 'Z', 'AA', 'ZZ']);
+  });
+
+  it('should discover dotted columns from the data and export them renamed and reordered', () => {
+    const listings = [
+      {
+        id: '1101',
+        title: 'Kadıköy 3+1',
+        price: { amount: 4500000, currency: 'TRY' },
+        images: ['a.jpg', 'b.jpg'],
+        details: {
+          'Oda Sayısı': { value: { rooms: 3, halls: 1 }, raw: '3+1', label: 'Oda Sayısı' },
+          'm² (Brüt)': { value: 120, raw: '120', label: 'm² (Brüt)' }
+        },
+        contact: { phone: '' }
+      },
+      { id: '1102', location: 'Moda', attributes: { Isıtma: 'Kombi' } }
+    ];
+
+    expect(flattenItem(listings[0])).toMatchObject({
+      'price.amount': 4500000,
+      images: ['a.jpg', 'b.jpg'],
+      'details.Oda Sayısı': '3+1',
+      'details.m² (Brüt)': 120
+    });
+
+    const columns = discoverColumns(listings);
+    expect(columns.map(column => column.path)).toEqual([
+      'id', 'title', 'price.amount', 'price.currency', 'images',
+      'details.Oda Sayısı', 'details.m² (Brüt)', 'location', 'attributes.Isıtma'
+    ]);
+    expect(columns.find(column => column.path === 'details.Oda Sayısı'))
+      .toEqual({ path: 'details.Oda Sayısı', label: 'Oda Sayısı', filled: 1 });
+
+    const picked = [
+      { path: 'details.Oda Sayısı', label: 'Rooms' },
+      { path: 'address', label: 'Where' },
+      { path: 'id' },
+      { path: 'images', label: 'Photos' }
+    ];
+    const csv = buildExport(listings, picked, { bom: false });
+    expect(csv.content).toBe('Rooms;Where;ID;Photos\r\n3+1;;1101;a.jpg, b.jpg\r\n;Moda;1102;');
+
+    const json = JSON.parse(buildExport(listings, picked, { format: 'json' }).content);
+    expect(json[0]).toEqual({ Rooms: '3+1', Where: null, id: '1101', Photos: ['a.jpg', 'b.jpg'] });
+  });
+
+  it('should filter rows, skip listings of earlier exports and dedupe by phone', () => {
+    const listing = (id, amount, from, date, phone) => ({
+      id, price: amount ? { amount } : null, from, date, contact: phone ? { phone } : {}
+    });
+    const listings = [
+      listing('1', 900000, 'Sahibinden', '2024-05-02', '0532 111 22 33'),
+      listing('2', 1500000, 'Sahibinden', '2024-05-03', '+90 532 111 2233'),
+      listing('3', 1200000, 'Emlak Ofisinden', '2024-05-03', '0533 000 00 00'),
+      listing('4', 1100000, 'Sahibinden', '2024-05-04', null),
+      listing('5', null, 'Sahibinden', '2024-04-30', '0544 000 00 00'),
+      listing('1', 900000, 'Sahibinden', '2024-05-02', '05321112233')
+    ];
+    const ids = selection => selection.items.map(item => item.id);
+
+    expect(phoneKey(listings[0])).toBe(phoneKey(listings[1]));
+    expect(ids(selectExportItems(listings))).toEqual(['1', '2', '3', '4', '5']);
+
+    const filters = {
+      minPrice: '1000000', from: 'owner', dateFrom: '2024-05-01', requirePhone: true
+    };
+    const filtered = selectExportItems(listings, { filters });
+    expect(ids(filtered)).toEqual(['2']);
+    expect(filtered.skipped).toEqual({ filtered: 5, exported: 0, duplicates: 0 });
+
+    const deduped = selectExportItems(listings, { exported: ['3'], dedupePhone: true });
+    expect(ids(deduped)).toEqual(['1', '4', '5']);
+    expect(deduped.skipped).toEqual({ filtered: 0, exported: 1, duplicates: 2 });
+
+    const watermark = advanceWatermark(null, deduped.items, 1000);
+    expect(watermark).toEqual({ exportedAt: 1000, listingIds: ['1', '4', '5'] });
+    const next = selectExportItems(listings, { exported: watermark.listingIds });
+    expect(ids(next)).toEqual(['2', '3']);
+    expect(advanceWatermark(watermark, next.items, 2000).listingIds)
+      .toEqual(['1', '4', '5', '2', '3']);
+  });
+});
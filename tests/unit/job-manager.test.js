@@ -0,0 +1,497 @@
+/**
+ * Unit tests for job manager lease handling
+ */
+import { JobManager } from '../../src/background/job-manager.js';
+import { JobStatus, ErrorCodes, MessageTypes, CONFIG } from '../../src/shared/types.js';
+
+/**
+ * Back chrome.storage.local with a plain object
+ */
+function mockStorage() {
+  const store = {};
+  chrome.runtime.lastError = null;
+  chrome.storage.local.get.mockImplementation((keys, cb) => {
+    const out = {};
+    for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+    cb(out);
+  });
+  chrome.storage.local.set.mockImplementation((items, cb) => {
+    Object.assign(store, items);
+    if (cb) cb();
+  });
+  chrome.storage.local.remove.mockImplementation((keys, cb) => {
+    for (const k of [].concat(keys)) delete store[k];
+    if (cb) cb();
+  });
+  chrome.alarms.clear.mockResolvedValue(true);
+  chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+  return store;
+}
+
+describe('JobManager leases', () => {
+  let jobManager;
+  let mockApiClient;
+  let store;
+
+  beforeEach(() => {
+    store = mockStorage();
+
+    mockApiClient = {
+      claimJob: jest.fn().mockResolvedValue({ leaseId: 'lease-1', leaseTtlMs: 90000 }),
+      renewLease: jest.fn().mockResolvedValue({ leaseId: 'lease-1', leaseTtlMs: 90000 }),
+      releaseJob: jest.fn().mockResolvedValue({ success: true }),
+      failJob: jest.fn().mockResolvedValue({ success: true }),
+      reportMetrics: jest.fn().mockResolvedValue()
+    };
+
+    jobManager = new JobManager(mockApiClient);
+  });
+
+  it('should claim a lease before delivering the job', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+
+    const started = await jobManager.executeJob(7, job);
+
+    expect(started).toBe(true);
+    expect(mockApiClient.claimJob).toHaveBeenCalledWith(job);
+    expect(jobManager.currentLease).toMatchObject({ jobId: job.id, leaseId: 'lease-1', tabId: 7 });
+    expect(store[CONFIG.STORAGE_KEYS.JOB_LEASE].leaseId).toBe('lease-1');
+    expect(chrome.alarms.create).toHaveBeenCalledWith(jobManager.leaseAlarm, expect.any(Object));
+  });
+
+  it('should drop a job claimed by another client', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    const conflict = new Error('Job already claimed');
+    conflict.code = ErrorCodes.LEASE_CONFLICT;
+    mockApiClient.claimJob.mockRejectedValue(conflict);
+
+    const started = await jobManager.executeJob(7, job);
+
+    expect(started).toBe(false);
+    expect(jobManager.currentJob).toBeNull();
+    expect(jobManager.jobQueue).toHaveLength(0);
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should drop a job the server no longer has instead of retrying the claim', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    const missing = new Error('HTTP 404: Not Found');
+    missing.code = ErrorCodes.UNKNOWN_ERROR;
+    missing.status = 404;
+    mockApiClient.claimJob.mockRejectedValue(missing);
+
+    const started = await jobManager.executeJob(7, job);
+
+    expect(started).toBe(false);
+    expect(jobManager.currentJob).toBeNull();
+    expect(jobManager.jobQueue).toHaveLength(0);
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should keep a job in the queue when the claim fails transiently', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    const outage = new Error('HTTP 503: Service Unavailable');
+    outage.code = ErrorCodes.NETWORK_ERROR;
+    outage.status = 503;
+    mockApiClient.claimJob.mockRejectedValue(outage);
+
+    expect(await jobManager.executeJob(7, job)).toBe(false);
+    expect(jobManager.jobQueue).toEqual([job]);
+  });
+
+  it('should cancel the tab when the lease is lost', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    await jobManager.executeJob(7, job);
+    const expired = new Error('Lease expired');
+    expired.code = ErrorCodes.LEASE_EXPIRED;
+    mockApiClient.renewLease.mockRejectedValue(expired);
+
+    const renewed = await jobManager.renewLease();
+
+    expect(renewed).toBe(false);
+    expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(
+      7,
+      expect.objectContaining({ type: MessageTypes.CANCEL_JOB })
+    );
+    expect(jobManager.currentJob).toBeNull();
+    expect(jobManager.currentLease).toBeNull();
+    expect(store[CONFIG.STORAGE_KEYS.JOB_LEASE]).toBeUndefined();
+  });
+
+  it('should fail the job when the content script stops reporting progress', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    await jobManager.executeJob(7, job);
+    jobManager.currentLease.lastProgressAt = Date.now() - CONFIG.LEASE_PROGRESS_TIMEOUT - 1;
+
+    await jobManager.renewLease();
+
+    expect(mockApiClient.renewLease).not.toHaveBeenCalled();
+    expect(mockApiClient.failJob).toHaveBeenCalledWith(job.id, 'lease-1', expect.any(String));
+    expect(job.status).toBe(JobStatus.FAILED);
+  });
+
+  it('should release the lease and requeue when delivery fails', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    jobManager.sendExecuteMessage = jest.fn().mockResolvedValue(false);
+
+    const started = await jobManager.executeJob(7, job);
+
+    expect(started).toBe(false);
+    expect(mockApiClient.releaseJob).toHaveBeenCalledWith(job.id, 'lease-1', 'delivery_failed');
+    expect(job.status).toBe(JobStatus.PENDING);
+    expect(jobManager.currentLease).toBeNull();
+  });
+});
+
+describe('JobManager timeouts', () => {
+  let jobManager;
+  let mockApiClient;
+  let mockWatchdog;
+  let store;
+
+  beforeEach(() => {
+    store = mockStorage();
+
+    mockApiClient = {
+      claimJob: jest.fn().mockResolvedValue({ leaseId: 'lease-1', leaseTtlMs: 90000 }),
+      releaseJob: jest.fn().mockResolvedValue({ success: true }),
+      submitJobResult: jest.fn().mockResolvedValue({ success: true })
+    };
+    mockWatchdog = {
+      arm: jest.fn().mockResolvedValue(null),
+      disarm: jest.fn().mockResolvedValue()
+    };
+
+    jobManager = new JobManager(mockApiClient, null, mockWatchdog);
+  });
+
+  it('should arm the watchdog once the job is delivered', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+
+    await jobManager.executeJob(7, job);
+
+    expect(mockWatchdog.arm).toHaveBeenCalledWith(job);
+  });
+
+  it('should submit checkpointed results with a TIMEOUT status and free the queue', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    await jobManager.executeJob(7, job);
+    store[CONFIG.STORAGE_KEYS.DETAIL_PROGRESS] = {
+      jobId: job.id,
+      token: job.token,
+      results: [{ title: 'Partial item', url: 'https://www.sahibinden.com/ilan/123456789' }]
+    };
+
+    const result = await jobManager.handleJobTimeout(job.id, 1000);
+
+    expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(7, {
+      type: MessageTypes.CANCEL_JOB,
+      payload: { jobId: job.id, reason: 'timeout' }
+    });
+    expect(result.status).toBe(JobStatus.TIMEOUT);
+    expect(mockApiClient.submitJobResult).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: job.id, status: JobStatus.TIMEOUT, leaseId: 'lease-1' }),
+      expect.any(Object)
+    );
+    expect(mockApiClient.submitJobResult.mock.calls[0][0].data).toHaveLength(1);
+    expect(store[CONFIG.STORAGE_KEYS.DETAIL_PROGRESS]).toBeUndefined();
+    expect(jobManager.currentJob).toBeNull();
+    expect(jobManager.jobQueue).toHaveLength(0);
+    expect(mockWatchdog.disarm).toHaveBeenCalledWith(job.id);
+  });
+
+  it('should include items from a listing pagination checkpoint', async () => {
+    const job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    await jobManager.executeJob(7, job);
+    store[CONFIG.STORAGE_KEYS.LISTING_PROGRESS] = {
+      jobId: job.id,
+      job,
+      page: 3,
+      pageUrl: 'https://www.sahibinden.com/satilik?pagingOffset=40',
+      items: [{ id: '1' }, { id: '2' }],
+      seenIds: ['1', '2']
+    };
+
+    const result = await jobManager.handleJobTimeout(job.id, 1000);
+
+    expect(result.data).toHaveLength(2);
+    expect(result.metadata.url).toBe('https://www.sahibinden.com/satilik?pagingOffset=40');
+    expect(store[CONFIG.STORAGE_KEYS.LISTING_PROGRESS]).toBeUndefined();
+  });
+});
+
+describe('JobManager cancellations', () => {
+  let jobManager;
+  let mockApiClient;
+  let store;
+
+  beforeEach(() => {
+    store = mockStorage();
+
+    mockApiClient = {
+      claimJob: jest.fn().mockResolvedValue({ leaseId: 'lease-1', leaseTtlMs: 90000 }),
+      releaseJob: jest.fn().mockResolvedValue({ success: true }),
+      acknowledgeCancellation: jest.fn().mockResolvedValue({ success: true }),
+      fetchPendingJobs: jest.fn().mockResolvedValue([])
+    };
+
+    jobManager = new JobManager(mockApiClient);
+  });
+
+  it('should stop the running job, drop queued ones and acknowledge both', async () => {
+    const running = testUtils.createMockJob({ id: 'job-running' });
+    const queued = testUtils.createMockJob({ id: 'job-queued' });
+    jobManager.jobQueue = [running, queued];
+    await jobManager.executeJob(7, running);
+    store[CONFIG.STORAGE_KEYS.DETAIL_PROGRESS] = { jobId: 'job-running', results: [] };
+
+    const { stoppedCurrent } = await jobManager.applyCancellations([
+      { jobId: 'job-running', reason: 'misconfigured' },
+      { jobId: 'job-queued', reason: 'misconfigured' }
+    ]);
+
+    expect(stoppedCurrent).toBe(true);
+    expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(7, {
+      type: MessageTypes.CANCEL_JOB,
+      payload: { jobId: 'job-running', reason: 'server_cancelled' }
+    });
+    expect(jobManager.currentJob).toBeNull();
+    expect(jobManager.currentLease).toBeNull();
+    expect(jobManager.jobQueue).toHaveLength(0);
+    expect(store[CONFIG.STORAGE_KEYS.DETAIL_PROGRESS]).toBeUndefined();
+    expect(mockApiClient.releaseJob).not.toHaveBeenCalled();
+    expect(mockApiClient.acknowledgeCancellation).toHaveBeenCalledWith('job-running', 'stopped');
+    expect(mockApiClient.acknowledgeCancellation).toHaveBeenCalledWith('job-queued', 'dropped');
+  });
+
+  it('should treat cancelled entries in the poll response as cancellations', async () => {
+    const queued = testUtils.createMockJob({ id: 'job-queued' });
+    jobManager.jobQueue = [queued];
+    mockApiClient.fetchPendingJobs.mockResolvedValue([
+      { id: 'job-queued', status: JobStatus.CANCELLED, reason: 'operator' },
+      testUtils.createMockJob({ id: 'job-new' })
+    ]);
+
+    const jobs = await jobManager.fetchPendingJobs();
+
+    expect(jobs.map(job => job.id)).toEqual(['job-new']);
+    expect(jobManager.jobQueue).toHaveLength(0);
+    expect(mockApiClient.acknowledgeCancellation).toHaveBeenCalledWith('job-queued', 'dropped');
+  });
+});
+
+describe('JobManager follow-up jobs', () => {
+  let jobManager;
+  let mockApiClient;
+  let store;
+
+  const listing = n => ({ id: `${n}`, url: `https://www.sahibinden.com/ilan/${n}` });
+  const completeParent = async (parent, data) => {
+    // Children of earlier runs stay queued
+    jobManager.jobQueue = [parent, ...jobManager.jobQueue];
+    await jobManager.executeJob(7, parent);
+    return jobManager.handleJobCompletion(parent.id, {
+      jobId: parent.id,
+      token: parent.token,
+      status: JobStatus.COMPLETED,
+      data,
+      metadata: { itemsExtracted: data.length, executionTime: 1, errors: [], userAgent: 'test', timestamp: new Date().toISOString() }
+    });
+  };
+
+  beforeEach(() => {
+    store = mockStorage();
+
+    mockApiClient = {
+      claimJob: jest.fn().mockResolvedValue({ leaseId: 'lease-1', leaseTtlMs: 90000 }),
+      releaseJob: jest.fn().mockResolvedValue({ success: true }),
+      submitJobResult: jest.fn().mockResolvedValue({ success: true })
+    };
+
+    jobManager = new JobManager(mockApiClient);
+  });
+
+  it('should queue detail batches for unseen listings only', async () => {
+    const parent = testUtils.createMockJob({
+      config: {
+        url: 'https://www.sahibinden.com/emlak',
+        followUp: { type: 'scrape_details', batchSize: 2 }
+      }
+    });
+    store[CONFIG.STORAGE_KEYS.CHAINED_LISTINGS] = ['2'];
+
+    const outcome = await completeParent(parent, [1, 2, 3, 4].map(listing));
+
+    expect(outcome).toMatchObject({ followUps: 2 });
+    expect(jobManager.jobQueue.map(job => job.config.urls)).toEqual([
+      [listing(1).url, listing(3).url],
+      [listing(4).url]
+    ]);
+    expect(jobManager.jobQueue.every(job => job.parentJobId === parent.id)).toBe(true);
+    expect(jobManager.jobQueue.map(job => job.chainKeys)).toEqual([['1', '3'], ['4']]);
+    // Listings count as chained once their child job completes
+    expect(store[CONFIG.STORAGE_KEYS.CHAINED_LISTINGS]).toEqual(['2']);
+  });
+
+  it('should chain listings of completed children only and not queue them twice', async () => {
+    const config = { url: 'https://www.sahibinden.com/emlak', followUp: { batchSize: 1 } };
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await completeParent(testUtils.createMockJob({ id: 'run-1', config }), [1, 2].map(listing));
+    Date.now.mockRestore();
+    expect(jobManager.jobQueue.map(job => job.id)).toEqual([`run-1-${now}-f1`, `run-1-${now}-f2`]);
+
+    // Listings of queued children are not chained again
+    await completeParent(testUtils.createMockJob({ id: 'run-2', config }), [1, 2, 3].map(listing));
+    expect(jobManager.jobQueue.map(job => job.chainKeys)).toEqual([['1'], ['2'], ['3']]);
+
+    const [first, second] = jobManager.jobQueue;
+    await jobManager.executeJob(7, first);
+    await jobManager.handleJobCompletion(first.id, {
+      jobId: first.id,
+      token: first.token,
+      status: JobStatus.COMPLETED,
+      data: [listing(1)],
+      metadata: { itemsExtracted: 1, executionTime: 1, errors: [], userAgent: 'test', timestamp: new Date().toISOString() }
+    });
+    await jobManager.executeJob(7, second);
+    await jobManager.handleJobFailure(second, 'Tab closed');
+    expect(store[CONFIG.STORAGE_KEYS.CHAINED_LISTINGS]).toEqual(['1']);
+
+    // The failed child's listing is chained again; the completed and queued ones are not
+    await completeParent(testUtils.createMockJob({ id: 'run-3', config }), [1, 2, 3].map(listing));
+    const spawned = jobManager.jobQueue.filter(job => job.parentJobId === 'run-3');
+    expect(spawned.map(job => job.config.urls)).toEqual([[listing(2).url]]);
+  });
+
+  it('should give children of a rerun parent new IDs', async () => {
+    const config = { url: 'https://www.sahibinden.com/emlak', followUp: {} };
+    const parent = testUtils.createMockJob({ id: 'run-1', config });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await completeParent(parent, [listing(1)]);
+    Date.now.mockReturnValue(now + 60000);
+    await completeParent(parent, [listing(2)]);
+    Date.now.mockRestore();
+
+    expect(jobManager.jobQueue.map(job => job.id))
+      .toEqual([`run-1-${now}-f1`, `run-1-${now + 60000}-f1`]);
+    expect(jobManager.jobQueue.map(job => job.config.urls)).toEqual([
+      [listing(1).url],
+      [listing(2).url]
+    ]);
+  });
+
+  it('should run children without a server claim and tag their results', async () => {
+    const parent = testUtils.createMockJob({
+      config: { url: 'https://www.sahibinden.com/emlak', followUp: {} }
+    });
+    await completeParent(parent, [listing(1)]);
+    const child = jobManager.jobQueue[0];
+    mockApiClient.claimJob.mockClear();
+
+    await jobManager.executeJob(7, child);
+    await jobManager.handleJobCompletion(child.id, {
+      jobId: child.id,
+      token: child.token,
+      status: JobStatus.COMPLETED,
+      data: [],
+      metadata: { itemsExtracted: 0, executionTime: 1, errors: [], userAgent: 'test', timestamp: new Date().toISOString() }
+    });
+
+    expect(mockApiClient.claimJob).not.toHaveBeenCalled();
+    expect(mockApiClient.submitJobResult).toHaveBeenLastCalledWith(
+      expect.objectContaining({ jobId: child.id, parentJobId: parent.id }),
+      expect.any(Object)
+    );
+    expect(mockApiClient.submitJobResult.mock.calls[1][0].leaseId).toBeUndefined();
+  });
+});
+
+describe('JobManager result streaming', () => {
+  let jobManager;
+  let mockApiClient;
+  let mockOutbox;
+  let store;
+  let job;
+
+  const item = n => ({ id: `${n}`, url: `https://www.sahibinden.com/ilan/${n}`, title: `Listing ${n}` });
+
+  beforeEach(async () => {
+    store = mockStorage();
+
+    mockApiClient = {
+      claimJob: jest.fn().mockResolvedValue({ leaseId: 'lease-1', leaseTtlMs: 90000 }),
+      submitResultChunk: jest.fn().mockResolvedValue({ success: true }),
+      submitJobResult: jest.fn().mockResolvedValue({ success: true })
+    };
+    mockOutbox = { enqueue: jest.fn().mockResolvedValue() };
+
+    jobManager = new JobManager(mockApiClient, mockOutbox);
+    job = testUtils.createMockJob();
+    jobManager.jobQueue = [job];
+    await jobManager.executeJob(7, job);
+  });
+
+  it('should submit numbered chunks and skip items already streamed', async () => {
+    expect(await jobManager.streamResultItems(job.id, [item(1), item(2)], 0)).toBe(2);
+    // Resent progress event overlapping the first chunk
+    expect(await jobManager.streamResultItems(job.id, [item(2), item(3)], 1)).toBe(3);
+    // Gap after a lost event: nothing recorded, the caller resends from 3
+    expect(await jobManager.streamResultItems(job.id, [item(5)], 4)).toBe(3);
+
+    const chunks = mockApiClient.submitResultChunk.mock.calls;
+    expect(chunks).toHaveLength(2);
+    expect(chunks[1][0]).toMatchObject({ jobId: job.id, sequence: 2, offset: 2, leaseId: 'lease-1' });
+    expect(chunks[1][0].data.map(entry => entry.url)).toEqual([item(3).url]);
+    expect(chunks[1][1]).toEqual({ idempotencyKey: `${job.id}:chunk:2` });
+  });
+
+  it('should park failed chunks in the outbox', async () => {
+    mockApiClient.submitResultChunk.mockRejectedValue(new Error('offline'));
+
+    await jobManager.streamResultItems(job.id, [item(1)], 0);
+
+    expect(mockOutbox.enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: job.id, sequence: 1 }),
+      `${job.id}:chunk:1`,
+      'offline',
+      'chunk'
+    );
+  });
+
+  it('should submit only the unstreamed tail on completion and keep the full result', async () => {
+    await jobManager.streamResultItems(job.id, [item(1), item(2)], 0);
+
+    const outcome = await jobManager.handleJobCompletion(job.id, {
+      jobId: job.id,
+      token: job.token,
+      status: JobStatus.COMPLETED,
+      data: [item(3)],
+      metadata: {
+        itemsExtracted: 3,
+        streamedItems: 2,
+        executionTime: 1,
+        errors: [],
+        userAgent: 'test',
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    const [[submission]] = mockApiClient.submitJobResult.mock.calls;
+    expect(submission).toMatchObject({ chunks: 1, streamedItems: 2 });
+    expect(submission.data).toHaveLength(1);
+    expect(outcome.result.data.map(entry => entry.id)).toEqual(['1', '2', '3']);
+    expect(store[CONFIG.STORAGE_KEYS.RESULT_STREAM]).toBeUndefined();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for recurring local job schedules
+ */
+import { JobScheduler, parseCron, nextCronTime, applyQuietHours } from '../../src/background/job-scheduler.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('JobScheduler', () => {
+  let scheduler;
+  let jobManager;
+  let store;
+  let blockedUntil;
+
+  const at = (hours, minutes = 0) => new Date(2026, 0, 15, hours, minutes).getTime();
+
+  beforeEach(() => {
+    store = {};
+    blockedUntil = 0;
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      cb(out);
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+    chrome.alarms.clear.mockResolvedValue(true);
+    chrome.alarms.create.mockClear();
+
+    jobManager = {
+      currentJob: null,
+      jobQueue: [],
+      queueJobs: jest.fn(async jobs => { jobManager.jobQueue.push(...jobs); })
+    };
+    scheduler = new JobScheduler(jobManager, { getBlockedUntil: () => blockedUntil });
+  });
+
+  const job = testUtils.createMockJob();
+  const definition = { type: job.type, token: job.token, config: job.config };
+
+  it('should find the next cron match', () => {
+    const fields = parseCron('30 */6 * * 1-5');
+    // Thursday 07:10 → 12:30 the same day
+    expect(nextCronTime(fields, at(7, 10))).toBe(at(12, 30));
+    expect(() => parseCron('61 * * * *')).toThrow();
+  });
+
+  it('should hold cron schedules to the minimum interval', () => {
+    const minutes = CONFIG.SCHEDULE_MIN_INTERVAL / 60000;
+    expect(scheduler.nextRunAt({ cron: '* * * * *' }, at(7, 10))).toBe(at(7, 10 + minutes));
+    expect(scheduler.nextRunAt({ cron: '0 * * * *' }, at(7, 10))).toBe(at(8));
+  });
+
+  it('should move runs out of quiet hours, including windows across midnight', () => {
+    const quiet = { start: '23:00', end: '07:00' };
+    expect(applyQuietHours(at(23, 30), quiet)).toBe(new Date(2026, 0, 16, 7, 0).getTime());
+    expect(applyQuietHours(at(3), quiet)).toBe(at(7));
+    expect(applyQuietHours(at(12), quiet)).toBe(at(12));
+  });
+
+  it('should queue a local job when due and arm the alarm for the next run', async () => {
+    const schedule = await scheduler.save({ job: definition, everyMinutes: 60 });
+    const firstRunAt = schedule.nextRunAt;
+    expect(chrome.alarms.create).toHaveBeenLastCalledWith('sentio_scheduler', { when: firstRunAt });
+
+    const queued = await scheduler.runDue(firstRunAt);
+
+    expect(queued).toBe(1);
+    const [[jobs]] = jobManager.queueJobs.mock.calls;
+    expect(jobs[0]).toMatchObject({ scheduleId: schedule.id, type: job.type, token: job.token });
+    const saved = store[CONFIG.STORAGE_KEYS.SCHEDULES][0];
+    expect(saved.lastJobId).toBe(jobs[0].id);
+    expect(saved.nextRunAt).toBe(firstRunAt + 60 * 60000);
+
+    // The previous run is still queued, so the next one is skipped
+    await scheduler.runDue(saved.nextRunAt);
+    expect(jobManager.queueJobs).toHaveBeenCalledTimes(1);
+  });
+
+  it('should see a run persisted before a service worker restart as outstanding', async () => {
+    const schedule = await scheduler.save({ job: definition, everyMinutes: 60 });
+    await scheduler.runDue(schedule.nextRunAt);
+    const saved = store[CONFIG.STORAGE_KEYS.SCHEDULES][0];
+
+    // Restarted worker: nothing in memory, the run is in the stored queue
+    store[CONFIG.STORAGE_KEYS.JOB_QUEUE] = [...jobManager.jobQueue];
+    jobManager.jobQueue = [];
+    expect(await scheduler.runDue(saved.nextRunAt)).toBe(0);
+
+    // ...or only its lease is left while it runs
+    store[CONFIG.STORAGE_KEYS.JOB_QUEUE] = [];
+    store[CONFIG.STORAGE_KEYS.JOB_LEASE] = { jobId: saved.lastJobId };
+    const later = store[CONFIG.STORAGE_KEYS.SCHEDULES][0].nextRunAt;
+    expect(await scheduler.runDue(later)).toBe(0);
+
+    // Finished: the next run is queued
+    delete store[CONFIG.STORAGE_KEYS.JOB_LEASE];
+    const next = store[CONFIG.STORAGE_KEYS.SCHEDULES][0].nextRunAt;
+    expect(await scheduler.runDue(next)).toBe(1);
+    expect(jobManager.queueJobs).toHaveBeenCalledTimes(2);
+  });
+
+  it('should defer due runs while blocked and skip paused schedules', async () => {
+    const schedule = await scheduler.save({ job: definition, everyMinutes: 30 });
+    const now = schedule.nextRunAt;
+    blockedUntil = now + 45 * 60000;
+
+    expect(await scheduler.runDue(now)).toBe(0);
+    expect(store[CONFIG.STORAGE_KEYS.SCHEDULES][0].nextRunAt).toBe(blockedUntil);
+
+    await scheduler.setPaused(schedule.id, true);
+    blockedUntil = 0;
+    expect(await scheduler.runDue(now + 60 * 60000)).toBe(0);
+    expect(jobManager.queueJobs).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for client-side job.config.filters
+ */
+import { compileFilters, evaluateFilters, FilterStats } from '../../src/content/listing-filter.js';
+import { normalizeAttributes } from '../../src/content/attribute-normalizer.js';
+import { validateFilters } from '../../src/utils/validators.js';
+
+describe('Listing filters', () => {
+  const filters = {
+    maxPrice: 1000000,
+    minRooms: 2,
+    from: 'Owner',
+    title: { contains: 'deniz' },
+    required: ['contact.phone']
+  };
+  const rules = compileFilters(filters);
+
+  const card = (amount, title = 'Denize sıfır 3+1') => ({
+    url: 'https://www.sahibinden.com/ilan/x-1000001/detay',
+    title,
+    price: { amount, currency: 'TRY' }
+  });
+  const detail = overrides => ({
+    ...card(950000),
+    contact: { phone: '0532 000 00 00' },
+    attributes: normalizeAttributes({ 'Oda Sayısı': '3+1', 'Kimden': 'Sahibinden' }),
+    ...overrides
+  });
+
+  it('should compile shorthand keys into rules', () => {
+    expect(rules).toEqual([
+      { field: 'price', max: 1000000 },
+      { field: 'rooms', min: 2 },
+      { field: 'from', in: ['Owner'] },
+      { field: 'title', contains: 'deniz' },
+      { field: 'contact.phone', required: true }
+    ]);
+  });
+
+  it('should check cards without excluding them for fields they do not show', () => {
+    const cardRules = rules.filter(rule => !rule.required);
+    expect(evaluateFilters(card(950000), cardRules)).toBeNull();
+    expect(evaluateFilters(card(1250000), cardRules)).toBe('price:max');
+    expect(evaluateFilters(card(950000, 'Bahçeli villa'), cardRules)).toBe('title:contains');
+  });
+
+  it('should evaluate detail data with attributes, enums, regex and required fields', () => {
+    expect(evaluateFilters(detail(), rules)).toBeNull();
+    const oneRoom = detail({ attributes: normalizeAttributes({ 'Oda Sayısı': '1+1' }) });
+    expect(evaluateFilters(oneRoom, rules)).toBe('rooms:min');
+    const agency = detail({ attributes: {}, from: 'Emlak Ofisinden' });
+    expect(evaluateFilters(agency, rules)).toBe('from:in');
+    expect(evaluateFilters(detail({ attributes: {}, from: 'Sahibinden' }), rules)).toBeNull();
+    expect(evaluateFilters(detail({ contact: {} }), rules)).toBe('contact.phone:required');
+
+    const regex = compileFilters({ rules: [{ field: 'description', regex: 'acil|fırsat' }] });
+    expect(evaluateFilters(detail({ description: 'ACİL satılık' }), regex)).toBeNull();
+    expect(evaluateFilters(detail({ description: 'Satılık' }), regex)).toBe('description:regex');
+  });
+
+  it('should count exclusions by reason and validate filter specs', () => {
+    const stats = new FilterStats();
+    stats.record('listing', null);
+    stats.record('listing', 'price:max');
+    stats.record('detail', 'price:max');
+    const restored = new FilterStats(stats.toJSON());
+    restored.record('detail', 'rooms:min');
+    expect(restored.report()).toEqual({
+      listing: { checked: 2, excluded: 1, reasons: { 'price:max': 1 } },
+      detail: { checked: 2, excluded: 2, reasons: { 'price:max': 1, 'rooms:min': 1 } }
+    });
+
+    expect(validateFilters(filters).isValid).toBe(true);
+    const invalid = { maxPrice: '1M', rules: [{ field: 'title', regex: '(' }] };
+    expect(validateFilters(invalid).errors).toEqual([
+      'Filter maxPrice must be a number',
+      'Filter rules[0] (title) has an invalid regex'
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the adaptive poll scheduler
+ */
+import { PollScheduler, PollOutcome } from '../../src/background/poll-scheduler.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('PollScheduler', () => {
+  let scheduler;
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      cb(out);
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+    chrome.alarms.clear.mockResolvedValue(true);
+    chrome.alarms.create.mockClear();
+
+    scheduler = new PollScheduler('sentio_polling');
+  });
+
+  it('should grow the interval after empty polls up to the maximum', async () => {
+    await scheduler.arm();
+    await scheduler.record(PollOutcome.EMPTY);
+
+    expect(scheduler.intervalMs)
+      .toBe(CONFIG.POLLING_INTERVAL_MIN * CONFIG.POLLING_BACKOFF_MULTIPLIER);
+
+    for (let i = 0; i < 20; i++) {
+      await scheduler.record(PollOutcome.EMPTY);
+    }
+    expect(scheduler.intervalMs).toBe(CONFIG.POLLING_INTERVAL_MAX);
+    expect(chrome.alarms.create).toHaveBeenLastCalledWith('sentio_polling', expect.objectContaining({
+      periodInMinutes: CONFIG.POLLING_INTERVAL_MAX / 60000
+    }));
+  });
+
+  it('should reset when jobs arrive and back off hard on errors', async () => {
+    await scheduler.record(PollOutcome.EMPTY);
+    await scheduler.record(PollOutcome.JOBS);
+    expect(scheduler.intervalMs).toBe(CONFIG.POLLING_INTERVAL_MIN);
+
+    await scheduler.record(PollOutcome.ERROR);
+    expect(scheduler.intervalMs).toBeGreaterThanOrEqual(CONFIG.POLLING_ERROR_COOLDOWN);
+  });
+
+  it('should honor the server hint but not go below the floor', async () => {
+    await scheduler.record(PollOutcome.EMPTY, 120000);
+    expect(scheduler.intervalMs).toBe(120000);
+
+    await scheduler.record(PollOutcome.EMPTY, 0);
+    expect(scheduler.intervalMs).toBe(CONFIG.POLLING_INTERVAL_MIN);
+  });
+
+  it('should persist the interval and only arm the alarm while active', async () => {
+    await scheduler.record(PollOutcome.EMPTY);
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+
+    const restored = new PollScheduler('sentio_polling');
+    await restored.restore();
+    expect(restored.intervalMs).toBe(scheduler.intervalMs);
+
+    await restored.arm();
+    expect(chrome.alarms.create).toHaveBeenCalledWith('sentio_polling', expect.objectContaining({
+      when: store[CONFIG.STORAGE_KEYS.POLL_SCHEDULE].nextPollAt
+    }));
+  });
+
+  it('should relax polling while the floor is raised and return to fast polling when lowered', async () => {
+    await scheduler.arm();
+    await scheduler.setFloor(CONFIG.POLLING_INTERVAL_MAX);
+    expect(scheduler.intervalMs).toBe(CONFIG.POLLING_INTERVAL_MAX);
+
+    await scheduler.record(PollOutcome.JOBS);
+    expect(scheduler.intervalMs).toBe(CONFIG.POLLING_INTERVAL_MAX);
+
+    await scheduler.setFloor(CONFIG.POLLING_INTERVAL_MIN);
+    expect(scheduler.intervalMs).toBe(CONFIG.POLLING_INTERVAL_MIN);
+    expect(chrome.alarms.create).toHaveBeenLastCalledWith('sentio_polling', expect.objectContaining({
+      periodInMinutes: CONFIG.POLLING_INTERVAL_MIN / 60000
+    }));
+  });
+});
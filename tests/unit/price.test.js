@@ -0,0 +1,50 @@
+/**
+ * Unit tests for currency-aware price parsing
+ */
+import { parsePrice, parseAmount, detectCurrency } from '../../src/utils/price.js';
+import { JobManager } from '../../src/background/job-manager.js';
+
+describe('Price parsing', () => {
+  it('should keep amount, ISO currency and the original text', () => {
+    expect(parsePrice('1.250.000 TL')).toEqual({ amount: 1250000, currency: 'TRY', text: '1.250.000 TL' });
+    expect(parsePrice('85.000 USD')).toMatchObject({ amount: 85000, currency: 'USD' });
+    expect(parsePrice('2.500 €')).toMatchObject({ amount: 2500, currency: 'EUR' });
+    expect(parsePrice('£1,250,000')).toMatchObject({ amount: 1250000, currency: 'GBP' });
+    expect(parsePrice('  1.250.000TL ')).toMatchObject({ amount: 1250000, text: '1.250.000TL' });
+    expect(parsePrice(3450000, 'TRY')).toEqual({ amount: 3450000, currency: 'TRY', text: '3450000' });
+    expect(parsePrice('')).toBeNull();
+  });
+
+  it('should read Turkish and machine separators', () => {
+    expect(parseAmount('1.250.000,50')).toBe(1250000.5);
+    expect(parseAmount('87,5')).toBe(87.5);
+    expect(parseAmount('3450000.00')).toBe(3450000);
+    expect(parseAmount('1,250')).toBe(1250);
+    expect(detectCurrency('Türk Lirası')).toBe('TRY');
+    expect(detectCurrency('Title')).toBeNull();
+  });
+
+  it('should parse ranges and flag prices on request', () => {
+    expect(parsePrice('1.250.000 TL - 1.500.000 TL')).toMatchObject({
+      amount: 1250000, min: 1250000, max: 1500000, currency: 'TRY'
+    });
+    expect(parsePrice('1,5 - 2 Milyon TL')).toMatchObject({ min: 1500000, max: 2000000 });
+    expect(parsePrice('Fiyat sorunuz')).toEqual({
+      amount: null, currency: null, text: 'Fiyat sorunuz', onRequest: true
+    });
+  });
+
+  it('should carry the currency in pruned submissions', () => {
+    const manager = new JobManager({});
+    const { data } = manager.pruneResultForSubmission({
+      jobId: 'job-1',
+      data: [
+        { title: 'A', price: parsePrice('85.000 USD') },
+        { title: 'B', price: 1000 }
+      ]
+    });
+
+    expect(data[0]).toMatchObject({ title: 'A', price: 85000, currency: 'USD' });
+    expect(data[1]).toMatchObject({ title: 'B', price: 1000, currency: '' });
+  });
+});
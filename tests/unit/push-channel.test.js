@@ -0,0 +1,62 @@
+/**
+ * Unit tests for the push channel
+ */
+import { PushChannel, createSseParser } from '../../src/background/push-channel.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('createSseParser', () => {
+  it('should emit events split across chunks', () => {
+    const events = [];
+    const parser = createSseParser(event => events.push(event));
+
+    parser.feed('event: jobs\ndata: {"jobs":');
+    parser.feed('[]}\n\n: keepalive\n\nevent: cancel\r\ndata: {"jobId":"a"}\r\n\r\n');
+
+    expect(events).toEqual([
+      { event: 'jobs', data: '{"jobs":[]}', id: null },
+      { event: 'cancel', data: '{"jobId":"a"}', id: null }
+    ]);
+  });
+
+  it('should join multi-line data and default the event name', () => {
+    const events = [];
+    const parser = createSseParser(event => events.push(event));
+
+    parser.feed('id: 7\ndata: line one\ndata: line two\n\n');
+
+    expect(events).toEqual([{ event: 'message', data: 'line one\nline two', id: '7' }]);
+  });
+});
+
+describe('PushChannel', () => {
+  beforeEach(() => {
+    chrome.alarms.clear.mockResolvedValue(true);
+    chrome.alarms.create.mockClear();
+  });
+
+  it('should back off reconnects when the stream cannot be opened', async () => {
+    const apiClient = { openJobStream: jest.fn().mockRejectedValue(new Error('NETWORK_ERROR')) };
+    const channel = new PushChannel(apiClient);
+
+    await channel.connect();
+    await channel.connect();
+
+    const [first, second] = chrome.alarms.create.mock.calls.map(([, info]) => info.when);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(channel.reconnectAlarm, expect.any(Object));
+    expect(second - first).toBeGreaterThanOrEqual(CONFIG.PUSH_RECONNECT_BASE - 100);
+    expect(channel.connected).toBe(false);
+  });
+
+  it('should stay on polling when the server has no push endpoint', async () => {
+    const notFound = new Error('HTTP 404: Not Found');
+    notFound.status = 404;
+    const apiClient = { openJobStream: jest.fn().mockRejectedValue(notFound) };
+    const channel = new PushChannel(apiClient);
+
+    await channel.connect();
+    await channel.connect();
+
+    expect(apiClient.openJobStream).toHaveBeenCalledTimes(1);
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the IndexedDB result history records and retention
+ */
+import { historyEntries, expiredJobIds, resolveRetention } from '../../src/utils/result-history.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('ResultHistory', () => {
+  const DAY = 86400000;
+
+  it('should split a result into a job record and indexed item rows', () => {
+    const result = {
+      jobId: 'job-1',
+      status: 'completed',
+      data: [
+        {
+          url: 'https://www.sahibinden.com/ilan/satilik-daire-1000002/detay',
+          contact: { name: ' Ayşe Yılmaz ' }
+        },
+        { id: '1000003', url: '/ilan/1000003', title: 'Kart' }
+      ],
+      metadata: { itemsExtracted: 2 }
+    };
+    const job = {
+      id: 'job-1',
+      type: 'scrape_details',
+      config: { url: 'https://www.sahibinden.com/satilik' }
+    };
+    const { job: record, items } = historyEntries(result, job, 1000);
+
+    expect(record).toEqual({
+      jobId: 'job-1',
+      type: 'scrape_details',
+      status: 'completed',
+      completedAt: 1000,
+      url: 'https://www.sahibinden.com/satilik',
+      itemCount: 2,
+      result: { jobId: 'job-1', status: 'completed', metadata: { itemsExtracted: 2 } }
+    });
+    expect(items.map(({ index, listingId, seller }) => [index, listingId, seller])).toEqual([
+      [0, '1000002', 'Ayşe Yılmaz'],
+      [1, '1000003', null]
+    ]);
+    expect(items[1]).toMatchObject({ jobId: 'job-1', completedAt: 1000, item: result.data[1] });
+  });
+
+  it('should drop jobs beyond the newest maxJobs or older than maxAgeDays', () => {
+    const now = 100 * DAY;
+    const jobs = [
+      { jobId: 'old', completedAt: now - 40 * DAY },
+      { jobId: 'c', completedAt: now - 1 * DAY },
+      { jobId: 'a', completedAt: now - 3 * DAY },
+      { jobId: 'b', completedAt: now - 2 * DAY }
+    ];
+
+    expect(expiredJobIds(jobs, { maxJobs: 2, maxAgeDays: 90 }, now)).toEqual(['a', 'old']);
+    expect(expiredJobIds(jobs, { maxJobs: 10, maxAgeDays: 30 }, now)).toEqual(['old']);
+  });
+
+  it('should fall back to the default retention for missing or invalid settings', () => {
+    expect(resolveRetention(null)).toEqual({
+      maxJobs: CONFIG.RESULT_HISTORY_MAX_JOBS,
+      maxAgeDays: CONFIG.RESULT_HISTORY_MAX_AGE_DAYS
+    });
+    expect(resolveRetention({ maxJobs: '25', maxAgeDays: -1 })).toEqual({
+      maxJobs: 25,
+      maxAgeDays: CONFIG.RESULT_HISTORY_MAX_AGE_DAYS
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for the result outbox
+ */
+import { ResultOutbox } from '../../src/background/result-outbox.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('ResultOutbox', () => {
+  let outbox;
+  let mockApiClient;
+  let store;
+
+  const result = (jobId) => ({ jobId, status: 'completed', data: [{ id: 1 }], metadata: {} });
+  const queued = () => store[CONFIG.STORAGE_KEYS.RESULT_OUTBOX] || [];
+
+  beforeEach(() => {
+    store = {};
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      // chrome.storage hands out copies
+      cb(JSON.parse(JSON.stringify(out)));
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+    chrome.storage.local.remove.mockImplementation((keys, cb) => {
+      for (const k of [].concat(keys)) delete store[k];
+      if (cb) cb();
+    });
+    chrome.alarms.clear.mockResolvedValue(true);
+    chrome.alarms.create.mockClear();
+
+    mockApiClient = {
+      submitJobResult: jest.fn().mockResolvedValue({ success: true })
+    };
+
+    outbox = new ResultOutbox(mockApiClient);
+  });
+
+  it('should persist a failed result and arm the retry alarm', async () => {
+    await outbox.enqueue(result('job-1'), 'job-1:a', 'Network error');
+
+    expect(queued()).toHaveLength(1);
+    expect(queued()[0]).toMatchObject({ jobId: 'job-1', idempotencyKey: 'job-1:a', attempts: 0 });
+    expect(chrome.alarms.create).toHaveBeenCalledWith(outbox.retryAlarm, expect.any(Object));
+  });
+
+  it('should drop the oldest entries beyond MAX_FAILED_RESULTS', async () => {
+    for (let i = 0; i <= CONFIG.MAX_FAILED_RESULTS; i++) {
+      await outbox.enqueue(result(`job-${i}`), `job-${i}:k`, 'down');
+    }
+
+    expect(queued()).toHaveLength(CONFIG.MAX_FAILED_RESULTS);
+    expect(queued()[0].jobId).toBe('job-1');
+  });
+
+  it('should resubmit due items with their idempotency key', async () => {
+    await outbox.enqueue(result('job-1'), 'job-1:a', 'down');
+
+    const flushed = await outbox.flush(true);
+
+    expect(mockApiClient.submitJobResult).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: 'job-1' }),
+      { idempotencyKey: 'job-1:a' }
+    );
+    expect(flushed).toEqual({ submitted: 1, remaining: 0 });
+    expect(queued()).toHaveLength(0);
+  });
+
+  it('should back off and stop after OUTBOX_MAX_ATTEMPTS', async () => {
+    await outbox.enqueue(result('job-1'), 'job-1:a', 'down');
+    mockApiClient.submitJobResult.mockRejectedValue(new Error('Still down'));
+
+    await outbox.flush(true);
+    const first = queued()[0];
+    await outbox.flush(true);
+    const second = queued()[0];
+
+    expect(second.nextAttemptAt - second.lastAttemptAt)
+      .toBe(2 * (first.nextAttemptAt - first.lastAttemptAt));
+
+    for (let i = 2; i < CONFIG.OUTBOX_MAX_ATTEMPTS; i++) {
+      await outbox.flush(true);
+    }
+
+    expect(queued()[0]).toMatchObject({ exhausted: true, lastError: 'Still down' });
+    expect((await outbox.getStatus()).nextAttemptAt).toBeNull();
+  });
+
+  it('should merge into the outbox as it is after the submissions', async () => {
+    await outbox.enqueue(result('job-1'), 'job-1:a', 'down');
+    await outbox.enqueue(result('job-2'), 'job-2:a', 'down');
+
+    // job-3 fails to submit while job-1 is being retried; job-1 fails again
+    mockApiClient.submitJobResult.mockImplementation(async submitted => {
+      if (submitted.jobId !== 'job-1') return { success: true };
+      await outbox.enqueue(result('job-3'), 'job-3:a', 'down');
+      throw new Error('Still down');
+    });
+    expect(await outbox.flush(true)).toEqual({ submitted: 1, remaining: 2 });
+    expect(queued().map(item => [item.idempotencyKey, item.attempts]))
+      .toEqual([['job-1:a', 1], ['job-3:a', 0]]);
+
+    // Discarded during a flush: nothing comes back
+    mockApiClient.submitJobResult.mockImplementation(async () => {
+      await outbox.discard();
+      throw new Error('Still down');
+    });
+    expect(await outbox.flush(true)).toEqual({ submitted: 0, remaining: 0 });
+    expect(queued()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the results page row model
+ */
+import { toRow, filterRows, sortRows, visibleRange } from '../../src/results/results-view.js';
+import { normalizeAttributes } from '../../src/content/attribute-normalizer.js';
+
+describe('Results view', () => {
+  const items = [
+    {
+      title: 'Deniz manzaralı 3+1',
+      price: { amount: 2500000, currency: 'TRY', text: '2.500.000 TL' },
+      from: 'Sahibinden',
+      date: '2025-03-02',
+      contact: { name: 'Ayşe Yılmaz', phone: '0532 000 00 00' },
+      details: { 'Isıtma': 'Doğalgaz (Kombi)' }
+    },
+    {
+      title: 'Merkezi konum 2+1',
+      price: { amount: 1800000, currency: 'TRY' },
+      attributes: normalizeAttributes({ 'Kimden': 'Emlak Ofisinden' }),
+      date: '2025-02-20'
+    },
+    { title: 'Fiyat sorunuz', price: { amount: null, onRequest: true } }
+  ];
+  const rows = items.map(toRow);
+
+  it('should flatten items into rows with folded search text', () => {
+    expect(rows[0]).toMatchObject({
+      price: 2500000,
+      currency: 'TRY',
+      from: 'Sahibinden',
+      seller: 'Ayşe Yılmaz',
+      phone: '0532 000 00 00'
+    });
+    expect(rows[1].from).toBe('Emlak Ofisinden');
+    expect(filterRows(rows, { query: 'AYŞE kombi' })).toEqual([rows[0]]);
+    expect(filterRows(rows, { query: 'merkezi' })).toEqual([rows[1]]);
+  });
+
+  it('should filter by price range, seller type and date, hiding rows without the value', () => {
+    expect(filterRows(rows, { maxPrice: 2000000 })).toEqual([rows[1]]);
+    expect(filterRows(rows, { minPrice: 2000000 })).toEqual([rows[0]]);
+    expect(filterRows(rows, { from: 'owner' })).toEqual([rows[0]]);
+    expect(filterRows(rows, { from: 'agency' })).toEqual([rows[1]]);
+    expect(filterRows(rows, { dateFrom: '2025-03-01' })).toEqual([rows[0]]);
+    expect(filterRows(rows, { dateTo: '2025-02-28' })).toEqual([rows[1]]);
+    expect(filterRows(rows, {})).toEqual(rows);
+  });
+
+  it('should sort with empty values last and compute the visible window', () => {
+    const byPrice = dir => sortRows(rows, { key: 'price', direction: dir }).map(row => row.index);
+    expect(byPrice('asc')).toEqual([1, 0, 2]);
+    expect(byPrice('desc')).toEqual([0, 1, 2]);
+    expect(sortRows(rows, { key: 'date' }).map(row => row.index)).toEqual([0, 1, 2]);
+
+    expect(visibleRange({ scrollTop: 0, height: 320, rowHeight: 32, total: 1000 }))
+      .toEqual({ start: 0, end: 15 });
+    expect(visibleRange({ scrollTop: 3200, height: 320, rowHeight: 32, total: 105 }))
+      .toEqual({ start: 95, end: 105 });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for link collection across listing pages in the content script
+ */
+import '../../src/content/scraper.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+const detailUrl = id => `https://www.sahibinden.com/ilan/emlak-konut-satilik-daire-${id}/detay`;
+
+describe('SentioContentScript link collection', () => {
+  let script;
+  let pages;
+
+  /**
+   * Serve `pages` (listing cards per page) as the pages reached by clicking "next"
+   */
+  function paginate() {
+    let page = 0;
+    script.collectDetailLinks = jest.fn(async () => pages[page].map(card => card.url));
+    script.jobExecutor.extractListingsFromPage = jest.fn(async () => pages[page]);
+    script.goToNextListingPage = jest.fn(async progress => {
+      if (page + 1 >= pages.length) return false;
+      page++;
+      await script.continueLinkCollection({ ...progress, lastListingUrl: 'previous-page' });
+      return true;
+    });
+  }
+
+  function checkpoint(overrides = {}) {
+    return {
+      jobId: 'job-1',
+      listingPage: 0,
+      maxPages: 5,
+      maxItems: 50,
+      urls: [],
+      sources: [],
+      selectors: {},
+      lastListingUrl: 'previous-page',
+      ...overrides
+    };
+  }
+
+  beforeEach(() => {
+    const store = {};
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      cb(out);
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+    store[CONFIG.STORAGE_KEYS.SEEN_LISTINGS] = { 2000001: Date.now(), 2000002: Date.now() };
+
+    script = window.sentioContentScript;
+    script.isCancelled = false;
+    script.updateHud = jest.fn();
+    script.reportProgress = jest.fn();
+    script.waitForPageReady = jest.fn().mockResolvedValue();
+    script.jobExecutor.randomListingScroll = jest.fn().mockResolvedValue();
+    script.startVisitingDetails = jest.fn().mockResolvedValue();
+  });
+
+  it('should keep paging past a page whose cards all fail the filters', async () => {
+    pages = [
+      [
+        { url: detailUrl(1000001), from: 'Emlak Ofisinden' },
+        { url: detailUrl(1000002), from: 'Emlak Ofisinden' }
+      ],
+      [
+        { url: detailUrl(1000003), from: 'Sahibinden' },
+        { url: detailUrl(1000004), from: 'Emlak Ofisinden' }
+      ]
+    ];
+    paginate();
+
+    await script.continueLinkCollection(checkpoint({ filters: { from: 'owner' } }));
+
+    expect(script.collectDetailLinks).toHaveBeenCalledTimes(2);
+    expect(script.startVisitingDetails).toHaveBeenCalledWith(expect.objectContaining({
+      listingPage: 2,
+      urls: [detailUrl(1000003)]
+    }));
+  });
+
+  it('should stop paging on a page without listing links', async () => {
+    pages = [[], [{ url: detailUrl(1000005) }]];
+    paginate();
+
+    await script.continueLinkCollection(checkpoint());
+
+    expect(script.goToNextListingPage).not.toHaveBeenCalled();
+    expect(script.startVisitingDetails).toHaveBeenCalledWith(expect.objectContaining({ urls: [] }));
+  });
+
+  it('should page past already seen listings until stopAfterSeen of them follow each other', async () => {
+    pages = [
+      [{ url: detailUrl(2000001) }, { url: detailUrl(2000002) }],
+      [{ url: detailUrl(2000003) }]
+    ];
+    paginate();
+    const incremental = {
+      incremental: { stopAfterSeen: 3 },
+      seen: { skipped: 0, streak: 0, caughtUp: false }
+    };
+
+    await script.continueLinkCollection(checkpoint(incremental));
+    expect(script.startVisitingDetails).toHaveBeenCalledWith(expect.objectContaining({
+      urls: [detailUrl(2000003)],
+      seen: { skipped: 2, streak: 0, caughtUp: false }
+    }));
+
+    paginate();
+    script.startVisitingDetails.mockClear();
+    const strict = { ...incremental, incremental: { stopAfterSeen: 2 } };
+    await script.continueLinkCollection(checkpoint(strict));
+    expect(script.goToNextListingPage).not.toHaveBeenCalled();
+    expect(script.startVisitingDetails).toHaveBeenCalledWith(expect.objectContaining({
+      urls: [],
+      seen: { skipped: 2, streak: 2, caughtUp: true }
+    }));
+  });
+
+  describe('startDetailWorkflow', () => {
+    const job = config => ({ id: 'job-1', token: 't', config: { url: 'listing', ...config } });
+
+    beforeEach(() => {
+      script.initHud = jest.fn();
+      script.navigateHomeThen = jest.fn().mockResolvedValue();
+      script.waitForContent = jest.fn().mockResolvedValue();
+    });
+
+    it('should stay on the first listing page unless the job sets maxPages', async () => {
+      pages = [[{ url: detailUrl(1000001) }], [{ url: detailUrl(1000002) }]];
+      paginate();
+
+      await script.startDetailWorkflow(job({ maxItems: 5 }));
+      expect(script.goToNextListingPage).not.toHaveBeenCalled();
+      expect(script.startVisitingDetails).toHaveBeenCalledWith(expect.objectContaining({
+        maxPages: 1,
+        urls: [detailUrl(1000001)]
+      }));
+
+      paginate();
+      await script.startDetailWorkflow(job({ maxItems: 5, maxPages: 2 }));
+      expect(script.startVisitingDetails).toHaveBeenLastCalledWith(expect.objectContaining({
+        urls: [detailUrl(1000001), detailUrl(1000002)]
+      }));
+    });
+
+    it('should not page on when the first listing page has no links', async () => {
+      pages = [[], [{ url: detailUrl(1000003) }]];
+      paginate();
+
+      await script.startDetailWorkflow(job({ maxPages: 5 }));
+
+      expect(script.goToNextListingPage).not.toHaveBeenCalled();
+      expect(script.startVisitingDetails)
+        .toHaveBeenCalledWith(expect.objectContaining({ urls: [] }));
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for the incremental crawl seen-listing index
+ */
+import { SeenListings, incrementalOptions, listingKey } from '../../src/utils/seen-listings.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('SeenListings', () => {
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      cb(out);
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+  });
+
+  it('should skip known listings and stop after a run of them', () => {
+    const known = new SeenListings({ 2: 1, 3: 1, 4: 1, 6: 1 });
+    const items = ['1', '2', '3', '4', '5', '6', '7'].map(id => ({ id }));
+
+    // Three known listings in a row end the walk before 5 is reached
+    const scan = known.scan(items, { stopAfter: 3 });
+    expect(scan.fresh.map(item => item.id)).toEqual(['1']);
+    expect(scan).toMatchObject({ skipped: 3, streak: 3, stop: true });
+
+    // The run carries over from the previous page
+    expect(known.scan([{ id: '6' }, { id: '7' }], { streak: 1, stopAfter: 3 }))
+      .toMatchObject({ skipped: 1, streak: 0, stop: false });
+
+    const urls = [
+      'https://www.sahibinden.com/ilan/satilik-daire-1000002/detay',
+      'https://www.sahibinden.com/ilan/satilik-daire-1000009/detay'
+    ];
+    const byUrl = new SeenListings({ 1000002: 1 }).scan(urls, { keyOf: url => listingKey({ url }) });
+    expect(byUrl.fresh).toEqual([urls[1]]);
+  });
+
+  it('should remember IDs and forget them after the TTL', async () => {
+    const start = Date.UTC(2025, 0, 1);
+    await SeenListings.remember(['a', 'b', null], start);
+    expect(Object.keys(store[CONFIG.STORAGE_KEYS.SEEN_LISTINGS])).toEqual(['a', 'b']);
+
+    await SeenListings.remember(['c'], start + CONFIG.SEEN_LISTING_TTL - 1);
+    expect((await SeenListings.load(start + CONFIG.SEEN_LISTING_TTL - 1)).has('a')).toBe(true);
+
+    const later = await SeenListings.load(start + CONFIG.SEEN_LISTING_TTL);
+    expect(later.has('a')).toBe(false);
+    expect(later.has('c')).toBe(true);
+  });
+
+  it('should read incremental options from the job config', () => {
+    expect(incrementalOptions({})).toBeNull();
+    expect(incrementalOptions({ incremental: true })).toEqual({ stopAfterSeen: CONFIG.INCREMENTAL_STOP_AFTER });
+    expect(incrementalOptions({ incremental: { stopAfterSeen: 2 } })).toEqual({ stopAfterSeen: 2 });
+  });
+});
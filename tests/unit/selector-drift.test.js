@@ -0,0 +1,72 @@
+/**
+ * Unit tests for selector drift detection
+ */
+import { SelectorDrift } from '../../src/background/selector-drift.js';
+import { CONFIG } from '../../src/shared/types.js';
+
+describe('SelectorDrift', () => {
+  let drift;
+  let store;
+
+  const job = testUtils.createMockJob();
+  const resultWith = (items, fillRate, selector = '.classifiedTitle') => ({
+    jobId: job.id,
+    data: [],
+    metadata: {
+      coverage: {
+        detail: {
+          items,
+          fields: { title: { filled: Math.round(items * fillRate), fillRate, selector } }
+        }
+      }
+    }
+  });
+
+  beforeEach(() => {
+    store = {};
+    chrome.runtime.lastError = null;
+    chrome.storage.local.get.mockImplementation((keys, cb) => {
+      const out = {};
+      for (const k of [].concat(keys)) if (k in store) out[k] = store[k];
+      cb(out);
+    });
+    chrome.storage.local.set.mockImplementation((items, cb) => {
+      Object.assign(store, items);
+      if (cb) cb();
+    });
+    drift = new SelectorDrift();
+  });
+
+  it('should learn a baseline and flag a field whose fill rate collapses', async () => {
+    expect(await drift.check(job, resultWith(20, 0.95))).toEqual([]);
+
+    const result = resultWith(20, 0.1, 'fallback');
+    const warnings = await drift.check(job, result);
+
+    expect(warnings).toEqual([{
+      scope: 'detail',
+      field: 'title',
+      fillRate: 0.1,
+      baseline: 0.95,
+      selector: 'fallback',
+      baselineSelector: '.classifiedTitle'
+    }]);
+    expect(result.metadata.selectorDrift).toBe(warnings);
+    expect(await drift.getLastDrift()).toMatchObject({ jobId: job.id, summary: 'detail title 10% (was 95%)' });
+
+    // The baseline moves toward the new rate; a normal run clears the warning
+    const learned = store[CONFIG.STORAGE_KEYS.FIELD_COVERAGE].baselines[job.type].detail.title;
+    expect(learned.runs).toBe(2);
+    expect(learned.fillRate).toBeCloseTo(0.695);
+    await drift.check(job, resultWith(20, 0.9));
+    expect(await drift.getLastDrift()).toBeNull();
+  });
+
+  it('should ignore samples that are too small to judge', async () => {
+    await drift.check(job, resultWith(20, 1));
+    const result = resultWith(CONFIG.DRIFT_MIN_ITEMS - 1, 0);
+
+    expect(await drift.check(job, result)).toEqual([]);
+    expect(store[CONFIG.STORAGE_KEYS.FIELD_COVERAGE].baselines[job.type].detail.title.runs).toBe(1);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for structured data extraction
+ */
+import { extractStructuredData, getStructuredValue } from '../../src/content/structured-data.js';
+import { DOMExtractor } from '../../src/content/dom-extractor.js';
+
+describe('Structured data', () => {
+  beforeEach(() => {
+    document.head.innerHTML = `
+      <meta property="og:title" content="Deniz manzaralı daire">
+      <meta property="og:image" content="https://img.example/1.jpg">
+      <meta property="og:image:width" content="800">
+      <meta property="product:price:amount" content="3450000">
+      <meta property="product:price:currency" content="TRY">
+      <script type="application/ld+json">{ not json </script>
+      <script type="application/ld+json">
+        { "@context": "https://schema.org", "@graph": [
+          { "@type": "BreadcrumbList", "name": "Emlak" },
+          { "@type": ["Product", "Residence"], "name": "Daire",
+            "offers": [{ "@type": "Offer", "price": "3450000.00", "priceCurrency": "TRY" }],
+            "additionalProperty": [{ "@type": "PropertyValue", "name": "Oda", "value": "3+1" }] }
+        ] }
+      </script>`;
+    document.body.innerHTML = `
+      <div itemscope itemtype="http://schema.org/Offer">
+        <span itemprop="price" content="3450000">3.450.000 TL</span>
+        <div itemprop="seller" itemscope itemtype="http://schema.org/Person">
+          <span itemprop="name">Ahmet Yılmaz</span>
+        </div>
+      </div>`;
+  });
+
+  it('should normalize JSON-LD, meta tags and microdata', () => {
+    const data = extractStructuredData(document);
+
+    expect(data.jsonLd).toHaveLength(2);
+    expect(data.ld).toMatchObject({ '@type': 'Product', name: 'Daire' });
+    expect(data.og).toEqual({
+      title: 'Deniz manzaralı daire',
+      image: { url: 'https://img.example/1.jpg', width: '800' }
+    });
+    expect(data.product.price).toEqual({ amount: '3450000', currency: 'TRY' });
+    expect(data.items).toHaveLength(1);
+    expect(data.microdata).toEqual({
+      '@type': 'Offer',
+      price: '3450000',
+      seller: { '@type': 'Person', name: 'Ahmet Yılmaz' }
+    });
+  });
+
+  it('should resolve dotted paths through arrays and wrapped values', () => {
+    const data = extractStructuredData(document);
+
+    expect(getStructuredValue(data, 'ld.offers.price')).toBe('3450000.00');
+    expect(getStructuredValue(data, 'ld.offers.0.priceCurrency')).toBe('TRY');
+    expect(getStructuredValue(data, 'ld.additionalProperty.0')).toBe('3+1');
+    expect(getStructuredValue(data, 'microdata.seller.name')).toBe('Ahmet Yılmaz');
+    expect(getStructuredValue(data, 'og.price.amount')).toBeNull();
+  });
+
+  it('should let recipe fields read structured-data sources before selectors', () => {
+    const extractor = new DOMExtractor();
+    const data = {};
+    const missing = extractor.extractRecipe(document, [
+      { path: 'pricing.amount', source: ['og.price.amount', 'ld.offers.price'], transforms: ['number'] },
+      { path: 'pricing.currency', source: 'product.price.currency', selector: '.currency' },
+      { path: 'seller', source: 'microdata.seller.name', required: true }
+    ], data);
+
+    expect(missing).toEqual([]);
+    expect(data).toEqual({
+      pricing: { amount: 3450000, currency: 'TRY' },
+      seller: 'Ahmet Yılmaz'
+    });
+  });
+});
@@ -16,7 +16,8 @@ export default (env, argv) => {
     entry: {
       'background/service-worker': './src/background/service-worker.js',
       'content/scraper': './src/content/scraper.js',
-      'popup/popup': './src/popup/popup.js'
+      'popup/popup': './src/popup/popup.js',
+      'results/results': './src/results/results.js'
     },
     
     output: {
@@ -55,6 +56,14 @@ export default (env, argv) => {
             from: 'src/popup/popup.css', 
             to: 'popup/popup.css' 
           },
+          {
+            from: 'src/results/results.html',
+            to: 'results/results.html'
+          },
+          {
+            from: 'src/results/results.css',
+            to: 'results/results.css'
+          },
           { 
             from: 'assets/', 
             to: 'assets/',